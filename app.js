@@ -3,21 +3,36 @@
  * Connects all components and handles UI interactions
  */
 
+// Rows of a query result shown in the Query tab's grid
+const QUERY_GRID_MAX_ROWS = 1000;
+
+// localStorage key of the renderer chosen in the toolbar
+const RENDERER_STORAGE_KEY = 'perfetto-to-llm.renderer';
+
 class App {
     constructor() {
         // Components
         this.parser = new TraceParser();
         this.viewer = null;
         this.exporter = new LLMExporter();
+        this.workerClient = new TraceWorkerClient();
 
         // State
         this.traceData = null;
+        this.sources = []; // Loaded files: { name, data, offset (ns) }, merged when more than one
         this.selectedSlices = [];
         this.currentMode = 'select'; // Default to select mode
+        this.timeMode = 'relative'; // Time base for displayed times: relative, absolute or wall
+        this.loadId = 0; // Identifies the latest file load so superseded loads stay quiet
+        this.rejectArchivePick = null; // Dismisses the open archive trace picker, if any
+        this.query = null; // TraceQuery over traceData, created on the first query
+        this.queryResult = null; // { sql, columns, rows, sliceIds } of the last query run
+        this.queryExport = null; // Query result shown in the LLM Export tab instead of the selection
 
         // Initialize
         this.initViewer();
         this.bindEvents();
+        this.renderQueryResult();
         this.updateModeButtons(); // Set correct initial button state
         this.updateStatus('Ready - Load a Perfetto trace or click "Load Demo Trace" to begin');
     }
@@ -35,10 +50,19 @@ class App {
         // Set up callbacks
         this.viewer.onSliceClick = this.handleSliceClick.bind(this);
         this.viewer.onSliceHover = this.handleSliceHover.bind(this);
+        this.viewer.onCounterHover = this.handleCounterHover.bind(this);
+        this.viewer.onThreadStateHover = this.handleThreadStateHover.bind(this);
         this.viewer.onSelectionChange = this.handleSelectionChange.bind(this);
         this.viewer.onViewChange = this.handleViewChange.bind(this);
         this.viewer.onModeChange = this.handleModeChange.bind(this);
         this.viewer.onTrackVisibilityChange = this.handleTrackVisibilityChange.bind(this);
+        this.viewer.onProcessCollapseChange = this.handleTrackVisibilityChange.bind(this);
+        this.viewer.onRendererChange = this.updateRendererSelect.bind(this);
+
+        // Canvas 2D unless WebGL was chosen before; browsers without WebGL keep Canvas 2D
+        const rendererSelect = document.getElementById('rendererSelect');
+        rendererSelect.querySelector('option[value="webgl"]').disabled = !WebGLSliceRenderer.isSupported();
+        this.updateRendererSelect(this.viewer.setRenderer(this.loadRendererChoice()));
 
         // Initialize cursor
         this.viewer.updateCursor();
@@ -51,8 +75,24 @@ class App {
         // File input
         document.getElementById('traceFileInput').addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.loadTraceFile(e.target.files[0]);
+                this.loadTraceFiles(Array.from(e.target.files));
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('addTraceFileInput').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadTraceFiles(Array.from(e.target.files), true);
             }
+            e.target.value = '';
+        });
+
+        document.getElementById('dismissWarningBtn').addEventListener('click', () => {
+            this.hideWarningBanner();
+        });
+
+        document.getElementById('cancelLoadBtn').addEventListener('click', () => {
+            this.workerClient.cancel();
         });
 
         // Demo trace button
@@ -133,6 +173,40 @@ class App {
             this.updateLLMOutput();
         });
 
+        document.getElementById('exportTimeMode').addEventListener('change', () => {
+            this.updateLLMOutput();
+        });
+
+        document.getElementById('timeModeSelect').addEventListener('change', (e) => {
+            this.setTimeMode(e.target.value);
+        });
+
+        document.getElementById('rendererSelect').addEventListener('change', (e) => {
+            this.saveRendererChoice(e.target.value);
+            this.updateRendererSelect(this.viewer.setRenderer(e.target.value));
+        });
+
+        // Query panel controls
+        document.getElementById('runQueryBtn').addEventListener('click', () => {
+            this.runQuery();
+        });
+
+        document.getElementById('queryInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.runQuery();
+            }
+        });
+
+        document.getElementById('selectQuerySlicesBtn').addEventListener('click', () => {
+            this.selectQuerySlices();
+        });
+
+        document.getElementById('exportQueryBtn').addEventListener('click', () => {
+            this.queryExport = this.queryResult;
+            this.showBottomPanel('llm');
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl/Cmd + C to copy when on LLM tab
@@ -144,48 +218,485 @@ class App {
                 }
             }
             
-            // Escape to collapse bottom panel
+            // Escape cancels a running load, otherwise collapses bottom panel
             if (e.key === 'Escape') {
-                this.collapseBottomPanel();
+                if (!this.cancelArchivePick() && !this.workerClient.cancel()) {
+                    this.collapseBottomPanel();
+                }
             }
         });
     }
 
     /**
-     * Load a trace file
+     * Load trace files, replacing the current session or, with append, adding to it
+     * Several files are merged into one timeline with tracks and slices tagged by file name
      */
-    async loadTraceFile(file) {
-        this.updateStatus(`Loading ${file.name}...`, 'loading');
+    async loadTraceFiles(files, append = false) {
+        const loadId = ++this.loadId;
+        const loaded = [];
+        let file = null;
+        this.cancelArchivePick();
+        this.hideWarningBanner();
 
         try {
-            this.traceData = await this.parser.parseFile(file);
+            const traceFiles = [];
+            for (file of files) {
+                traceFiles.push(...await this.expandArchive(file));
+                if (loadId !== this.loadId) return;
+            }
+
+            for (file of traceFiles) {
+                this.updateStatus(`Loading ${file.name}...`, 'loading');
+                this.showLoadProgress(file, { phase: 'reading', bytes: 0, totalBytes: file.size, events: 0 });
+                const data = await this.parseTraceFile(file);
+                if (loadId !== this.loadId) return;
+                loaded.push({ name: file.name, data, offset: 0 });
+            }
+
+            const sources = append ? [...this.sources, ...loaded] : loaded;
+            sources.forEach((source, i) => {
+                source.name = TraceParser.getUniqueSourceName(source.name, sources.slice(0, i));
+            });
+            this.sources = sources;
+            this.traceData = sources.length > 1 ? this.parser.mergeSources(sources) : sources[0].data;
             this.viewer.loadTrace(this.traceData);
+            this.updateTimeModeOptions();
+            this.renderDiagnostics();
+            this.resetQuery();
+            this.renderSourceBar();
             
             const sliceCount = this.traceData.slices.length;
             const trackCount = this.traceData.tracks.length;
-            const duration = TraceParser.formatDuration(this.traceData.timeRange.end - this.traceData.timeRange.start);
+            const duration = this.formatDuration(this.traceData.timeRange.end - this.traceData.timeRange.start);
             
-            this.updateStatus(`Loaded: ${sliceCount} slices across ${trackCount} tracks (${duration})`);
+            const warnings = this.describeParseWarnings(this.traceData.metadata);
+            const fileCount = sources.length > 1 ? ` from ${sources.length} files` : '';
+            
+            this.updateStatus(`Loaded: ${sliceCount} slices across ${trackCount} tracks${fileCount} (${duration}${warnings ? `, ${warnings}` : ''})`);
+            const recoveries = loaded.filter(source => source.data.metadata.jsonRecovery)
+                .map(source => this.describeJSONRecovery(source.name, source.data.metadata.jsonRecovery));
+            if (recoveries.length > 0) {
+                this.showWarningBanner(recoveries.join(' '));
+            }
             this.updateZoomLevel();
         } catch (error) {
+            if (loadId !== this.loadId) return;
+            if (error.cancelled) {
+                this.updateStatus(`Loading cancelled: ${file.name}`);
+                return;
+            }
             console.error('Error loading trace:', error);
-            this.updateStatus(`Error loading trace: ${error.message}`, 'error');
+            this.updateStatus(`Error loading ${file.name}: ${error.message}`, 'error');
+        } finally {
+            if (loadId === this.loadId) this.hideLoadProgress();
+        }
+    }
+
+    /**
+     * The traces inside a ZIP archive, or the file itself when it is not one. An archive with a single
+     * trace-like entry loads it directly; with several, the user picks (the best candidate preselected).
+     * @returns {Promise<Array<File>>}
+     */
+    async expandArchive(file) {
+        const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+        if (!ZipReader.isZip(head)) return [file];
+
+        const zip = await ZipReader.open(file);
+        const candidates = TraceParser.rankTraceEntries(zip.entries);
+        if (candidates.length === 0) {
+            throw new Error(`no trace files found among its ${zip.entries.length} entries`);
+        }
+        const entries = candidates.length === 1 ? candidates : await this.pickArchiveEntries(file.name, candidates);
+
+        const extracted = [];
+        for (const entry of entries) {
+            this.updateStatus(`Extracting ${entry.name} from ${file.name}...`, 'loading');
+            const blob = await zip.extract(entry);
+            extracted.push(new File([blob], entry.name.split('/').pop()));
+        }
+        return extracted;
+    }
+
+    /**
+     * Ask which traces of an archive to load; rejects with error.cancelled when dismissed
+     * @param {Array<Object>} candidates - Entries from TraceParser.rankTraceEntries, best first
+     * @returns {Promise<Array<Object>>} The chosen entries
+     */
+    pickArchiveEntries(archiveName, candidates) {
+        const picker = document.getElementById('archivePicker');
+        picker.innerHTML = `
+            <span class="archive-picker-title">${App.escapeHtml(archiveName)} contains ${candidates.length} traces:</span>
+            ${candidates.map((entry, index) => `
+                <label class="archive-entry">
+                    <input type="checkbox" data-index="${index}" ${index === 0 ? 'checked' : ''}>
+                    <span class="archive-entry-name">${App.escapeHtml(entry.name)}</span>
+                    <span class="archive-entry-size">${TraceParser.formatBytes(entry.size)}</span>
+                </label>
+            `).join('')}
+            <span class="archive-picker-actions">
+                <button id="archiveLoadBtn" class="btn btn-small">Load</button>
+                <button id="archiveCancelBtn" class="btn btn-small">Cancel</button>
+            </span>
+        `;
+        picker.style.display = '';
+        this.hideLoadProgress();
+        this.updateStatus(`Choose the traces to load from ${archiveName}`);
+
+        const checkboxes = Array.from(picker.querySelectorAll('.archive-entry input'));
+        const loadBtn = document.getElementById('archiveLoadBtn');
+        checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                loadBtn.disabled = !checkboxes.some(box => box.checked);
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.rejectArchivePick = reject;
+            loadBtn.addEventListener('click', () => {
+                this.hideArchivePicker();
+                resolve(checkboxes.filter(box => box.checked).map(box => candidates[parseInt(box.dataset.index)]));
+            });
+            document.getElementById('archiveCancelBtn').addEventListener('click', () => {
+                this.cancelArchivePick();
+            });
+        });
+    }
+
+    /**
+     * Dismiss the archive picker, cancelling the load waiting on it
+     * @returns {boolean} Whether the picker was open
+     */
+    cancelArchivePick() {
+        const reject = this.rejectArchivePick;
+        if (!reject) return false;
+        this.hideArchivePicker();
+        reject(Object.assign(new Error('Loading cancelled'), { cancelled: true }));
+        return true;
+    }
+
+    hideArchivePicker() {
+        this.rejectArchivePick = null;
+        const picker = document.getElementById('archivePicker');
+        picker.style.display = 'none';
+        picker.innerHTML = '';
+    }
+
+    /**
+     * List merged files with how each was aligned and a manual offset control
+     */
+    renderSourceBar() {
+        const bar = document.getElementById('sourceBar');
+        if (this.sources.length < 2) {
+            bar.style.display = 'none';
+            bar.innerHTML = '';
+            return;
+        }
+
+        const alignmentLabels = {
+            reference: 'reference clock',
+            clock_sync: 'aligned by clock_sync',
+            timestamps: 'aligned by timestamps'
+        };
+        bar.innerHTML = this.traceData.metadata.sources.map((source, index) => `
+            <span class="source-item">
+                <span class="source-name">${App.escapeHtml(source.name)}</span>
+                <span class="source-alignment">${alignmentLabels[source.alignment]}</span>
+                ${index > 0 ? `
+                <label class="source-offset">
+                    offset <input type="number" step="0.1" data-index="${index}" value="${source.offset / 1000000}"> ms
+                </label>
+                ` : ''}
+            </span>
+        `).join('');
+        bar.querySelectorAll('.source-offset input').forEach(input => {
+            input.addEventListener('change', () => {
+                this.setSourceOffset(parseInt(input.dataset.index), parseFloat(input.value) || 0);
+            });
+        });
+        bar.style.display = '';
+    }
+
+    /**
+     * Shift one merged file by a manual offset, keeping the visible time window in place
+     */
+    setSourceOffset(index, offsetMs) {
+        const previousOffset = this.traceData.metadata.timeOffset || 0n;
+        const { viewStart, viewEnd } = this.viewer;
+
+        this.sources[index].offset = Math.round(offsetMs * 1000000);
+        this.traceData = this.parser.mergeSources(this.sources);
+        this.viewer.loadTrace(this.traceData);
+        this.updateTimeModeOptions();
+        this.renderDiagnostics();
+        this.resetQuery();
+
+        const moved = Number(previousOffset - (this.traceData.metadata.timeOffset || 0n));
+        this.viewer.setViewRange(viewStart + moved, viewEnd + moved);
+        this.renderSourceBar();
+        this.handleSelectionChange([]);
+        this.updateZoomLevel();
+    }
+
+    /**
+     * Parse a trace file in a Web Worker, falling back to the main thread where workers can't run
+     */
+    async parseTraceFile(file) {
+        if (TraceWorkerClient.isSupported()) {
+            try {
+                const packed = await this.workerClient.parse(file, progress => this.showLoadProgress(file, progress));
+                return this.parser.restorePackedTrace(packed);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                console.warn('Trace worker unavailable, parsing on the main thread:', error.message);
+            }
+        }
+        return this.parser.parseFile(file);
+    }
+
+    /**
+     * Show load progress in the status bar
+     */
+    showLoadProgress(file, progress) {
+        const fraction = progress.totalBytes > 0 ? Math.min(1, progress.bytes / progress.totalBytes) : 0;
+        document.getElementById('loadProgress').style.display = '';
+        document.getElementById('loadProgressFill').style.width = `${(fraction * 100).toFixed(1)}%`;
+
+        if (progress.phase === 'building') {
+            this.updateStatus(`Building tracks for ${file.name}...`, 'loading');
+        } else {
+            const events = progress.events > 0 ? `, ${progress.events.toLocaleString()} events` : '';
+            this.updateStatus(`Loading ${file.name}: ${TraceParser.formatBytes(progress.bytes)} of ${TraceParser.formatBytes(progress.totalBytes)}${events}`, 'loading');
+        }
+    }
+
+    hideLoadProgress() {
+        document.getElementById('loadProgress').style.display = 'none';
+    }
+
+    /**
+     * Summarize parser warnings from trace metadata for the status bar
+     */
+    describeParseWarnings(metadata) {
+        const warnings = [];
+        
+        if (metadata.unsupportedPackets) {
+            const skipped = Object.values(metadata.unsupportedPackets).reduce((sum, count) => sum + count, 0);
+            if (skipped > 0) warnings.push(`${skipped} unsupported packets skipped`);
+        }
+        if (metadata.unterminatedSlices) {
+            warnings.push(`${metadata.unterminatedSlices} unterminated slices clamped to trace end`);
+        }
+        if (metadata.orphanEndEvents) {
+            warnings.push(`${metadata.orphanEndEvents} unmatched end events ignored`);
+        }
+        if (metadata.htmlSections) {
+            const unused = metadata.htmlSections.filter(section => section.status !== 'ok' && section.type !== 'empty');
+            if (unused.length > 0) {
+                warnings.push(`${unused.length} HTML trace sections not used (${unused.map(section => `${section.label}: ${section.status}`).join('; ')})`);
+            }
+        }
+        if (metadata.format === 'folded') {
+            warnings.push(`folded stacks: widths are sample counts, 1 sample = ${this.formatDuration(metadata.sampleWidth)}`);
+        }
+        if (metadata.skippedLines) {
+            warnings.push(`${metadata.skippedLines} unrecognized lines skipped`);
+        }
+        if (metadata.jsonRecovery) {
+            warnings.push(`damaged JSON: ${TraceParser.formatBytes(metadata.jsonRecovery.skippedBytes)} skipped`);
+        }
+        if (metadata.unboundFlowEvents) {
+            warnings.push(`${metadata.unboundFlowEvents} flow events without a slice ignored`);
+        }
+        
+        return warnings.join(', ');
+    }
+
+    /**
+     * List the parser's diagnostics, most serious first, with links that jump to example occurrences
+     */
+    renderDiagnostics() {
+        const list = document.getElementById('diagnosticsList');
+        const tab = document.getElementById('diagnosticsTabBtn');
+        const diagnostics = (this.traceData && this.traceData.metadata.diagnostics) || [];
+        const severityOrder = { error: 0, warning: 1, info: 2 };
+        const sorted = diagnostics
+            .map((diagnostic, index) => ({ diagnostic, index }))
+            .sort((a, b) => severityOrder[a.diagnostic.severity] - severityOrder[b.diagnostic.severity] || b.diagnostic.count - a.diagnostic.count);
+
+        const problems = diagnostics.filter(diagnostic => diagnostic.severity !== 'info').length;
+        tab.textContent = problems > 0 ? `Diagnostics (${problems})` : 'Diagnostics';
+        tab.classList.toggle('has-problems', problems > 0);
+
+        if (diagnostics.length === 0) {
+            list.innerHTML = `<p class="placeholder">${this.traceData ? 'No parser diagnostics: every event in the trace was used' : 'Load a trace to see parser diagnostics'}</p>`;
+            return;
         }
+
+        const tracks = new Map(this.traceData.tracks.map(track => [track.id, track]));
+        list.innerHTML = sorted.map(({ diagnostic, index }) => `
+            <div class="diagnostic diagnostic-${diagnostic.severity}">
+                <div class="diagnostic-header">
+                    <span class="diagnostic-severity">${diagnostic.severity}</span>
+                    <span class="diagnostic-title">${diagnostic.title}${diagnostic.detail ? `: ${App.escapeHtml(diagnostic.detail)}` : ''}</span>
+                    <span class="diagnostic-count">×${diagnostic.count.toLocaleString()}</span>
+                    ${diagnostic.source ? `<span class="diagnostic-source">${App.escapeHtml(diagnostic.source)}</span>` : ''}
+                </div>
+                ${diagnostic.examples.length > 0 ? `
+                <ul class="diagnostic-examples">
+                    ${diagnostic.examples.map((example, exampleIndex) => {
+                        const track = tracks.get(example.trackId);
+                        const time = example.time !== undefined
+                            ? `<a href="#" class="diagnostic-jump" data-diagnostic="${index}" data-example="${exampleIndex}">${this.formatTime(example.time)}</a>`
+                            : '';
+                        return `<li>${time} ${App.escapeHtml(example.name || '')}${track ? ` <span class="diagnostic-track">${App.escapeHtml(`${track.processName} > ${track.name}`)}</span>` : ''}</li>`;
+                    }).join('')}
+                </ul>
+                ${diagnostic.count > diagnostic.examples.length ? `<div class="diagnostic-more">First ${diagnostic.examples.length} of ${diagnostic.count.toLocaleString()} shown</div>` : ''}
+                ` : ''}
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.diagnostic-jump').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const example = diagnostics[parseInt(link.dataset.diagnostic)].examples[parseInt(link.dataset.example)];
+                this.viewer.focusTime(example.time, example.duration || 0);
+                this.updateZoomLevel();
+            });
+        });
+    }
+
+    /**
+     * Forget the query engine and results of the previous trace
+     */
+    resetQuery() {
+        this.query = null;
+        this.queryResult = null;
+        this.queryExport = null;
+        this.renderQueryResult();
+    }
+
+    /**
+     * Run the query in the Query tab over the loaded trace
+     */
+    runQuery() {
+        const sql = document.getElementById('queryInput').value;
+        const status = document.getElementById('queryStatus');
+        if (!this.traceData) {
+            status.textContent = 'Load a trace first';
+            return;
+        }
+        if (!sql.trim()) return;
+
+        try {
+            if (!this.query) this.query = new TraceQuery(this.traceData);
+            const startTime = performance.now();
+            this.queryResult = { sql, ...this.query.execute(sql) };
+            this.renderQueryResult(performance.now() - startTime);
+        } catch (error) {
+            this.queryResult = null;
+            this.renderQueryResult();
+            status.textContent = error.message;
+            status.classList.add('query-error');
+        }
+    }
+
+    /**
+     * Results grid of the last query (the first QUERY_GRID_MAX_ROWS rows), or the table list before any query
+     */
+    renderQueryResult(elapsedMs = 0) {
+        const container = document.getElementById('queryResults');
+        const status = document.getElementById('queryStatus');
+        const result = this.queryResult;
+        status.classList.remove('query-error');
+        document.getElementById('selectQuerySlicesBtn').disabled = !result || !result.sliceIds || result.sliceIds.length === 0;
+        document.getElementById('exportQueryBtn').disabled = !result;
+
+        if (!result) {
+            status.textContent = '';
+            const schema = TraceQuery.getSchema();
+            container.innerHTML = `
+                <div class="query-schema">
+                    <p class="placeholder">${this.traceData ? 'Query the trace with SQL: SELECT, JOIN ... ON, WHERE, GROUP BY, HAVING, ORDER BY, LIMIT. Times are in ns; number literals take a unit, e.g. dur > 2ms.' : 'Load a trace to query it'}</p>
+                    ${Object.entries(schema).map(([table, columns]) => `<div><span class="query-table-name">${table}</span> ${columns.join(', ')}</div>`).join('')}
+                </div>
+            `;
+            return;
+        }
+
+        const shown = result.rows.slice(0, QUERY_GRID_MAX_ROWS);
+        status.textContent = `${result.rows.length.toLocaleString()} row${result.rows.length === 1 ? '' : 's'} in ${elapsedMs.toFixed(1)} ms` +
+            (result.rows.length > shown.length ? `, showing the first ${shown.length.toLocaleString()}` : '');
+        container.innerHTML = `
+            <table class="breakdown-table query-table">
+                <thead>
+                    <tr>${result.columns.map(column => `<th>${App.escapeHtml(column)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${shown.map(row => `<tr>${row.map(value => `<td class="${typeof value === 'number' ? 'query-number' : ''}">${value === null ? '<span class="query-null">NULL</span>' : App.escapeHtml(value)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Select the slices of the last query result in the timeline and zoom to them
+     */
+    selectQuerySlices() {
+        const ids = this.queryResult && this.queryResult.sliceIds;
+        if (!ids || ids.length === 0) return;
+
+        this.viewer.selectSlicesById(ids);
+        this.updateZoomLevel();
+    }
+
+    /**
+     * Explain what was salvaged from a truncated or malformed JSON trace
+     */
+    describeJSONRecovery(fileName, recovery) {
+        const problems = [];
+        if (recovery.truncated) problems.push('the file ends mid-event');
+        if (recovery.malformedEvents) problems.push(`${recovery.malformedEvents} malformed events`);
+        if (recovery.envelopeLost) problems.push('unreadable top-level fields');
+
+        return `${fileName} is damaged${problems.length ? ` (${problems.join(', ')})` : ''}. ` +
+            `Recovered ${recovery.recoveredEvents.toLocaleString()} events and skipped ${TraceParser.formatBytes(recovery.skippedBytes)}.` +
+            (recovery.error ? ` Parser error: ${recovery.error}` : '');
+    }
+
+    showWarningBanner(message) {
+        document.getElementById('warningBannerText').textContent = message;
+        document.getElementById('warningBanner').style.display = '';
+    }
+
+    hideWarningBanner() {
+        document.getElementById('warningBanner').style.display = 'none';
     }
 
     /**
      * Load demo trace
      */
     loadDemoTrace() {
+        // Supersede any file still loading
+        this.loadId++;
+        this.cancelArchivePick();
+        this.workerClient.cancel();
+        this.hideLoadProgress();
+        this.hideWarningBanner();
+        this.sources = [];
+        this.renderSourceBar();
         this.updateStatus('Loading demo trace...', 'loading');
 
         // Create demo trace
         this.traceData = this.parser.createDemoTrace();
         this.viewer.loadTrace(this.traceData);
+        this.updateTimeModeOptions();
+        this.renderDiagnostics();
+        this.resetQuery();
 
         const sliceCount = this.traceData.slices.length;
         const trackCount = this.traceData.tracks.length;
-        const duration = TraceParser.formatDuration(this.traceData.timeRange.end - this.traceData.timeRange.start);
+        const duration = this.formatDuration(this.traceData.timeRange.end - this.traceData.timeRange.start);
 
         this.updateStatus(`Demo loaded: ${sliceCount} slices across ${trackCount} tracks (${duration})`);
         this.updateZoomLevel();
@@ -210,45 +721,98 @@ class App {
             tooltip.innerHTML = `
                 <div class="tooltip-title">${slice.name}</div>
                 <div class="tooltip-details">
-                    <div>Duration: ${TraceParser.formatDuration(slice.duration)}</div>
-                    <div>Start: ${TraceParser.formatTimestamp(slice.startTime)}</div>
-                    <div>Track: ${track ? track.name : 'Unknown'}</div>
+                    <div>${slice.instant ? `Instant (${slice.scope})` : `Duration: ${this.formatDuration(slice.duration)}`}</div>
+                    ${slice.childCount > 0 ? `<div>Self: ${this.formatDuration(slice.selfTime)} (${slice.childCount} ${slice.childCount === 1 ? 'child' : 'children'})</div>` : ''}
+                    <div>Start: ${this.formatTime(slice.startTime)}</div>
+                    <div>Track: ${track ? track.name : 'Unknown'}${track && track.type === 'async' ? ' (async)' : ''}</div>
+                    ${slice.asyncId !== undefined ? `<div>Async ID: ${App.escapeHtml(slice.asyncId)}</div>` : ''}
                     ${slice.category ? `<div>Category: ${slice.category}</div>` : ''}
                 </div>
             `;
+            this.positionTooltip(tooltip, x, y);
+        } else {
+            tooltip.style.display = 'none';
+        }
+    }
 
-            // Position tooltip
-            const containerRect = document.getElementById('canvasContainer').getBoundingClientRect();
-            let left = x - containerRect.left + 10;
-            let top = y - containerRect.top + 10;
+    /**
+     * Handle counter hover
+     */
+    handleCounterHover(track, sample, x, y) {
+        const tooltip = document.getElementById('hoverTooltip');
 
-            // Keep tooltip in view
-            if (left + 300 > containerRect.width) {
-                left = x - containerRect.left - 310;
-            }
-            if (top + 100 > containerRect.height) {
-                top = y - containerRect.top - 110;
-            }
+        if (track && sample) {
+            tooltip.innerHTML = `
+                <div class="tooltip-title">${track.name}</div>
+                <div class="tooltip-details">
+                    <div>Value: ${TraceParser.formatCounterValue(sample.value)}</div>
+                    <div>Time: ${this.formatTime(sample.time)}</div>
+                    <div>Process: ${track.processName}</div>
+                </div>
+            `;
+            this.positionTooltip(tooltip, x, y);
+        } else if (!this.viewer.hoveredSlice && !this.viewer.hoveredThreadState) {
+            tooltip.style.display = 'none';
+        }
+    }
 
-            tooltip.style.left = `${left}px`;
-            tooltip.style.top = `${top}px`;
-            tooltip.style.display = 'block';
-        } else {
+    /**
+     * Handle thread state band hover
+     */
+    handleThreadStateHover(track, state, x, y) {
+        const tooltip = document.getElementById('hoverTooltip');
+
+        if (track && state) {
+            tooltip.innerHTML = `
+                <div class="tooltip-title">${state.state}</div>
+                <div class="tooltip-details">
+                    <div>Duration: ${this.formatDuration(state.duration)}</div>
+                    <div>Start: ${this.formatTime(state.startTime)}</div>
+                    <div>Thread: ${App.escapeHtml(track.name)} (${track.tid})</div>
+                    ${state.cpu !== undefined ? `<div>CPU: ${state.cpu}</div>` : ''}
+                    ${state.wakerTid !== undefined ? `<div>Woken by: ${App.escapeHtml(state.wakerName)} (${state.wakerTid})</div>` : ''}
+                </div>
+            `;
+            this.positionTooltip(tooltip, x, y);
+        } else if (!this.viewer.hoveredSlice && !this.viewer.hoveredCounter) {
             tooltip.style.display = 'none';
         }
     }
 
+    /**
+     * Position the hover tooltip next to the cursor, keeping it in view
+     */
+    positionTooltip(tooltip, x, y) {
+        const containerRect = document.getElementById('canvasContainer').getBoundingClientRect();
+        let left = x - containerRect.left + 10;
+        let top = y - containerRect.top + 10;
+
+        // Keep tooltip in view
+        if (left + 300 > containerRect.width) {
+            left = x - containerRect.left - 310;
+        }
+        if (top + 100 > containerRect.height) {
+            top = y - containerRect.top - 110;
+        }
+
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${top}px`;
+        tooltip.style.display = 'block';
+    }
+
     /**
      * Handle selection change
      */
     handleSelectionChange(slices) {
+        // A new selection (not a refresh of the current one) takes the LLM export back from a query result
+        if (slices !== this.selectedSlices) this.queryExport = null;
         this.selectedSlices = slices;
         
         // Update status bar
         const selectionInfo = document.getElementById('selectionInfo');
         if (slices.length > 0) {
             const totalDuration = slices.reduce((sum, s) => sum + s.duration, 0);
-            selectionInfo.textContent = `${slices.length} slice(s) selected (${TraceParser.formatDuration(totalDuration)} total)`;
+            selectionInfo.textContent = `${slices.length} slice(s) selected (${this.formatDuration(totalDuration)} total)`;
         } else {
             selectionInfo.textContent = '';
         }
@@ -280,10 +844,81 @@ class App {
      */
     handleViewChange(viewStart, viewEnd) {
         const viewRange = document.getElementById('viewRange');
-        viewRange.textContent = `View: ${TraceParser.formatTimestamp(viewStart)} - ${TraceParser.formatTimestamp(viewEnd)}`;
+        viewRange.textContent = `View: ${this.formatTime(viewStart)} - ${this.formatTime(viewEnd)}`;
         this.updateZoomLevel();
     }
 
+    /**
+     * Switch the time base of the ruler, tooltips and details
+     * @param {string} mode - 'relative', 'absolute' or 'wall'
+     */
+    setTimeMode(mode) {
+        this.timeMode = mode;
+        document.getElementById('timeModeSelect').value = mode;
+        this.viewer.setTimeMode(mode);
+        this.handleViewChange(this.viewer.viewStart, this.viewer.viewEnd);
+        this.handleSelectionChange(this.selectedSlices);
+        this.renderDiagnostics();
+    }
+
+    /**
+     * Show the renderer in use, which is Canvas 2D after a WebGL fallback
+     */
+    updateRendererSelect(renderer) {
+        document.getElementById('rendererSelect').value = renderer;
+    }
+
+    /**
+     * Renderer chosen in an earlier session, 'canvas' by default
+     */
+    loadRendererChoice() {
+        try {
+            return localStorage.getItem(RENDERER_STORAGE_KEY) === 'webgl' ? 'webgl' : 'canvas';
+        } catch (error) {
+            // Storage is unavailable, e.g. blocked by privacy settings
+            return 'canvas';
+        }
+    }
+
+    /**
+     * Remember the renderer chosen in the toolbar; a fallback after a lost WebGL context is not saved
+     */
+    saveRendererChoice(renderer) {
+        try {
+            localStorage.setItem(RENDERER_STORAGE_KEY, renderer);
+        } catch (error) {
+            console.warn('Could not save the renderer choice:', error.message);
+        }
+    }
+
+    /**
+     * Offer wall-clock time only for traces with a wall-clock anchor
+     */
+    updateTimeModeOptions() {
+        const hasWallClock = !!this.traceData.metadata.wallClock;
+        const exportTimeMode = document.getElementById('exportTimeMode');
+        [exportTimeMode, document.getElementById('timeModeSelect')].forEach(select => {
+            select.querySelector('option[value="wall"]').disabled = !hasWallClock;
+        });
+        if (hasWallClock) return;
+        if (exportTimeMode.value === 'wall') exportTimeMode.value = 'relative';
+        if (this.timeMode === 'wall') this.setTimeMode('relative');
+    }
+
+    /**
+     * Format a trace time in the selected time base
+     */
+    formatTime(time) {
+        return TraceParser.formatTraceTime(time, this.traceData && this.traceData.metadata, this.timeMode);
+    }
+
+    /**
+     * Format a duration, in the trace's displayTimeUnit if it sets one
+     */
+    formatDuration(duration) {
+        return TraceParser.formatDuration(duration, this.traceData && this.traceData.metadata.displayTimeUnit);
+    }
+
     /**
      * Handle mode change from viewer
      */
@@ -293,7 +928,7 @@ class App {
     }
 
     /**
-     * Handle track visibility change - update LLM output without clearing selection
+     * Handle track visibility or process collapse change - update LLM output without clearing selection
      */
     handleTrackVisibilityChange(trackId, isVisible) {
         // Update LLM output to reflect hidden/shown tracks
@@ -351,29 +986,77 @@ class App {
         if (slices.length === 1) {
             const slice = slices[0];
             const track = this.parser.getTrackById(slice.trackId);
+            const flows = this.viewer.getFlowsForSlice(slice);
+            const hasFlows = flows.incoming.length > 0 || flows.outgoing.length > 0;
+            const parent = slice.parentId !== null ? this.parser.getSliceById(slice.parentId) : null;
             grid.innerHTML = `
                 <div class="detail-card single-slice">
                     <div class="detail-card-header">
                         <span class="detail-card-title">${slice.name}</span>
-                        <span class="detail-card-duration">${TraceParser.formatDuration(slice.duration)}</span>
+                        <span class="detail-card-duration">${slice.instant ? `instant (${slice.scope})` : this.formatDuration(slice.duration)}</span>
                     </div>
                     <div class="detail-card-body">
                         <div class="detail-row">
                             <label>Start</label>
-                            <span class="value">${TraceParser.formatTimestamp(slice.startTime)}</span>
+                            <span class="value">${this.formatTime(slice.startTime)}</span>
                         </div>
                         <div class="detail-row">
                             <label>End</label>
-                            <span class="value">${TraceParser.formatTimestamp(slice.endTime)}</span>
+                            <span class="value">${this.formatTime(slice.endTime)}${slice.unterminated ? ' (did not end, clamped to trace end)' : ''}</span>
                         </div>
                         <div class="detail-row">
                             <label>Track</label>
-                            <span class="value">${track ? track.name : 'Unknown'}</span>
+                            <span class="value">${track ? track.name : 'Unknown'}${track && track.type === 'async' ? ' (async)' : ''}</span>
                         </div>
+                        ${!slice.instant ? `
+                        <div class="detail-row">
+                            <label>Self Time</label>
+                            <span class="value">${this.formatDuration(slice.selfTime)}${slice.duration > 0 ? ` (${(slice.selfTime / slice.duration * 100).toFixed(1)}%)` : ''}</span>
+                        </div>
+                        ` : ''}
+                        ${parent ? `
+                        <div class="detail-row">
+                            <label>Parent</label>
+                            <span class="value">
+                                ${App.escapeHtml(parent.name)}
+                                <button id="selectParentSliceBtn" class="btn btn-small" title="Select the enclosing slice">Select</button>
+                            </span>
+                        </div>
+                        ` : ''}
+                        ${slice.childCount > 0 ? `
+                        <div class="detail-row">
+                            <label>Children</label>
+                            <span class="value">
+                                ${slice.childCount}
+                                <button id="selectChildSlicesBtn" class="btn btn-small" title="Select the slices directly inside this one">Select children</button>
+                            </span>
+                        </div>
+                        ` : ''}
+                        ${slice.asyncId !== undefined ? `
+                        <div class="detail-row">
+                            <label>Async ID</label>
+                            <span class="value">${App.escapeHtml(slice.asyncId)}</span>
+                        </div>
+                        ` : ''}
                         <div class="detail-row">
                             <label>Process</label>
                             <span class="value">${track ? track.processName : 'Unknown'}</span>
                         </div>
+                        ${slice.source ? `
+                        <div class="detail-row">
+                            <label>Source</label>
+                            <span class="value">${App.escapeHtml(slice.source)}</span>
+                        </div>
+                        ` : ''}
+                        ${hasFlows ? `
+                        <div class="detail-row">
+                            <label>Flows</label>
+                            <span class="value">
+                                ${flows.incoming.length} in, ${flows.outgoing.length} out
+                                <button id="selectFlowChainBtn" class="btn btn-small" title="Select every slice connected by flows">Select flow chain</button>
+                            </span>
+                        </div>
+                        ` : ''}
                         ${slice.category ? `
                         <div class="detail-row">
                             <label>Category</label>
@@ -389,6 +1072,22 @@ class App {
                     </div>
                 </div>
             `;
+
+            if (hasFlows) {
+                document.getElementById('selectFlowChainBtn').addEventListener('click', () => {
+                    this.viewer.selectFlowChain(slice);
+                });
+            }
+            if (parent) {
+                document.getElementById('selectParentSliceBtn').addEventListener('click', () => {
+                    this.viewer.selectSlicesById([parent.id]);
+                });
+            }
+            if (slice.childCount > 0) {
+                document.getElementById('selectChildSlicesBtn').addEventListener('click', () => {
+                    this.viewer.selectSlicesById(this.parser.getChildSliceIds(slice.id));
+                });
+            }
             return;
         }
 
@@ -451,25 +1150,25 @@ class App {
                                 <td class="label">Total Slices</td>
                                 <td class="value">${slices.length}</td>
                                 <td class="label">Time Span</td>
-                                <td class="value">${TraceParser.formatDuration(timeSpan)}</td>
+                                <td class="value">${this.formatDuration(timeSpan)}</td>
                             </tr>
                             <tr>
                                 <td class="label">Total Duration</td>
-                                <td class="value">${TraceParser.formatDuration(totalDuration)}</td>
+                                <td class="value">${this.formatDuration(totalDuration)}</td>
                                 <td class="label">Avg Duration</td>
-                                <td class="value">${TraceParser.formatDuration(avgDuration)}</td>
+                                <td class="value">${this.formatDuration(avgDuration)}</td>
                             </tr>
                             <tr>
                                 <td class="label">Min Duration</td>
-                                <td class="value">${TraceParser.formatDuration(minDuration)}</td>
+                                <td class="value">${this.formatDuration(minDuration)}</td>
                                 <td class="label">Max Duration</td>
-                                <td class="value">${TraceParser.formatDuration(maxDuration)}</td>
+                                <td class="value">${this.formatDuration(maxDuration)}</td>
                             </tr>
                             <tr>
                                 <td class="label">Start Time</td>
-                                <td class="value">${TraceParser.formatTimestamp(minStart)}</td>
+                                <td class="value">${this.formatTime(minStart)}</td>
                                 <td class="label">End Time</td>
-                                <td class="value">${TraceParser.formatTimestamp(maxEnd)}</td>
+                                <td class="value">${this.formatTime(maxEnd)}</td>
                             </tr>
                         </tbody>
                     </table>
@@ -494,9 +1193,9 @@ class App {
                                     <tr>
                                         <td class="col-name" title="${name}">${name}</td>
                                         <td class="col-count">${data.count}</td>
-                                        <td class="col-total">${TraceParser.formatDuration(data.totalDuration)}</td>
-                                        <td class="col-avg">${TraceParser.formatDuration(data.totalDuration / data.count)}</td>
-                                        <td class="col-range">${TraceParser.formatDuration(data.minDur)} / ${TraceParser.formatDuration(data.maxDur)}</td>
+                                        <td class="col-total">${this.formatDuration(data.totalDuration)}</td>
+                                        <td class="col-avg">${this.formatDuration(data.totalDuration / data.count)}</td>
+                                        <td class="col-range">${this.formatDuration(data.minDur)} / ${this.formatDuration(data.maxDur)}</td>
                                     </tr>
                                 `).join('')}
                                 ${namesSorted.length > 15 ? `
@@ -527,7 +1226,7 @@ class App {
                                     <tr>
                                         <td class="col-name" title="${name}">${name}</td>
                                         <td class="col-count">${data.count}</td>
-                                        <td class="col-total">${TraceParser.formatDuration(data.totalDuration)}</td>
+                                        <td class="col-total">${this.formatDuration(data.totalDuration)}</td>
                                         <td class="col-pct">${((data.totalDuration / totalDuration) * 100).toFixed(1)}%</td>
                                     </tr>
                                 `).join('')}
@@ -646,6 +1345,11 @@ class App {
     updateLLMOutput() {
         const format = document.getElementById('exportFormat').value;
         const output = document.getElementById('llmOutput');
+
+        if (this.queryExport) {
+            output.value = this.exporter.exportQueryResult(this.queryExport, this.queryExport.sql, format);
+            return;
+        }
         
         // Use getSelectedSlicesForExport to exclude hidden tracks
         const slices = this.viewer.getSelectedSlicesForExport();
@@ -653,14 +1357,23 @@ class App {
         const viewInfo = {
             viewStart: this.viewer.viewStart,
             viewEnd: this.viewer.viewEnd,
-            zoom: this.viewer.zoom
+            zoom: this.viewer.zoom,
+            timeMode: document.getElementById('exportTimeMode').value,
+            traceMetadata: this.traceData ? this.traceData.metadata : {}
+        };
+
+        const extras = {
+            counters: this.viewer.getCounterSeriesForExport(),
+            threadStates: this.viewer.getThreadStatesForExport(),
+            flows: this.viewer.flows
         };
 
         output.value = this.exporter.export(
             slices, 
             this.traceData ? this.traceData.tracks : [], 
             format,
-            viewInfo
+            viewInfo,
+            extras
         );
     }
 
@@ -725,6 +1438,18 @@ class App {
         status.textContent = message;
         status.className = type === 'loading' ? 'loading' : '';
     }
+
+    /**
+     * Escape text from a trace (file, slice and track names, ...) for use in innerHTML
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 }
 
 // Initialize app when DOM is ready
@@ -0,0 +1,207 @@
+/**
+ * Node.js Module
+ * Runs the web UI's parser and exporter scripts unchanged, taking file paths and Buffers instead of File objects
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// In dependency order: each script sees the classes exported by the scripts before it
+const BROWSER_SCRIPTS = ['proto-reader.js', 'zip-reader.js', 'json-event-tokenizer.js', 'slice-store.js', 'trace-parser.js', 'llm-exporter.js', 'trace-query.js'];
+
+const TIME_UNITS = { ns: 1, us: 1e3, 'µs': 1e3, ms: 1e6, s: 1e9 };
+const TIME_RANGE_REGEX = /^\s*(\d+(?:\.\d+)?)\s*(ns|us|µs|ms|s)?\s*-\s*(\d+(?:\.\d+)?)\s*(ns|us|µs|ms|s)\s*$/;
+
+/**
+ * Evaluate the browser scripts in this realm. They export onto window, which here is a private
+ * namespace; their log messages go to stderr so they never mix with output written to stdout.
+ */
+function loadBrowserScripts() {
+    const window = {};
+    const log = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+    for (const file of BROWSER_SCRIPTS) {
+        const filename = path.join(__dirname, file);
+        const names = Object.keys(window);
+        // Keep the source on the wrapper's first line so stack traces point at the right lines
+        const run = vm.runInThisContext(`(function (window, console, ${names.join(', ')}) {${fs.readFileSync(filename, 'utf8')}\n})`, { filename });
+        run(window, log, ...names.map(name => window[name]));
+    }
+    return window;
+}
+
+const { TraceParser, LLMExporter, TraceQuery } = loadBrowserScripts();
+
+/**
+ * Copy of the bytes as a standalone ArrayBuffer (small Buffers share a pooled one)
+ */
+function toArrayBuffer(input) {
+    if (input instanceof ArrayBuffer) return input;
+    return input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+}
+
+/**
+ * Parse one trace file in any format the web UI opens (gzip and ZIP included)
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} input - File path or file contents
+ * @returns {Promise<Object>} Parsed trace data: { tracks, slices, flows, metadata, timeRange }
+ */
+async function parseTrace(input) {
+    const bytes = typeof input === 'string' ? await fs.promises.readFile(input) : input;
+    return new TraceParser().parseBuffer(toArrayBuffer(bytes));
+}
+
+/**
+ * Parse several traces into one session, aligned as when loading multiple files in the web UI
+ * @param {Array<string|{name: string, data: (Buffer|ArrayBuffer|Uint8Array)}>} inputs - File paths or named contents
+ * @returns {Promise<Object>} Parsed trace data; tracks and slices name their source file
+ */
+async function parseTraces(inputs) {
+    const sources = [];
+    for (const input of inputs) {
+        const name = typeof input === 'string' ? path.basename(input) : input.name;
+        const data = await parseTrace(typeof input === 'string' ? input : input.data);
+        sources.push({ name, data, offset: 0 });
+    }
+    if (sources.length === 1) return sources[0].data;
+
+    sources.forEach((source, i) => {
+        source.name = TraceParser.getUniqueSourceName(source.name, sources.slice(0, i));
+    });
+    return new TraceParser().mergeSources(sources);
+}
+
+/**
+ * Parse a time range such as "1.2s-1.5s", "200-350ms" or "1500us-2ms" (times since trace start)
+ * @returns {{start: number, end: number}} Range in nanoseconds
+ */
+function parseTimeRange(text) {
+    const match = TIME_RANGE_REGEX.exec(text);
+    if (!match) {
+        throw new Error(`Invalid time range "${text}", expected <start>-<end> with a unit (ns, us, ms or s), e.g. 1.2s-1.5s`);
+    }
+    const start = Math.round(parseFloat(match[1]) * TIME_UNITS[match[2] || match[4]]);
+    const end = Math.round(parseFloat(match[3]) * TIME_UNITS[match[4]]);
+    if (end < start) throw new Error(`Invalid time range "${text}": end is before start`);
+    return { start, end };
+}
+
+/**
+ * Tracks whose thread or process name contains one of the given names (case-insensitive)
+ */
+function findTracks(tracks, names) {
+    const patterns = names.map(name => name.toLowerCase());
+    return tracks.filter(track => patterns.some(pattern =>
+        String(track.name).toLowerCase().includes(pattern) || String(track.processName).toLowerCase().includes(pattern)
+    ));
+}
+
+/**
+ * The slices an export covers, as if selected in the web UI: those overlapping the range on the
+ * given tracks (all tracks by default). Global instants are kept whatever their track.
+ * @param {Object} data - Parsed trace data
+ * @param {Object} [options] - { range: {start, end} in ns since trace start, tracks: [names] }
+ */
+function selectSlices(data, options = {}) {
+    const start = data.timeRange.start + (options.range ? options.range.start : 0);
+    const end = options.range ? data.timeRange.start + options.range.end : data.timeRange.end;
+    const trackIds = options.tracks && options.tracks.length > 0
+        ? new Set(findTracks(data.tracks, options.tracks).map(track => track.id))
+        : null;
+
+    const store = data.slices;
+    const slices = [];
+    for (let id = 0; id < store.length; id++) {
+        if (store.getEndTime(id) >= start && store.startTimes[id] <= end &&
+            (!trackIds || trackIds.has(store.trackIds[id]) || store.getScope(id) === 'global')) {
+            slices.push(store.get(id));
+        }
+    }
+    return slices;
+}
+
+/**
+ * Counter series and thread states over the selection's time span, matching what the web UI
+ * exports alongside a selection
+ */
+function getExportExtras(data, slices, trackNames) {
+    const { start, end } = LLMExporter.getTimeRange(slices);
+    const counterTracks = trackNames && trackNames.length > 0
+        ? findTracks(data.tracks, trackNames)
+        : data.tracks;
+
+    const counters = [];
+    counterTracks.filter(track => track.counter).forEach(track => {
+        const samples = track.counter.samples;
+        // Include the sample in effect at the start of the range
+        let first = 0;
+        while (first + 1 < samples.length && samples[first + 1].time <= start) first++;
+        const inRange = samples.slice(first).filter(sample => sample.time <= end);
+        if (inRange.length > 0) counters.push({ track, samples: inRange });
+    });
+
+    const trackIds = new Set(slices.map(slice => slice.trackId));
+    const threadStates = [];
+    data.tracks.filter(track => track.threadStates && trackIds.has(track.id)).forEach(track => {
+        const states = track.threadStates
+            .filter(state => state.endTime > start && state.startTime < end)
+            .map(state => {
+                const clippedStart = Math.max(start, state.startTime);
+                const clippedEnd = Math.min(end, state.endTime);
+                return { ...state, startTime: clippedStart, endTime: clippedEnd, duration: clippedEnd - clippedStart };
+            });
+        if (states.length > 0) threadStates.push({ track, states });
+    });
+
+    return { counters, threadStates, flows: data.flows || [] };
+}
+
+/**
+ * Format parsed trace data for an LLM, exactly as the web UI's LLM export tab does
+ * @param {Object} data - Parsed trace data, see parseTrace
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'structured' (default), 'markdown', 'json' or 'analysis'
+ * @param {{start: number, end: number}|string} [options.range] - Time range since trace start, in ns or as parseTimeRange text
+ * @param {Array<string>} [options.tracks] - Only tracks whose thread or process name contains one of these
+ * @param {string} [options.timeMode] - 'relative' (default), 'absolute' or 'wall'
+ * @returns {string} Formatted output
+ */
+function exportTrace(data, options = {}) {
+    const range = typeof options.range === 'string' ? parseTimeRange(options.range) : options.range;
+    const slices = selectSlices(data, { range, tracks: options.tracks });
+
+    const viewInfo = {
+        viewStart: range ? data.timeRange.start + range.start : data.timeRange.start,
+        viewEnd: range ? data.timeRange.start + range.end : data.timeRange.end,
+        zoom: 1,
+        timeMode: options.timeMode || 'relative',
+        traceMetadata: data.metadata
+    };
+    const extras = slices.length > 0 ? getExportExtras(data, slices, options.tracks) : {};
+
+    return new LLMExporter().export(slices, data.tracks, options.format || 'structured', viewInfo, extras);
+}
+
+/**
+ * Run a query over parsed trace data and format its result for an LLM, as the web UI's Query tab
+ * does with "Send to LLM Export"
+ * @param {Object} data - Parsed trace data, see parseTrace
+ * @param {string} sql - SELECT statement, see TraceQuery
+ * @param {Object} [options] - { format: 'structured' (default), 'markdown', 'json' or 'analysis' }
+ * @returns {string} Formatted output
+ */
+function exportQuery(data, sql, options = {}) {
+    const result = new TraceQuery(data).execute(sql);
+    return new LLMExporter().exportQueryResult(result, sql, options.format || 'structured');
+}
+
+module.exports = {
+    TraceParser,
+    LLMExporter,
+    TraceQuery,
+    parseTrace,
+    parseTraces,
+    parseTimeRange,
+    selectSlices,
+    exportTrace,
+    exportQuery
+};
@@ -0,0 +1,165 @@
+/**
+ * JSON Event Tokenizer
+ * Incrementally extracts trace events from Chrome JSON text so large traces never exist as one string
+ */
+
+class JSONEventTokenizer {
+    /**
+     * @param {Function} onEvent - Called with each parsed event object
+     */
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.carry = ''; // Unconsumed text of an event split across chunks
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.eventsDepth = -1; // Nesting depth of event objects' container, -1 until found
+        this.eventsDone = false;
+        this.arrayRoot = false;
+        this.eventStart = -1;
+        this.envelope = []; // Text outside the events array
+        this.envelopeTail = '';
+        this.eventCount = 0;
+        this.malformedEvents = 0; // Event objects that failed JSON.parse
+        this.skippedBytes = 0; // Characters of malformed events, a cut-off last event or an unreadable envelope
+        this.envelopeLost = false;
+    }
+
+    /**
+     * Feed the next chunk of decoded text
+     */
+    push(chunk) {
+        const text = this.carry + chunk;
+        let i = this.carry.length;
+        // Index where text outside the events array starts, -1 while inside it
+        let envelopeFrom = this.eventsDepth === -1 || this.eventsDone ? i : -1;
+
+        for (; i < text.length; i++) {
+            const c = text.charCodeAt(i);
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (c === 0x5C) { // backslash
+                    this.escaped = true;
+                } else if (c === 0x22) { // quote
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (c === 0x22) {
+                this.inString = true;
+            } else if (c === 0x7B || c === 0x5B) { // { or [
+                if (this.eventsDepth === -1 && c === 0x5B && this.isEventsArrayStart(text, envelopeFrom, i)) {
+                    this.appendEnvelope(text.slice(envelopeFrom, i + 1));
+                    envelopeFrom = -1;
+                    this.eventsDepth = this.depth + 1;
+                } else if (this.depth === this.eventsDepth && !this.eventsDone && c === 0x7B) {
+                    this.eventStart = i;
+                }
+                this.depth++;
+            } else if (c === 0x7D || c === 0x5D) { // } or ]
+                this.depth--;
+                if (this.eventStart !== -1 && this.depth === this.eventsDepth) {
+                    this.emit(text.slice(this.eventStart, i + 1));
+                    this.eventStart = -1;
+                } else if (!this.eventsDone && this.depth === this.eventsDepth - 1 && c === 0x5D) {
+                    this.eventsDone = true;
+                    envelopeFrom = i;
+                }
+            }
+        }
+
+        if (this.eventStart !== -1) {
+            this.carry = text.slice(this.eventStart);
+            this.eventStart = 0;
+        } else {
+            this.carry = '';
+        }
+        if (envelopeFrom !== -1) {
+            this.appendEnvelope(text.slice(envelopeFrom));
+        }
+    }
+
+    /**
+     * Whether the '[' at index opens the event list: the root array, or the value of the top-level "traceEvents" key
+     */
+    isEventsArrayStart(text, envelopeFrom, index) {
+        if (this.depth === 0) {
+            this.arrayRoot = true;
+            return true;
+        }
+        if (this.depth !== 1) return false;
+        const tail = (this.envelopeTail + text.slice(Math.max(envelopeFrom, index - 64), index)).slice(-64);
+        return /"traceEvents"\s*:\s*$/.test(tail);
+    }
+
+    appendEnvelope(text) {
+        this.envelope.push(text);
+        this.envelopeTail = (this.envelopeTail + text).slice(-64);
+    }
+
+    emit(text) {
+        let event;
+        try {
+            event = JSON.parse(text);
+        } catch (error) {
+            this.malformedEvents++;
+            this.skippedBytes += text.length;
+            return;
+        }
+        this.eventCount++;
+        this.onEvent(event);
+    }
+
+    /**
+     * Finish tokenizing. Text cut off mid-event is dropped, and an envelope cut off inside the
+     * events array is closed, so truncated traces keep every complete event.
+     * @returns {Object} The top-level object without its events (empty for a root array)
+     */
+    finish() {
+        if (this.eventStart !== -1) {
+            this.skippedBytes += this.carry.length;
+            this.carry = '';
+            this.eventStart = -1;
+        }
+        if (this.arrayRoot) return {};
+
+        const envelope = this.envelope.join('');
+        if (!envelope.trim()) return {};
+        try {
+            return JSON.parse(envelope);
+        } catch (error) {
+            if (this.eventsDepth !== -1 && !this.eventsDone) {
+                try {
+                    return JSON.parse(envelope + ']}');
+                } catch (closeError) {
+                    // Fall through: damaged before the events array too
+                }
+            }
+            if (this.eventCount === 0) throw error;
+            this.envelopeLost = true;
+            this.skippedBytes += envelope.length;
+            return {};
+        }
+    }
+
+    /**
+     * What finish() had to drop, or null if nothing was lost
+     * A missing closing bracket alone loses nothing (the Chrome trace format allows it)
+     */
+    getRecoveryStats() {
+        if (this.skippedBytes === 0 && this.malformedEvents === 0) return null;
+        return {
+            recoveredEvents: this.eventCount,
+            malformedEvents: this.malformedEvents,
+            truncated: this.depth > 0 || this.inString,
+            envelopeLost: this.envelopeLost,
+            skippedBytes: this.skippedBytes
+        };
+    }
+}
+
+// Export for use in other files
+window.JSONEventTokenizer = JSONEventTokenizer;
@@ -3,6 +3,9 @@
  * Converts selected trace slices to LLM-parseable formats
  */
 
+// Rows of a query result included in an export
+const QUERY_EXPORT_MAX_ROWS = 500;
+
 class LLMExporter {
     constructor() {
         this.formats = {
@@ -11,6 +14,7 @@ class LLMExporter {
             json: this.toJSON.bind(this),
             analysis: this.toAnalysisPrompt.bind(this)
         };
+        this.trackIndexes = new WeakMap(); // tracks array -> Map of track id -> track
     }
 
     /**
@@ -39,46 +43,198 @@ class LLMExporter {
         return { min, max };
     }
 
+    /**
+     * Split a selection into duration slices and instant events
+     */
+    static partitionInstants(slices) {
+        const durationSlices = [];
+        const instants = [];
+        for (const s of slices) {
+            (s.instant ? instants : durationSlices).push(s);
+        }
+        return { durationSlices, instants };
+    }
+
+    /**
+     * Time in a slice not spent in its children; slices built without nesting info count in full
+     */
+    static getSelfTime(slice) {
+        return slice.selfTime !== undefined ? slice.selfTime : slice.duration;
+    }
+
+    /**
+     * Text for a Markdown table cell; pipes and line breaks in it would split cells and rows
+     */
+    static markdownCell(value) {
+        return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    }
+
+    /**
+     * Downsample a series to at most maxPoints evenly spaced entries (always keeps the last one)
+     */
+    static downsample(items, maxPoints) {
+        if (items.length <= maxPoints) return items;
+        const step = (items.length - 1) / (maxPoints - 1);
+        const result = [];
+        for (let i = 0; i < maxPoints; i++) {
+            result.push(items[Math.round(i * step)]);
+        }
+        return result;
+    }
+
     /**
      * Export slices to specified format
      * @param {Array} slices - Array of slice objects
      * @param {Array} tracks - Array of track objects
      * @param {string} format - Export format
-     * @param {Object} viewInfo - Current view information
+     * @param {Object} viewInfo - Current view information; timeMode ('relative', 'absolute' or 'wall')
+     *   and traceMetadata choose the time base of exported timestamps
+     * @param {Object} extras - Non-slice data to include:
+     *   { counters: [{ track, samples }], flows: [flow links], threadStates: [{ track, states }] }
      * @returns {string} Formatted output
      */
-    export(slices, tracks, format = 'structured', viewInfo = {}) {
+    export(slices, tracks, format = 'structured', viewInfo = {}, extras = {}) {
         if (!slices || slices.length === 0) {
             return 'No slices selected. Select slices by clicking or drag-selecting in the trace view.';
         }
 
+        this.timeMode = viewInfo.timeMode || 'relative';
+        this.traceMetadata = viewInfo.traceMetadata || {};
+
         const formatter = this.formats[format] || this.formats.structured;
-        return formatter(slices, tracks, viewInfo);
+        return formatter(slices, tracks, viewInfo, extras);
+    }
+
+    /**
+     * Export the result of a TraceQuery in the given format
+     * @param {{columns: Array<string>, rows: Array<Array>}} result - See TraceQuery.execute
+     * @param {string} sql - The query that produced the result
+     * @param {string} format - Export format, as for export
+     * @returns {string} Formatted output
+     */
+    exportQueryResult(result, sql, format = 'structured') {
+        const shown = result.rows.slice(0, QUERY_EXPORT_MAX_ROWS);
+        const more = result.rows.length - shown.length;
+        const query = sql.trim().replace(/\s+/g, ' ');
+        const cell = value => (value === null ? 'NULL' : String(value));
+        const lines = [];
+
+        if (format === 'json') {
+            return JSON.stringify({
+                query,
+                timeUnit: 'ns',
+                rowCount: result.rows.length,
+                columns: result.columns,
+                rows: shown.map(row => Object.fromEntries(result.columns.map((column, i) => [column, row[i]])))
+            }, null, 2);
+        }
+
+        if (format === 'markdown') {
+            lines.push(`# Query: ${result.rows.length} rows`, '', '```sql', query, '```', '');
+            const tableCell = value => LLMExporter.markdownCell(cell(value));
+            lines.push(`| ${result.columns.map(tableCell).join(' | ')} |`);
+            lines.push(`|${result.columns.map(() => '---').join('|')}|`);
+            shown.forEach(row => lines.push(`| ${row.map(tableCell).join(' | ')} |`));
+        } else {
+            if (format === 'analysis') lines.push('Analyze this query result from a performance trace:', '');
+            lines.push(`QUERY: ${query}`);
+            lines.push(`RESULT: ${result.rows.length} rows (times and durations in ns)`);
+            lines.push(result.columns.join(' | '));
+            shown.forEach(row => lines.push(row.map(cell).join(' | ')));
+        }
+        if (more > 0) lines.push('', `(${more} more rows not shown)`);
+        if (format === 'analysis') lines.push('', 'Identify: bottlenecks, optimization opportunities, anomalies');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a timestamp in the export's time base
+     */
+    formatTime(time) {
+        return TraceParser.formatTraceTime(time, this.traceMetadata, this.timeMode);
+    }
+
+    /**
+     * Format a duration in the trace's display unit
+     */
+    formatDuration(duration) {
+        return TraceParser.formatDuration(duration, this.traceMetadata.displayTimeUnit);
+    }
+
+    /**
+     * Header line naming a non-relative time base, or null when times are relative to trace start
+     */
+    describeTimeBase() {
+        if (this.timeMode === 'absolute') return 'Timestamps: original trace clock, seconds';
+        if (this.timeMode === 'wall' && this.traceMetadata.wallClock) return 'Timestamps: wall clock, UTC';
+        return null;
     }
 
     /**
      * Get track info for a slice
      */
     getTrackForSlice(slice, tracks) {
-        return tracks.find(t => t.id === slice.trackId) || { name: 'Unknown', processName: 'Unknown' };
+        if (!this.trackIndexes.has(tracks)) {
+            this.trackIndexes.set(tracks, new Map(tracks.map(track => [track.id, track])));
+        }
+        return this.trackIndexes.get(tracks).get(slice.trackId) || { name: 'Unknown', processName: 'Unknown' };
+    }
+
+    /**
+     * Display name of a track, marking async tracks
+     */
+    getTrackLabel(track) {
+        return track.type === 'async' ? `${track.name} (async)` : track.name;
+    }
+
+    /**
+     * Display name of a track's process: named processes get their pid and any process labels
+     */
+    getProcessLabel(track) {
+        const hasName = track.pid !== undefined && track.pid !== null && track.processName !== `Process ${track.pid}`;
+        const pidStr = hasName ? ` (pid ${track.pid})` : '';
+        const labelsStr = track.processLabels ? ` [${track.processLabels.join(', ')}]` : '';
+        return `${this.getSourcePrefix(track)}${track.processName}${pidStr}${labelsStr}`;
+    }
+
+    /**
+     * Source file prefix for tracks of a multi-file session
+     */
+    getSourcePrefix(track) {
+        return track.source ? `${track.source}: ` : '';
+    }
+
+    /**
+     * Compact per-slice suffix with self time (for slices with children), async id and args
+     */
+    formatSliceDetails(slice) {
+        const selfStr = slice.childCount > 0 ? ` self=${this.formatDuration(slice.selfTime)} children=${slice.childCount}` : '';
+        const idStr = slice.asyncId !== undefined ? ` id=${slice.asyncId}` : '';
+        const argsStr = slice.args && Object.keys(slice.args).length > 0 ? ` ${JSON.stringify(slice.args)}` : '';
+        return `${selfStr}${idStr}${argsStr}`;
     }
 
     /**
      * Format to structured text - compact format optimized for LLM parsing
      */
-    toStructuredText(slices, tracks, viewInfo) {
+    toStructuredText(slices, tracks, viewInfo, extras = {}) {
         const lines = [];
+        const { durationSlices, instants } = LLMExporter.partitionInstants(slices);
         
         // Compact summary
-        const totalDuration = slices.reduce((sum, s) => sum + s.duration, 0);
+        const totalDuration = durationSlices.reduce((sum, s) => sum + s.duration, 0);
         const timeRange = LLMExporter.getTimeRange(slices);
         const span = timeRange.end - timeRange.start;
+        const instantsText = instants.length > 0 ? ` | ${instants.length} instants` : '';
         
-        lines.push(`TRACE: ${slices.length} slices | ${TraceParser.formatDuration(totalDuration)} total | ${TraceParser.formatDuration(span)} span`);
+        lines.push(`TRACE: ${durationSlices.length} slices${instantsText} | ${this.formatDuration(totalDuration)} total | ${this.formatDuration(span)} span`);
+        const timeBase = this.describeTimeBase();
+        if (timeBase) lines.push(timeBase);
         lines.push('');
 
         // Group by track
-        const byTrack = this.groupByTrack(slices, tracks);
+        const byTrack = this.groupByTrack(durationSlices, tracks);
         
         Object.entries(byTrack).forEach(([trackName, trackSlices]) => {
             lines.push(`[${trackName}] (${trackSlices.length})`);
@@ -87,22 +243,60 @@ class LLMExporter {
             trackSlices.sort((a, b) => a.startTime - b.startTime);
             
             trackSlices.forEach(slice => {
-                const argsStr = slice.args && Object.keys(slice.args).length > 0 
-                    ? ` ${JSON.stringify(slice.args)}` 
-                    : '';
-                lines.push(`  ${TraceParser.formatTimestamp(slice.startTime)} +${TraceParser.formatDuration(slice.duration)} ${slice.name}${argsStr}`);
+                lines.push(`  ${this.formatTime(slice.startTime)} +${this.formatDuration(slice.duration)} ${slice.name}${this.formatSliceDetails(slice)}`);
             });
             lines.push('');
         });
 
+        if (instants.length > 0) {
+            lines.push(`INSTANTS: ${instants.length}`);
+            instants.sort((a, b) => a.startTime - b.startTime).forEach(instant => {
+                lines.push(`  ${this.formatInstant(instant, tracks)}`);
+            });
+            lines.push('');
+        }
+
+        const flows = this.getFlowsBetween(slices, extras.flows);
+        if (flows.length > 0) {
+            lines.push(`FLOWS: ${flows.length}`);
+            flows.forEach(link => {
+                lines.push(`  ${this.formatFlow(link, tracks)}`);
+            });
+            lines.push('');
+        }
+
         // Compact stats - only show if multiple slices
-        if (slices.length > 1) {
-            const stats = this.calculateStats(slices);
-            lines.push(`STATS: avg=${TraceParser.formatDuration(stats.avgDuration)} min=${TraceParser.formatDuration(stats.minDuration)} max=${TraceParser.formatDuration(stats.maxDuration)}`);
+        if (durationSlices.length > 1) {
+            const stats = this.calculateStats(durationSlices);
+            lines.push(`STATS: avg=${this.formatDuration(stats.avgDuration)} min=${this.formatDuration(stats.minDuration)} max=${this.formatDuration(stats.maxDuration)}`);
             
             // Top 3 by duration
-            const top3 = stats.topByDuration.slice(0, 3).map(s => `${s.name}(${TraceParser.formatDuration(s.duration)})`).join(', ');
+            const top3 = stats.topByDuration.slice(0, 3).map(s => `${s.name}(${this.formatDuration(s.duration)})`).join(', ');
             lines.push(`TOP: ${top3}`);
+            if (stats.hasNesting) lines.push(`SELF: ${this.formatSelfTimeTotals(stats)}`);
+        }
+
+        const counters = extras.counters || [];
+        if (counters.length > 0) {
+            lines.push('');
+            lines.push(`COUNTERS: ${counters.length}`);
+            counters.forEach(series => {
+                const stats = this.calculateCounterStats(series.samples);
+                lines.push(`[${this.getSourcePrefix(series.track)}${series.track.processName} > ${series.track.name}] min=${TraceParser.formatCounterValue(stats.min)} max=${TraceParser.formatCounterValue(stats.max)} avg=${TraceParser.formatCounterValue(stats.avg)}`);
+                lines.push(`  ${this.formatCounterSeries(series.samples)}`);
+            });
+        }
+
+        const threadStates = extras.threadStates || [];
+        if (threadStates.length > 0) {
+            lines.push('');
+            lines.push(`THREAD STATES: ${threadStates.length} threads`);
+            threadStates.forEach(({ track, states }) => {
+                lines.push(`[${this.getProcessLabel(track)} > ${track.name} (tid ${track.tid})] ${this.formatThreadStateTotals(states)}`);
+                this.getNotableThreadStates(states).forEach(state => {
+                    lines.push(`  ${this.formatThreadState(state)}`);
+                });
+            });
         }
 
         return lines.join('\n');
@@ -111,23 +305,62 @@ class LLMExporter {
     /**
      * Format to Markdown - compact table format
      */
-    toMarkdown(slices, tracks, viewInfo) {
+    toMarkdown(slices, tracks, viewInfo, extras = {}) {
         const lines = [];
+        const { durationSlices, instants } = LLMExporter.partitionInstants(slices);
         
-        const totalDuration = slices.reduce((sum, s) => sum + s.duration, 0);
+        const totalDuration = durationSlices.reduce((sum, s) => sum + s.duration, 0);
         const timeRange = LLMExporter.getTimeRange(slices);
+        const instantsText = instants.length > 0 ? ` | ${instants.length} instants` : '';
         
-        lines.push(`# Trace: ${slices.length} slices | ${TraceParser.formatDuration(totalDuration)} | ${TraceParser.formatDuration(timeRange.end - timeRange.start)} span`);
+        lines.push(`# Trace: ${durationSlices.length} slices${instantsText} | ${this.formatDuration(totalDuration)} | ${this.formatDuration(timeRange.end - timeRange.start)} span`);
+        const timeBase = this.describeTimeBase();
+        if (timeBase) lines.push('', timeBase);
         lines.push('');
 
+        // Names come from the trace, so table cells are escaped
+        const cell = LLMExporter.markdownCell;
+
         // Compact slices table
-        lines.push('| Name | Track | Start | Duration |');
-        lines.push('|------|-------|-------|----------|');
-        
-        slices.sort((a, b) => a.startTime - b.startTime).forEach(slice => {
-            const track = this.getTrackForSlice(slice, tracks);
-            lines.push(`| ${slice.name} | ${track.name} | ${TraceParser.formatTimestamp(slice.startTime)} | ${TraceParser.formatDuration(slice.duration)} |`);
-        });
+        if (durationSlices.length > 0) {
+            lines.push('| Name | Track | Start | Duration | Self |');
+            lines.push('|------|-------|-------|----------|------|');
+            
+            durationSlices.sort((a, b) => a.startTime - b.startTime).forEach(slice => {
+                const track = this.getTrackForSlice(slice, tracks);
+                lines.push(`| ${cell(slice.name)} | ${cell(this.getTrackLabel(track))} | ${this.formatTime(slice.startTime)} | ${this.formatDuration(slice.duration)} | ${this.formatDuration(LLMExporter.getSelfTime(slice))} |`);
+            });
+
+            const stats = this.calculateStats(durationSlices);
+            if (stats.hasNesting) {
+                lines.push('');
+                lines.push(`**Self time by name** (excluding children): ${this.formatSelfTimeTotals(stats)}`);
+            }
+        }
+
+        if (instants.length > 0) {
+            lines.push('');
+            lines.push('## Instant Events');
+            lines.push('| Name | Scope | Track | Time |');
+            lines.push('|------|-------|-------|------|');
+            instants.sort((a, b) => a.startTime - b.startTime).forEach(instant => {
+                const track = this.getTrackForSlice(instant, tracks);
+                lines.push(`| ${cell(instant.name)} | ${instant.scope} | ${cell(this.getTrackLabel(track))} | ${this.formatTime(instant.startTime)} |`);
+            });
+        }
+
+        const flows = this.getFlowsBetween(slices, extras.flows);
+        if (flows.length > 0) {
+            lines.push('');
+            lines.push('## Flows');
+            lines.push('| From | To | Time | Latency |');
+            lines.push('|------|----|------|---------|');
+            flows.forEach(({ flow, source, target }) => {
+                const sourceTrack = this.getTrackForSlice(source, tracks);
+                const targetTrack = this.getTrackForSlice(target, tracks);
+                lines.push(`| ${cell(`${source.name} (${this.getTrackLabel(sourceTrack)})`)} | ${cell(`${target.name} (${this.getTrackLabel(targetTrack)})`)} | ${this.formatTime(flow.startTime)} | ${this.formatDuration(flow.endTime - flow.startTime)} |`);
+            });
+        }
 
         // Only show args if present and not too many
         const slicesWithArgs = slices.filter(s => s.args && Object.keys(s.args).length > 0);
@@ -139,84 +372,268 @@ class LLMExporter {
             });
         }
 
+        const counters = extras.counters || [];
+        if (counters.length > 0) {
+            lines.push('');
+            lines.push('## Counters');
+            lines.push('| Counter | Process | Samples | Min | Max | Avg |');
+            lines.push('|---------|---------|---------|-----|-----|-----|');
+            counters.forEach(series => {
+                const stats = this.calculateCounterStats(series.samples);
+                lines.push(`| ${cell(series.track.name)} | ${cell(`${this.getSourcePrefix(series.track)}${series.track.processName}`)} | ${series.samples.length} | ${TraceParser.formatCounterValue(stats.min)} | ${TraceParser.formatCounterValue(stats.max)} | ${TraceParser.formatCounterValue(stats.avg)} |`);
+            });
+            lines.push('');
+            counters.forEach(series => {
+                lines.push(`**${series.track.name}**: \`${this.formatCounterSeries(series.samples)}\``);
+            });
+        }
+
+        const threadStates = extras.threadStates || [];
+        if (threadStates.length > 0) {
+            lines.push('');
+            lines.push('## Thread States');
+            lines.push('| Thread | Time by state |');
+            lines.push('|--------|---------------|');
+            threadStates.forEach(({ track, states }) => {
+                lines.push(`| ${cell(track.name)} (tid ${track.tid}) | ${this.formatThreadStateTotals(states)} |`);
+            });
+            threadStates.forEach(({ track, states }) => {
+                const notable = this.getNotableThreadStates(states);
+                if (notable.length === 0) return;
+                lines.push('');
+                lines.push(`**${track.name}** not running:`);
+                notable.forEach(state => lines.push(`- ${this.formatThreadState(state)}`));
+            });
+        }
+
         return lines.join('\n');
     }
 
     /**
      * Format to JSON - for programmatic use
      */
-    toJSON(slices, tracks, viewInfo) {
+    toJSON(slices, tracks, viewInfo, extras = {}) {
+        const { durationSlices, instants } = LLMExporter.partitionInstants(slices);
         const timeRange = LLMExporter.getTimeRange(slices);
 
         const exportData = {
             metadata: {
                 exportTime: new Date().toISOString(),
-                sliceCount: slices.length,
+                sliceCount: durationSlices.length,
+                instantCount: instants.length,
                 timeRange: {
                     start: timeRange.start,
                     end: timeRange.end,
-                    startFormatted: TraceParser.formatTimestamp(timeRange.start),
-                    endFormatted: TraceParser.formatTimestamp(timeRange.end)
+                    startFormatted: this.formatTime(timeRange.start),
+                    endFormatted: this.formatTime(timeRange.end)
                 },
-                totalDuration: slices.reduce((sum, s) => sum + s.duration, 0)
+                totalDuration: durationSlices.reduce((sum, s) => sum + s.duration, 0),
+                timeBase: this.getJSONTimeBase()
             },
-            slices: slices.map(slice => {
+            slices: durationSlices.map(slice => {
                 const track = this.getTrackForSlice(slice, tracks);
                 return {
                     id: slice.id,
                     name: slice.name,
                     category: slice.category,
+                    ...(slice.source ? { source: slice.source } : {}),
                     track: {
                         name: track.name,
-                        processName: track.processName
+                        processName: track.processName,
+                        pid: track.pid,
+                        tid: track.tid,
+                        ...(track.processLabels ? { processLabels: track.processLabels } : {}),
+                        type: track.type || 'thread'
                     },
+                    ...(slice.asyncId !== undefined ? { asyncId: slice.asyncId } : {}),
+                    parentId: slice.parentId ?? null,
+                    childCount: slice.childCount || 0,
                     timing: {
                         start: slice.startTime,
                         end: slice.endTime,
                         duration: slice.duration,
-                        startFormatted: TraceParser.formatTimestamp(slice.startTime),
-                        durationFormatted: TraceParser.formatDuration(slice.duration)
+                        selfTime: LLMExporter.getSelfTime(slice),
+                        ...this.getAbsoluteTimes(slice.startTime, slice.endTime),
+                        startFormatted: this.formatTime(slice.startTime),
+                        durationFormatted: this.formatDuration(slice.duration)
                     },
                     args: slice.args || {}
                 };
             }),
-            statistics: this.calculateStats(slices)
+            statistics: this.calculateStats(durationSlices)
         };
 
+        if (instants.length > 0) {
+            exportData.instants = instants.map(instant => {
+                const track = this.getTrackForSlice(instant, tracks);
+                return {
+                    id: instant.id,
+                    name: instant.name,
+                    category: instant.category,
+                    scope: instant.scope,
+                    ...(instant.source ? { source: instant.source } : {}),
+                    track: {
+                        name: track.name,
+                        processName: track.processName,
+                        pid: track.pid,
+                        tid: track.tid,
+                        ...(track.processLabels ? { processLabels: track.processLabels } : {}),
+                        type: track.type || 'thread'
+                    },
+                    ...(instant.asyncId !== undefined ? { asyncId: instant.asyncId } : {}),
+                    time: instant.startTime,
+                    ...this.getAbsoluteTimes(instant.startTime),
+                    timeFormatted: this.formatTime(instant.startTime),
+                    args: instant.args || {}
+                };
+            });
+        }
+
+        const flows = this.getFlowsBetween(slices, extras.flows);
+        if (flows.length > 0) {
+            exportData.flows = flows.map(({ flow }) => ({
+                id: flow.id,
+                name: flow.name,
+                category: flow.category,
+                from: flow.sourceSliceId,
+                to: flow.targetSliceId,
+                start: flow.startTime,
+                end: flow.endTime,
+                latency: flow.endTime - flow.startTime
+            }));
+        }
+
+        const threadStates = extras.threadStates || [];
+        if (threadStates.length > 0) {
+            exportData.threadStates = threadStates.map(({ track, states }) => ({
+                thread: track.name,
+                tid: track.tid,
+                processName: track.processName,
+                ...(track.source ? { source: track.source } : {}),
+                totals: Object.fromEntries(this.summarizeThreadStates(states).map(({ state, duration }) => [state, duration])),
+                intervals: states.map(state => ({
+                    state: state.state,
+                    start: state.startTime,
+                    end: state.endTime,
+                    duration: state.duration,
+                    cpu: state.cpu,
+                    ...(state.wakerTid !== undefined ? { wakerTid: state.wakerTid, wakerName: state.wakerName } : {})
+                }))
+            }));
+        }
+
+        const counters = extras.counters || [];
+        if (counters.length > 0) {
+            exportData.counters = counters.map(series => ({
+                name: series.track.name,
+                processName: series.track.processName,
+                ...(series.track.source ? { source: series.track.source } : {}),
+                statistics: this.calculateCounterStats(series.samples),
+                samples: series.samples.map(sample => ({ time: sample.time, value: sample.value }))
+            }));
+        }
+
         return JSON.stringify(exportData, null, 2);
     }
 
+    /**
+     * How JSON times relate to the trace clock: numeric times are integer ns from trace start, adding
+     * traceClockOffset (a decimal string, as it can exceed 2^53) gives the original trace clock, and
+     * wallClockStart is trace start in UTC
+     */
+    getJSONTimeBase() {
+        const wallClockStart = TraceParser.toWallClock(0, this.traceMetadata);
+        return {
+            mode: this.timeMode,
+            unit: 'ns',
+            traceClockOffset: String(this.traceMetadata.timeOffset || 0n),
+            ...(wallClockStart !== null ? { wallClockStart: TraceParser.formatTraceTime(0, this.traceMetadata, 'wall') } : {})
+        };
+    }
+
+    /**
+     * Original trace-clock times (ns, as decimal strings) to add to a JSON record when exporting absolute timestamps
+     */
+    getAbsoluteTimes(start, end) {
+        if (this.timeMode === 'relative') return {};
+        const offset = this.traceMetadata.timeOffset || 0n;
+        const absolute = time => String(BigInt(Math.round(time)) + offset);
+        return end === undefined ? { absoluteTime: absolute(start) } : { absoluteStart: absolute(start), absoluteEnd: absolute(end) };
+    }
+
     /**
      * Format as analysis prompt - compact format for LLM analysis
      */
-    toAnalysisPrompt(slices, tracks, viewInfo) {
+    toAnalysisPrompt(slices, tracks, viewInfo, extras = {}) {
         const lines = [];
+        const { durationSlices, instants } = LLMExporter.partitionInstants(slices);
         
-        const totalDuration = slices.reduce((sum, s) => sum + s.duration, 0);
+        const totalDuration = durationSlices.reduce((sum, s) => sum + s.duration, 0);
         const timeRange = LLMExporter.getTimeRange(slices);
-        const stats = this.calculateStats(slices);
+        const stats = this.calculateStats(durationSlices);
         
         lines.push('Analyze this performance trace:');
         lines.push('');
-        lines.push(`${slices.length} slices | ${TraceParser.formatDuration(timeRange.end - timeRange.start)} span | ${TraceParser.formatDuration(totalDuration)} total`);
-        lines.push(`Duration: avg=${TraceParser.formatDuration(stats.avgDuration)} min=${TraceParser.formatDuration(stats.minDuration)} max=${TraceParser.formatDuration(stats.maxDuration)}`);
+        lines.push(`${durationSlices.length} slices | ${this.formatDuration(timeRange.end - timeRange.start)} span | ${this.formatDuration(totalDuration)} total`);
+        lines.push(`Duration: avg=${this.formatDuration(stats.avgDuration)} min=${this.formatDuration(stats.minDuration)} max=${this.formatDuration(stats.maxDuration)}`);
+        const timeBase = this.describeTimeBase();
+        if (timeBase) lines.push(timeBase);
         lines.push('');
 
         // Group by track - compact format
-        const byTrack = this.groupByTrack(slices, tracks);
+        const byTrack = this.groupByTrack(durationSlices, tracks);
         
         Object.entries(byTrack).forEach(([trackName, trackSlices]) => {
             lines.push(`[${trackName}]`);
             trackSlices.sort((a, b) => a.startTime - b.startTime);
             trackSlices.forEach(slice => {
-                const argsStr = slice.args && Object.keys(slice.args).length > 0 ? ` ${JSON.stringify(slice.args)}` : '';
-                lines.push(`  ${TraceParser.formatTimestamp(slice.startTime)} +${TraceParser.formatDuration(slice.duration)} ${slice.name}${argsStr}`);
+                lines.push(`  ${this.formatTime(slice.startTime)} +${this.formatDuration(slice.duration)} ${slice.name}${this.formatSliceDetails(slice)}`);
             });
         });
         lines.push('');
+
+        if (instants.length > 0) {
+            lines.push('Instant events (point in time):');
+            instants.sort((a, b) => a.startTime - b.startTime).forEach(instant => {
+                lines.push(`  ${this.formatInstant(instant, tracks)}`);
+            });
+            lines.push('');
+        }
+
+        const flows = this.getFlowsBetween(slices, extras.flows);
+        if (flows.length > 0) {
+            lines.push('Causal flows (in order):');
+            flows.forEach(link => {
+                lines.push(`  ${this.formatFlow(link, tracks)}`);
+            });
+            lines.push('');
+        }
+        
+        const counters = extras.counters || [];
+        if (counters.length > 0) {
+            lines.push('Counters (time=value):');
+            counters.forEach(series => {
+                const stats = this.calculateCounterStats(series.samples);
+                lines.push(`  ${series.track.name} [min=${TraceParser.formatCounterValue(stats.min)} max=${TraceParser.formatCounterValue(stats.max)}]: ${this.formatCounterSeries(series.samples)}`);
+            });
+            lines.push('');
+        }
+
+        const threadStates = extras.threadStates || [];
+        if (threadStates.length > 0) {
+            lines.push('Thread scheduling states (why threads were not running):');
+            threadStates.forEach(({ track, states }) => {
+                lines.push(`  ${track.name} (tid ${track.tid}): ${this.formatThreadStateTotals(states)}`);
+                this.getNotableThreadStates(states).forEach(state => {
+                    lines.push(`    ${this.formatThreadState(state)}`);
+                });
+            });
+            lines.push('');
+        }
         
         // Top hotspots
-        lines.push('Hotspots: ' + stats.topByDuration.slice(0, 3).map(s => `${s.name}(${TraceParser.formatDuration(s.duration)})`).join(', '));
+        lines.push('Hotspots: ' + stats.topByDuration.slice(0, 3).map(s => `${s.name}(${this.formatDuration(s.duration)})`).join(', '));
+        if (stats.hasNesting) lines.push(`Self time by name (excluding children): ${this.formatSelfTimeTotals(stats)}`);
         lines.push('');
         lines.push('Identify: bottlenecks, optimization opportunities, anomalies');
 
@@ -231,7 +648,9 @@ class LLMExporter {
         
         slices.forEach(slice => {
             const track = this.getTrackForSlice(slice, tracks);
-            const key = `${track.processName} > ${track.name}`;
+            // Named threads can share a name (e.g. thread pools), so keep them apart by tid
+            const tidStr = track.tid !== null && track.tid !== undefined && track.name !== `Thread ${track.tid}` ? ` (tid ${track.tid})` : '';
+            const key = `${this.getProcessLabel(track)} > ${this.getTrackLabel(track)}${tidStr}`;
             
             if (!groups[key]) {
                 groups[key] = [];
@@ -253,6 +672,8 @@ class LLMExporter {
                 minDuration: 0,
                 maxDuration: 0,
                 topByDuration: [],
+                topBySelfTime: [],
+                hasNesting: false,
                 nameFrequency: {}
             };
         }
@@ -261,10 +682,18 @@ class LLMExporter {
         const uniqueNames = new Set(slices.map(s => s.name)).size;
         
         const nameFrequency = {};
+        const selfTimeByName = {};
         slices.forEach(s => {
             nameFrequency[s.name] = (nameFrequency[s.name] || 0) + 1;
+            selfTimeByName[s.name] = (selfTimeByName[s.name] || 0) + LLMExporter.getSelfTime(s);
         });
 
+        // Self times add up without counting nested slices twice
+        const topBySelfTime = Object.entries(selfTimeByName)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([name, selfTime]) => ({ name, selfTime, count: nameFrequency[name] }));
+
         const topByDuration = [...slices]
             .sort((a, b) => b.duration - a.duration)
             .slice(0, 5);
@@ -277,10 +706,121 @@ class LLMExporter {
             minDuration: durationRange.min,
             maxDuration: durationRange.max,
             topByDuration,
+            topBySelfTime,
+            hasNesting: slices.some(s => s.childCount > 0),
             nameFrequency
         };
     }
 
+    /**
+     * Top names by total self time: "name(time), ..."
+     */
+    formatSelfTimeTotals(stats) {
+        return stats.topBySelfTime.slice(0, 3).map(({ name, selfTime }) => `${name}(${this.formatDuration(selfTime)})`).join(', ');
+    }
+
+    /**
+     * Format an instant event as a single line: "time @name [scope, track] {args}"
+     */
+    formatInstant(instant, tracks) {
+        const track = this.getTrackForSlice(instant, tracks);
+        const where = instant.scope === 'global' ? 'global' : `${instant.scope}, ${this.getProcessLabel(track)} > ${this.getTrackLabel(track)}`;
+        const argsStr = instant.args && Object.keys(instant.args).length > 0 ? ` ${JSON.stringify(instant.args)}` : '';
+        return `${this.formatTime(instant.startTime)} @${instant.name} [${where}]${argsStr}`;
+    }
+
+    /**
+     * Flow links whose source and target are both among the slices, in causal (time) order
+     * @returns {Array<{flow: Object, source: Object, target: Object}>}
+     */
+    getFlowsBetween(slices, flows) {
+        if (!flows || flows.length === 0) return [];
+
+        const byId = new Map(slices.map(slice => [slice.id, slice]));
+        return flows
+            .filter(flow => byId.has(flow.sourceSliceId) && byId.has(flow.targetSliceId))
+            .sort((a, b) => (a.startTime - b.startTime) || (a.endTime - b.endTime))
+            .map(flow => ({ flow, source: byId.get(flow.sourceSliceId), target: byId.get(flow.targetSliceId) }));
+    }
+
+    /**
+     * Format a flow link as "time source [track] -> target [track] (+latency)"
+     */
+    formatFlow({ flow, source, target }, tracks) {
+        const sourceTrack = this.getTrackForSlice(source, tracks);
+        const targetTrack = this.getTrackForSlice(target, tracks);
+        return `${this.formatTime(flow.startTime)} ${source.name} [${this.getProcessLabel(sourceTrack)} > ${this.getTrackLabel(sourceTrack)}] -> ${target.name} [${this.getProcessLabel(targetTrack)} > ${this.getTrackLabel(targetTrack)}] (+${this.formatDuration(flow.endTime - flow.startTime)})`;
+    }
+
+    /**
+     * Total time per thread state, longest first
+     * @returns {Array<{state: string, duration: number}>}
+     */
+    summarizeThreadStates(states) {
+        const totals = {};
+        states.forEach(s => {
+            totals[s.state] = (totals[s.state] || 0) + s.duration;
+        });
+        return Object.entries(totals)
+            .map(([state, duration]) => ({ state, duration }))
+            .sort((a, b) => b.duration - a.duration);
+    }
+
+    /**
+     * Format thread state totals as "Running 2.00 ms (40.0%), Runnable ..."
+     */
+    formatThreadStateTotals(states) {
+        const summary = this.summarizeThreadStates(states);
+        const total = summary.reduce((sum, s) => sum + s.duration, 0);
+        return summary
+            .map(({ state, duration }) => `${state} ${this.formatDuration(duration)} (${total > 0 ? ((duration / total) * 100).toFixed(1) : '0.0'}%)`)
+            .join(', ');
+    }
+
+    /**
+     * The longest intervals a thread spent off the CPU, in time order
+     */
+    getNotableThreadStates(states, maxItems = 10) {
+        return states
+            .filter(s => s.state !== 'Running')
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, maxItems)
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * Format a thread state interval: "time +duration State cpu=N woken by name (tid)"
+     */
+    formatThreadState(state) {
+        const cpuStr = state.cpu !== undefined ? ` cpu=${state.cpu}` : '';
+        const wakerStr = state.wakerTid !== undefined ? ` woken by ${state.wakerName} (${state.wakerTid})` : '';
+        return `${this.formatTime(state.startTime)} +${this.formatDuration(state.duration)} ${state.state}${cpuStr}${wakerStr}`;
+    }
+
+    /**
+     * Calculate min/max/avg for counter samples
+     */
+    calculateCounterStats(samples) {
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+        for (const sample of samples) {
+            if (sample.value < min) min = sample.value;
+            if (sample.value > max) max = sample.value;
+            sum += sample.value;
+        }
+        return { min, max, avg: samples.length > 0 ? sum / samples.length : 0 };
+    }
+
+    /**
+     * Format counter samples as a compact "time=value" series
+     */
+    formatCounterSeries(samples, maxPoints = 50) {
+        const points = LLMExporter.downsample(samples, maxPoints);
+        const series = points.map(s => `${this.formatTime(s.time)}=${TraceParser.formatCounterValue(s.value)}`).join(', ');
+        return points.length < samples.length ? `${series} (${points.length} of ${samples.length} samples)` : series;
+    }
+
     /**
      * Copy text to clipboard
      */
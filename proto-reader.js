@@ -0,0 +1,199 @@
+/**
+ * Protobuf Wire Reader
+ * Minimal schema-less reader for the protobuf wire format used by Perfetto traces
+ */
+
+class ProtoReader {
+    /**
+     * @param {Uint8Array} bytes - Encoded message
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+        this.end = bytes.length;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    static get WIRE_VARINT() { return 0; }
+    static get WIRE_FIXED64() { return 1; }
+    static get WIRE_LENGTH_DELIMITED() { return 2; }
+    static get WIRE_FIXED32() { return 5; }
+
+    hasMore() {
+        return this.pos < this.end;
+    }
+
+    /**
+     * Read a field tag
+     * @returns {{field: number, wireType: number}}
+     */
+    readTag() {
+        const tag = this.readVarint();
+        return { field: Math.floor(tag / 8), wireType: tag % 8 };
+    }
+
+    /**
+     * Read an unsigned varint as a Number (exact up to 2^53)
+     */
+    readVarint() {
+        let lo = 0;
+        let hi = 0;
+        let shift = 0;
+        let byte;
+
+        // Low 28 bits
+        do {
+            if (this.pos >= this.end) throw new Error('Truncated varint');
+            byte = this.bytes[this.pos++];
+            if (shift < 28) {
+                lo |= (byte & 0x7F) << shift;
+            } else if (shift === 28) {
+                lo |= (byte & 0x0F) << 28;
+                hi = (byte & 0x7F) >> 4;
+            } else {
+                hi |= (byte & 0x7F) << (shift - 32);
+            }
+            shift += 7;
+        } while (byte & 0x80 && shift < 70);
+
+        if (byte & 0x80) throw new Error('Malformed varint');
+        return (hi >>> 0) * 4294967296 + (lo >>> 0);
+    }
+
+    /**
+     * Read an unsigned varint as a BigInt, exact over the full 64 bits (e.g. nanosecond timestamps)
+     */
+    readVarint64() {
+        let value = 0n;
+        let shift = 0n;
+        let byte;
+
+        do {
+            if (this.pos >= this.end) throw new Error('Truncated varint');
+            byte = this.bytes[this.pos++];
+            value |= BigInt(byte & 0x7F) << shift;
+            shift += 7n;
+        } while (byte & 0x80 && shift < 70n);
+
+        if (byte & 0x80) throw new Error('Malformed varint');
+        return BigInt.asUintN(64, value);
+    }
+
+    /**
+     * Read a two's complement int64 varint as a Number
+     */
+    readInt64() {
+        const value = this.readVarint();
+        // Values above 2^63 are negative in two's complement
+        return value >= 9223372036854775808 ? value - 18446744073709551616 : value;
+    }
+
+    /**
+     * Read a zigzag-encoded sint64 varint
+     */
+    readSint64() {
+        const value = this.readVarint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    readBool() {
+        return this.readVarint() !== 0;
+    }
+
+    readFixed64() {
+        this.ensure(8);
+        const lo = this.view.getUint32(this.pos, true);
+        const hi = this.view.getUint32(this.pos + 4, true);
+        this.pos += 8;
+        return hi * 4294967296 + lo;
+    }
+
+    readFixed32() {
+        this.ensure(4);
+        const value = this.view.getUint32(this.pos, true);
+        this.pos += 4;
+        return value;
+    }
+
+    readDouble() {
+        this.ensure(8);
+        const value = this.view.getFloat64(this.pos, true);
+        this.pos += 8;
+        return value;
+    }
+
+    readFloat() {
+        this.ensure(4);
+        const value = this.view.getFloat32(this.pos, true);
+        this.pos += 4;
+        return value;
+    }
+
+    /**
+     * Read a length-delimited field as a sub-array (no copy)
+     */
+    readBytes() {
+        const length = this.readVarint();
+        this.ensure(length);
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    readString() {
+        return ProtoReader.decoder.decode(this.readBytes());
+    }
+
+    /**
+     * Read a repeated varint field that may be packed or unpacked
+     * @param {number} wireType - Wire type of the current field
+     * @param {Function} [readFn] - Element reader, defaults to readVarint
+     * @returns {Array<number>}
+     */
+    readRepeated(wireType, readFn = this.readVarint) {
+        if (wireType !== ProtoReader.WIRE_LENGTH_DELIMITED) {
+            return [readFn.call(this)];
+        }
+        const packed = new ProtoReader(this.readBytes());
+        const values = [];
+        while (packed.hasMore()) {
+            values.push(readFn.call(packed));
+        }
+        return values;
+    }
+
+    /**
+     * Skip over a field value of the given wire type
+     */
+    skip(wireType) {
+        switch (wireType) {
+            case ProtoReader.WIRE_VARINT:
+                this.readVarint();
+                break;
+            case ProtoReader.WIRE_FIXED64:
+                this.ensure(8);
+                this.pos += 8;
+                break;
+            case ProtoReader.WIRE_LENGTH_DELIMITED:
+                this.readBytes();
+                break;
+            case ProtoReader.WIRE_FIXED32:
+                this.ensure(4);
+                this.pos += 4;
+                break;
+            default:
+                throw new Error(`Unsupported wire type ${wireType} at offset ${this.pos}`);
+        }
+    }
+
+    ensure(length) {
+        if (this.pos + length > this.end) {
+            throw new Error(`Truncated protobuf field at offset ${this.pos}`);
+        }
+    }
+}
+
+ProtoReader.decoder = new TextDecoder();
+
+// Export for use in other files
+window.ProtoReader = ProtoReader;
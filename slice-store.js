@@ -0,0 +1,234 @@
+/**
+ * Slice Store
+ * Columnar storage for the slices of a trace: typed arrays for times, depths and tracks, interned
+ * names and categories. A slice's id is its index in the columns.
+ * parentIds (-1 for none), childCounts and selfTimes describe call nesting; the parser fills them
+ * in once all slices are added, see TraceParser.calculateSliceDepths.
+ */
+
+// Typed array per column, see SliceStore
+const SLICE_STORE_COLUMNS = {
+    trackIds: Int32Array,
+    startTimes: Float64Array,
+    durations: Float64Array,
+    depths: Int32Array,
+    colors: Uint8Array,
+    scopes: Uint8Array,
+    nameIds: Int32Array,
+    categoryIds: Int32Array,
+    sourceIds: Int32Array,
+    parentIds: Int32Array,
+    childCounts: Int32Array,
+    selfTimes: Float64Array
+};
+
+const SLICE_STORE_INITIAL_CAPACITY = 1024;
+
+// Values of the scopes column: instants have a scope, slices with a duration do not
+const SLICE_SCOPES = [null, 'thread', 'process', 'global'];
+
+class SliceStore {
+    /**
+     * @param {number} [capacity] - Slices to allocate room for; columns grow as slices are added
+     */
+    constructor(capacity = SLICE_STORE_INITIAL_CAPACITY) {
+        this.length = 0;
+        this.capacity = Math.max(1, capacity);
+        Object.entries(SLICE_STORE_COLUMNS).forEach(([name, Type]) => {
+            this[name] = new Type(this.capacity);
+        });
+        this.args = []; // id -> args object, for slices that have args
+        this.extras = new Map(); // id -> less common fields (asyncId, unterminated, ...)
+        this.strings = ['']; // Interned names, categories and sources; 0 is the empty string
+        this.stringIds = new Map([['', 0]]);
+    }
+
+    /**
+     * Append a slice
+     * @param {Object} slice - { trackId, name, category, startTime, duration, args, depth, color,
+     *   instant, scope, source }; any other fields are kept as extras. endTime is derived.
+     * @returns {number} The new slice's id
+     */
+    add(slice) {
+        if (this.length === this.capacity) this.resize(this.capacity * 2);
+        const id = this.length++;
+        // The given id, endTime and nesting are not kept: ids are positions, the rest is derived
+        const {
+            id: ignoredId, endTime: ignoredEndTime, parentId: ignoredParentId, childCount: ignoredChildCount, selfTime: ignoredSelfTime,
+            trackId, name, category, startTime, duration, args, depth, color, instant, scope, source, ...rest
+        } = slice;
+
+        this.trackIds[id] = trackId;
+        this.startTimes[id] = startTime;
+        this.durations[id] = duration;
+        this.depths[id] = depth || 0;
+        this.colors[id] = color || 0;
+        this.scopes[id] = instant ? Math.max(1, SLICE_SCOPES.indexOf(scope)) : 0;
+        this.nameIds[id] = this.intern(name);
+        this.categoryIds[id] = this.intern(category || '');
+        this.sourceIds[id] = this.intern(source || '');
+        this.parentIds[id] = -1;
+        this.childCounts[id] = 0;
+        this.selfTimes[id] = duration;
+        if (args && Object.keys(args).length > 0) this.args[id] = args;
+        if (Object.keys(rest).length > 0) this.extras.set(id, rest);
+        return id;
+    }
+
+    /**
+     * Set extra fields of a slice, e.g. { unterminated: true }
+     */
+    update(id, fields) {
+        this.extras.set(id, { ...this.extras.get(id), ...fields });
+    }
+
+    intern(str) {
+        let stringId = this.stringIds.get(str);
+        if (stringId === undefined) {
+            stringId = this.strings.length;
+            this.strings.push(str);
+            this.stringIds.set(str, stringId);
+        }
+        return stringId;
+    }
+
+    getName(id) { return this.strings[this.nameIds[id]]; }
+
+    getCategory(id) { return this.strings[this.categoryIds[id]]; }
+
+    getEndTime(id) { return this.startTimes[id] + this.durations[id]; }
+
+    getArgs(id) { return this.args[id] || {}; }
+
+    isInstant(id) { return this.scopes[id] !== 0; }
+
+    getScope(id) { return SLICE_SCOPES[this.scopes[id]]; }
+
+    getParentId(id) { return this.parentIds[id] >= 0 ? this.parentIds[id] : null; }
+
+    /**
+     * A slice as a plain object, built on demand; changing it does not change the store
+     * @returns {Object|undefined} { id, trackId, name, category, startTime, duration, endTime, args,
+     *   depth, color, parentId, childCount, selfTime }, plus instant/scope, source and extras when set
+     */
+    get(id) {
+        if (!(id >= 0 && id < this.length)) return undefined;
+        const slice = {
+            id,
+            trackId: this.trackIds[id],
+            name: this.getName(id),
+            category: this.getCategory(id),
+            startTime: this.startTimes[id],
+            duration: this.durations[id],
+            endTime: this.getEndTime(id),
+            args: this.getArgs(id),
+            depth: this.depths[id],
+            color: this.colors[id],
+            parentId: this.getParentId(id),
+            childCount: this.childCounts[id],
+            selfTime: this.selfTimes[id]
+        };
+        if (this.scopes[id] !== 0) {
+            slice.instant = true;
+            slice.scope = this.getScope(id);
+        }
+        if (this.sourceIds[id] !== 0) slice.source = this.strings[this.sourceIds[id]];
+        const extra = this.extras.get(id);
+        return extra ? Object.assign(slice, extra) : slice;
+    }
+
+    /**
+     * Move every slice by delta nanoseconds
+     */
+    shiftTimes(delta) {
+        if (delta === 0) return;
+        for (let id = 0; id < this.length; id++) this.startTimes[id] += delta;
+    }
+
+    /**
+     * Tag every slice with the file it came from
+     */
+    setSource(name) {
+        this.sourceIds.fill(this.intern(name), 0, this.length);
+    }
+
+    /**
+     * Append all slices of another store; their ids move up by the length of this one
+     * @param {Map<number, number>} trackIds - Their track id -> track id in this store
+     */
+    append(other, trackIds) {
+        const first = this.length;
+        if (first + other.length > this.capacity) this.resize(Math.max(first + other.length, this.capacity * 2));
+        Object.keys(SLICE_STORE_COLUMNS).forEach(name => {
+            this[name].set(other[name].subarray(0, other.length), first);
+        });
+
+        const stringIds = other.strings.map(str => this.intern(str));
+        for (let id = 0; id < other.length; id++) {
+            const to = first + id;
+            this.trackIds[to] = trackIds.get(other.trackIds[id]);
+            this.nameIds[to] = stringIds[other.nameIds[id]];
+            this.categoryIds[to] = stringIds[other.categoryIds[id]];
+            this.sourceIds[to] = stringIds[other.sourceIds[id]];
+            if (other.parentIds[id] >= 0) this.parentIds[to] = first + other.parentIds[id];
+        }
+        other.args.forEach((args, id) => { this.args[first + id] = args; });
+        other.extras.forEach((extra, id) => this.extras.set(first + id, extra));
+        this.length += other.length;
+    }
+
+    /**
+     * Reallocate the columns; shrinking below the length drops nothing
+     */
+    resize(capacity) {
+        this.capacity = Math.max(1, this.length, capacity);
+        Object.keys(SLICE_STORE_COLUMNS).forEach(name => {
+            const column = new SLICE_STORE_COLUMNS[name](this.capacity);
+            column.set(this[name].subarray(0, Math.min(this.length, this.capacity)));
+            this[name] = column;
+        });
+    }
+
+    /**
+     * Release the room kept for more slices, once parsing is done
+     */
+    trim() {
+        if (this.capacity > this.length) this.resize(this.length);
+    }
+
+    /**
+     * The columns and strings, for postMessage; the column buffers can be transferred
+     * @returns {{packed: Object, transfer: Array<ArrayBuffer>}}
+     */
+    pack() {
+        this.trim();
+        const columns = {};
+        Object.keys(SLICE_STORE_COLUMNS).forEach(name => { columns[name] = this[name]; });
+        // Only slices with args, so the holes are not sent as undefined
+        const args = {};
+        this.args.forEach((value, id) => { args[id] = value; });
+        return {
+            packed: { length: this.length, columns, strings: this.strings, args, extras: Array.from(this.extras) },
+            transfer: Object.values(columns).map(column => column.buffer)
+        };
+    }
+
+    /**
+     * Rebuild a store from pack output
+     */
+    static fromPacked(packed) {
+        const store = new SliceStore(0);
+        Object.assign(store, packed.columns);
+        store.length = packed.length;
+        store.capacity = Math.max(1, packed.length);
+        store.strings = packed.strings;
+        store.stringIds = new Map(packed.strings.map((str, i) => [str, i]));
+        Object.entries(packed.args).forEach(([id, args]) => { store.args[id] = args; });
+        store.extras = new Map(packed.extras);
+        if (store.capacity > store.trackIds.length) store.resize(store.capacity);
+        return store;
+    }
+}
+
+// Export for use in other files
+window.SliceStore = SliceStore;
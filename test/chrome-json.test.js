@@ -0,0 +1,86 @@
+/**
+ * Chrome JSON parsing: B/E pairing, unterminated slices, async tracks and flow events
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseTrace } = require('..');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'chrome.json');
+
+const slicesByName = (data) => {
+    const slices = new Map();
+    for (let id = 0; id < data.slices.length; id++) slices.set(data.slices.getName(id), data.slices.get(id));
+    return slices;
+};
+
+test('B/E events pair per thread into nested slices', async () => {
+    const data = await parseTrace(FIXTURE);
+    const slices = slicesByName(data);
+
+    const main = data.tracks.find(track => track.name === 'CrRendererMain');
+    assert.equal(main.processName, 'Renderer');
+    assert.deepEqual(Array.from(main.sliceIds, id => data.slices.getName(id)), ['RunTask', 'Layout', 'Paint']);
+
+    assert.deepEqual([slices.get('RunTask').startTime, slices.get('RunTask').duration], [0, 1000000]);
+    assert.deepEqual([slices.get('Layout').startTime, slices.get('Layout').duration], [100000, 200000]);
+    assert.equal(slices.get('Layout').parentId, slices.get('RunTask').id);
+    assert.equal(slices.get('Paint').depth, 1);
+    assert.equal(slices.get('RunTask').selfTime, 600000);
+});
+
+test('an E event without a B is reported, not paired', async () => {
+    const data = await parseTrace(FIXTURE);
+    const unmatched = data.metadata.diagnostics.find(diagnostic => diagnostic.kind === 'unmatched_end');
+
+    assert.equal(data.metadata.orphanEndEvents, 1);
+    assert.equal(unmatched.count, 1);
+    assert.equal(unmatched.examples[0].time, 1100000);
+});
+
+test('unterminated B events run to the end of the trace, including later async events', async () => {
+    const data = await parseTrace(FIXTURE);
+    const raster = slicesByName(data).get('Raster');
+
+    assert.equal(data.timeRange.end, 4000000);
+    assert.equal(raster.unterminated, true);
+    assert.equal(raster.startTime + raster.duration, data.timeRange.end);
+});
+
+test('an unterminated slice keeps the self time its children leave it', async () => {
+    const trace = {
+        traceEvents: [
+            { ph: 'B', name: 'Open', pid: 1, tid: 1, ts: 0 },
+            { ph: 'X', name: 'Child', pid: 1, tid: 1, ts: 10, dur: 5 },
+            // Async events extend the trace after B/E events are paired
+            { ph: 'b', name: 'Load', cat: 'net', id: 1, pid: 1, tid: 1, ts: 50 },
+            { ph: 'e', name: 'Load', cat: 'net', id: 1, pid: 1, tid: 1, ts: 100 }
+        ]
+    };
+    const data = await parseTrace(Buffer.from(JSON.stringify(trace)));
+    const slices = slicesByName(data);
+
+    assert.equal(slices.get('Open').duration, 100000);
+    assert.equal(slices.get('Open').selfTime, 95000);
+    assert.equal(slices.get('Child').parentId, slices.get('Open').id);
+});
+
+test('async events get a track of their own', async () => {
+    const data = await parseTrace(FIXTURE);
+    const load = data.tracks.find(track => track.type === 'async');
+
+    assert.equal(load.name, 'Load');
+    assert.equal(load.processName, 'Renderer');
+    assert.equal(data.slices.durations[load.sliceIds[0]], 3800000);
+});
+
+test('flow events bind to the enclosing slice and the slice their end lands in', async () => {
+    const data = await parseTrace(FIXTURE);
+
+    assert.equal(data.flows.length, 1);
+    const [flow] = data.flows;
+    assert.equal(flow.name, 'PostTask');
+    assert.equal(data.slices.getName(flow.sourceSliceId), 'Layout');
+    assert.equal(data.slices.getName(flow.targetSliceId), 'Commit');
+});
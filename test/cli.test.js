@@ -0,0 +1,54 @@
+/**
+ * perfetto-to-llm command-line tool: time range and track filters, output file and errors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'perfetto-to-llm');
+const FIXTURE = path.join(__dirname, 'fixtures', 'chrome.json');
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+test('--range and --track select the slices to export', () => {
+    const output = execFileSync(process.execPath, [CLI, FIXTURE, '--format', 'json', '--range', '0.15ms-0.35ms', '--track', 'main'], { encoding: 'utf8' });
+    const { slices } = JSON.parse(output);
+
+    assert.deepEqual(slices.map(slice => [slice.name, slice.track.name]).sort(), [
+        ['Layout', 'CrRendererMain'],
+        ['RunTask', 'CrRendererMain']
+    ]);
+});
+
+test('--track is repeatable and matches process names', () => {
+    const output = execFileSync(process.execPath, [CLI, FIXTURE, '--format', 'json', '-r', '1.4ms-2ms', '-t', 'nothing', '-t', 'renderer'], { encoding: 'utf8' });
+    const { slices } = JSON.parse(output);
+
+    assert.deepEqual(slices.map(slice => slice.name).sort(), ['Commit', 'Load', 'Raster']);
+});
+
+test('--out writes the export to a file', () => {
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'perfetto-to-llm-')), 'summary.md');
+    try {
+        const result = run(FIXTURE, '--format', 'markdown', '--out', out);
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, '');
+        assert.match(fs.readFileSync(out, 'utf8'), /\| RunTask \|/);
+    } finally {
+        fs.rmSync(path.dirname(out), { recursive: true, force: true });
+    }
+});
+
+test('invalid ranges and empty selections fail with a message', () => {
+    const backwards = run(FIXTURE, '--range', '2-1ms');
+    assert.equal(backwards.status, 1);
+    assert.match(backwards.stderr, /end is before start/);
+
+    const empty = run(FIXTURE, '--range', '0-0.05ms', '--track', 'Compositor');
+    assert.equal(empty.status, 1);
+    assert.match(empty.stderr, /No slices in 0-0.05ms/);
+});
@@ -0,0 +1,174 @@
+/**
+ * Runs the web UI's scripts in a sandbox with a minimal DOM, enough to drive TraceViewer and App
+ * methods without a browser: elements keep what is set on them and 2D canvases draw nothing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * A 2D context whose drawing calls do nothing
+ */
+function createContext2D() {
+    return new Proxy({}, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (key === 'measureText') return text => ({ width: String(text).length * 6 });
+            return () => {};
+        }
+    });
+}
+
+/**
+ * A WebGL2 context that compiles and links everything, has no extensions and returns stub objects for the rest
+ */
+function createWebGL2() {
+    return new Proxy({}, {
+        get(target, key) {
+            if (key === 'getShaderParameter' || key === 'getProgramParameter') return () => true;
+            if (key === 'getExtension') return () => null;
+            // Constants such as gl.ARRAY_BUFFER
+            if (typeof key === 'string' && /^[A-Z0-9_]+$/.test(key)) return key;
+            return () => ({});
+        }
+    });
+}
+
+/**
+ * An element that records its listeners; querySelector returns the same stub element per selector
+ * @param {Object} options - { webgl: whether canvases hand out a WebGL2 context }
+ */
+function createElement(tagName, options) {
+    const listeners = {};
+    const selected = new Map();
+    const classes = new Set();
+    const element = {
+        tagName: tagName.toUpperCase(),
+        style: {},
+        dataset: {},
+        children: [],
+        textContent: '',
+        value: '',
+        width: 0,
+        height: 0,
+        parentElement: null,
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            toggle: (name, force = !classes.has(name)) => (force ? classes.add(name) : classes.delete(name), force),
+            contains: name => classes.has(name)
+        },
+        getContext(type) {
+            if (type === '2d') return createContext2D();
+            return type === 'webgl2' && options.webgl ? createWebGL2() : null;
+        },
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 1000, height: 400 }),
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        removeEventListener() {},
+        dispatchEvent(event) {
+            (listeners[event.type] || []).forEach(listener => listener({ preventDefault() {}, stopPropagation() {}, ...event }));
+        },
+        appendChild(child) {
+            element.children.push(child);
+            child.parentElement = element;
+            return child;
+        },
+        querySelector(selector) {
+            if (!selected.has(selector)) selected.set(selector, createElement('div', options));
+            return selected.get(selector);
+        },
+        querySelectorAll: () => [],
+        setAttribute() {},
+        remove() {},
+        focus() {}
+    };
+    // innerHTML = '' clears the children, as it does in a browser
+    let html = '';
+    Object.defineProperty(element, 'innerHTML', {
+        get: () => html,
+        set(value) {
+            html = value;
+            if (value === '') element.children = [];
+        }
+    });
+    return element;
+}
+
+/**
+ * Evaluate browser scripts in a fresh sandbox
+ * @param {Array<string>} files - Script file names, in dependency order
+ * @param {Object} [options] - { webgl: offer WebGL2 (default false), localStorage: storage object }
+ * @returns {Object} The sandbox's window, with the scripts' exports and a getElementById for test setup
+ */
+function loadBrowserScripts(files, options = {}) {
+    const elements = new Map();
+    const document = createElement('document', options);
+    Object.assign(document, {
+        activeElement: { tagName: 'BODY' },
+        body: createElement('body', options),
+        createElement: tagName => createElement(tagName, options),
+        getElementById(id) {
+            if (!elements.has(id)) {
+                const element = createElement('div', options);
+                element.parentElement = createElement('div', options);
+                elements.set(id, element);
+            }
+            return elements.get(id);
+        },
+        querySelectorAll: () => []
+    });
+
+    const window = vm.createContext({
+        console,
+        document,
+        localStorage: options.localStorage,
+        devicePixelRatio: 1,
+        // Frames never run: tests call render methods themselves when they need to
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame() {},
+        addEventListener() {},
+        // trace-viewer.js polyfills roundRect onto it when missing
+        CanvasRenderingContext2D: class {},
+        TextDecoder,
+        TextEncoder
+    });
+    window.window = window;
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), window, { filename: file });
+    }
+    return window;
+}
+
+/**
+ * A TraceViewer showing parsed trace data
+ * @param {Object} data - Parsed trace data, see parseTrace
+ * @param {Object} [options] - See loadBrowserScripts
+ */
+function createViewer(data, options = {}) {
+    const window = loadBrowserScripts(['slice-store.js', 'trace-parser.js', 'webgl-renderer.js', 'trace-viewer.js'], options);
+    const { document, TraceViewer } = window;
+    const viewer = new TraceViewer(document.getElementById('canvasContainer'), document.getElementById('trackLabels'), document.getElementById('rulerCanvas'));
+    if (data) viewer.loadTrace(data);
+    return viewer;
+}
+
+/**
+ * Start the web UI as the page does once the DOM is loaded
+ * @param {Object} [options] - See loadBrowserScripts
+ * @returns {{app: Object, document: Object}} The App and the page it runs in
+ */
+function startApp(options = {}) {
+    const window = loadBrowserScripts(['proto-reader.js', 'zip-reader.js', 'json-event-tokenizer.js', 'slice-store.js', 'trace-parser.js',
+        'trace-worker-client.js', 'webgl-renderer.js', 'trace-viewer.js', 'llm-exporter.js', 'trace-query.js', 'app.js'], options);
+    window.location = { protocol: 'file:' };
+    window.document.dispatchEvent({ type: 'DOMContentLoaded' });
+    // app.js keeps the App in a top-level let, which is not a window property
+    return { app: vm.runInContext('app', window), document: window.document };
+}
+
+module.exports = { loadBrowserScripts, createViewer, startApp };
@@ -0,0 +1,40 @@
+/**
+ * Markdown export: trace names must not break the tables they are listed in
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrace, exportTrace, exportQuery } = require('..');
+
+const TRACE = Buffer.from(JSON.stringify({
+    traceEvents: [
+        { ph: 'M', name: 'thread_name', pid: 1, tid: 1, args: { name: 'worker|1' } },
+        { ph: 'X', name: 'a | b', pid: 1, tid: 1, ts: 0, dur: 100 },
+        { ph: 'X', name: 'line\nbreak', pid: 1, tid: 1, ts: 200, dur: 100 },
+        { ph: 'i', name: 'mark|er', s: 't', pid: 1, tid: 1, ts: 150 }
+    ]
+}));
+
+// Cells of a Markdown table row, splitting on unescaped pipes
+const cells = line => line.split(/(?<!\\)\|/).slice(1, -1).map(text => text.trim());
+
+test('slice, instant and track names are escaped in table cells', async () => {
+    const lines = exportTrace(await parseTrace(TRACE), { format: 'markdown' }).split('\n');
+
+    const sliceRows = lines.filter(line => /^\| (a|line)/.test(line));
+    assert.deepEqual(sliceRows.map(line => cells(line).slice(0, 2)), [
+        ['a \\| b', 'worker\\|1'],
+        ['line<br>break', 'worker\\|1']
+    ]);
+    sliceRows.forEach(line => assert.equal(cells(line).length, 5));
+
+    const instantRow = lines.find(line => line.startsWith('| mark'));
+    assert.deepEqual(cells(instantRow).slice(0, 3), ['mark\\|er', 'thread', 'worker\\|1']);
+});
+
+test('query results are escaped the same way', async () => {
+    const markdown = exportQuery(await parseTrace(TRACE), 'SELECT name FROM slices WHERE dur > 0 ORDER BY ts', { format: 'markdown' });
+
+    assert.match(markdown, /^\| a \\\| b \|$/m);
+    assert.match(markdown, /^\| line<br>break \|$/m);
+});
@@ -0,0 +1,179 @@
+/**
+ * Perfetto protobuf parsing: track descriptors with 64-bit uuids, slice nesting, counters and
+ * legacy ThreadDescriptor sequences
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrace } = require('..');
+
+// Minimal protobuf encoding, enough to write TracePackets
+const varint = (value) => {
+    const bytes = [];
+    let n = BigInt.asUintN(64, BigInt(value));
+    do {
+        let byte = Number(n & 0x7Fn);
+        n >>= 7n;
+        if (n) byte |= 0x80;
+        bytes.push(byte);
+    } while (n);
+    return bytes;
+};
+const intField = (field, value) => [...varint(field * 8), ...varint(value)];
+const bytesField = (field, bytes) => [...varint(field * 8 + 2), ...varint(bytes.length), ...bytes];
+const stringField = (field, text) => bytesField(field, [...Buffer.from(text)]);
+const trace = (packets) => Buffer.from(packets.flatMap(packet => bytesField(1, packet)));
+
+// TracePacket and TrackEvent fields
+const packetTimestamp = (ts) => intField(8, ts);
+const trackDescriptor = (fields) => bytesField(60, fields);
+const trackEvent = (fields) => bytesField(11, fields);
+const TYPE_SLICE_BEGIN = 1;
+const TYPE_SLICE_END = 2;
+const TYPE_INSTANT = 3;
+const TYPE_COUNTER = 4;
+
+const PROCESS_UUID = 0x7A3F12345678AB00n;
+
+/**
+ * A process with two "io" threads whose uuids differ only in the low bits, as written by
+ * tracers that derive thread uuids from the process uuid
+ */
+function threadsWithLargeUuids() {
+    const threadUuid = (tid) => PROCESS_UUID ^ BigInt(tid);
+    const slice = (tid, name, begin, end) => [
+        [...packetTimestamp(begin), ...intField(10, 1), ...trackEvent([...intField(9, TYPE_SLICE_BEGIN), ...intField(11, threadUuid(tid)), ...stringField(23, name)])],
+        [...packetTimestamp(end), ...intField(10, 1), ...trackEvent([...intField(9, TYPE_SLICE_END), ...intField(11, threadUuid(tid))])]
+    ];
+    const [beginA, endA] = slice(1234, 'A', 1000, 2000);
+    const [beginB, endB] = slice(1235, 'B', 1500, 2500);
+
+    return trace([
+        trackDescriptor([...intField(1, PROCESS_UUID), ...bytesField(3, [...intField(1, 100), ...stringField(6, 'server')])]),
+        ...[1234, 1235].map(tid => trackDescriptor([
+            ...intField(1, threadUuid(tid)),
+            ...intField(5, PROCESS_UUID),
+            ...bytesField(4, [...intField(1, 100), ...intField(2, tid), ...stringField(5, 'io')])
+        ])),
+        trackDescriptor([...intField(1, PROCESS_UUID + 1n), ...intField(5, PROCESS_UUID), ...stringField(2, 'queue depth'), ...bytesField(8, [])]),
+        beginA, beginB, endA, endB,
+        [...packetTimestamp(3000), ...intField(10, 1), ...trackEvent([...intField(9, TYPE_COUNTER), ...intField(11, PROCESS_UUID + 1n), ...intField(30, 4)])]
+    ]);
+}
+
+const slicesByName = (data) => {
+    const slices = new Map();
+    for (let id = 0; id < data.slices.length; id++) slices.set(data.slices.getName(id), data.slices.get(id));
+    return slices;
+};
+
+test('tracks with uuids above 2^53 stay separate', async () => {
+    const data = await parseTrace(threadsWithLargeUuids());
+    const threads = data.tracks.filter(track => !track.counter);
+
+    assert.deepEqual(threads.map(track => [track.name, track.pid, track.tid, track.processName]), [
+        ['io', 100, 1234, 'server'],
+        ['io', 100, 1235, 'server']
+    ]);
+
+    const slices = slicesByName(data);
+    assert.equal(slices.get('A').duration, 1000);
+    assert.equal(slices.get('B').duration, 1000);
+    assert.equal(slices.get('B').depth, 0);
+    assert.equal(slices.get('B').parentId, null);
+    assert.notEqual(slices.get('A').trackId, slices.get('B').trackId);
+});
+
+test('counter tracks resolve their parent process through a 64-bit parent uuid', async () => {
+    const data = await parseTrace(threadsWithLargeUuids());
+    const counter = data.tracks.find(track => track.counter);
+
+    assert.equal(counter.name, 'queue depth');
+    assert.equal(counter.pid, 100);
+    assert.equal(counter.processName, 'server');
+    assert.deepEqual(counter.counter.samples.map(sample => sample.value), [4]);
+});
+
+test('counter events without a track uuid use the sequence default track', async () => {
+    const counterUuid = PROCESS_UUID + 2n;
+    const counter = (ts, value) => [
+        ...packetTimestamp(ts), ...intField(10, 3), ...intField(13, 2),
+        ...trackEvent([...intField(9, TYPE_COUNTER), ...(value === null ? [] : intField(30, value))])
+    ];
+    const data = await parseTrace(trace([
+        trackDescriptor([...intField(1, counterUuid), ...stringField(2, 'heap'), ...bytesField(8, [])]),
+        // incremental_state_cleared, trace_packet_defaults.track_event_defaults.track_uuid
+        [...intField(10, 3), ...intField(13, 1), ...bytesField(59, bytesField(11, intField(11, counterUuid)))],
+        counter(100, 10),
+        counter(200, 12),
+        counter(300, null)
+    ]));
+
+    const heap = data.tracks.find(track => track.counter);
+    assert.equal(heap.name, 'heap');
+    assert.deepEqual(heap.counter.samples.map(sample => [sample.time, sample.value]), [[0, 10], [100, 12]]);
+    // A counter event without a value is skipped, under a readable name
+    assert.deepEqual(data.metadata.unsupportedEvents, { counter: 1 });
+});
+
+test('slices on one track nest by time', async () => {
+    const uuid = 42;
+    const event = (ts, type, name) => [
+        ...packetTimestamp(ts), ...intField(10, 1),
+        ...trackEvent([...intField(9, type), ...intField(11, uuid), ...(name ? stringField(23, name) : [])])
+    ];
+    const data = await parseTrace(trace([
+        trackDescriptor([...intField(1, uuid), ...bytesField(4, [...intField(1, 1), ...intField(2, 2), ...stringField(5, 'main')])]),
+        event(0, TYPE_SLICE_BEGIN, 'outer'),
+        event(100, TYPE_SLICE_BEGIN, 'inner'),
+        event(300, TYPE_SLICE_END),
+        event(400, TYPE_SLICE_BEGIN, 'open'),
+        event(600, TYPE_INSTANT, 'end')
+    ]));
+
+    const slices = slicesByName(data);
+    assert.equal(slices.get('inner').depth, 1);
+    assert.equal(slices.get('inner').parentId, slices.get('outer').id);
+    assert.equal(slices.get('outer').childCount, 2);
+    assert.equal(slices.get('outer').selfTime, 200);
+    // Slices still open at the end of the trace run to its end
+    assert.equal(slices.get('outer').duration, 600);
+    assert.equal(slices.get('open').duration, 200);
+    assert.equal(slices.get('open').unterminated, true);
+    assert.equal(data.metadata.unterminatedSlices, 2);
+});
+
+test('legacy ThreadDescriptor sequences use delta timestamps and LegacyEvent phases', async () => {
+    const sequence = (fields) => [...intField(10, 7), ...fields];
+    const legacyEvent = (phase, durationUs) => bytesField(6, [...intField(2, phase.charCodeAt(0)), ...(durationUs ? intField(3, durationUs) : [])]);
+    const event = (deltaUs, name, phase, durationUs) => sequence([
+        ...intField(13, 2),
+        ...trackEvent([...intField(1, deltaUs), ...(name ? stringField(23, name) : []), ...legacyEvent(phase, durationUs)])
+    ]);
+
+    const data = await parseTrace(trace([
+        // incremental_state_cleared, thread_descriptor with reference_timestamp_us
+        sequence([...intField(13, 1), ...bytesField(44, [...intField(1, 10), ...intField(2, 11), ...stringField(5, 'CrBrowserMain'), ...intField(6, 5000)])]),
+        event(10, 'Task', 'B'),
+        event(5, 'Compile', 'X', 3),
+        event(10, 'Mark', 'I'),
+        event(5, null, 'E'),
+        event(1, 'Metadata', 'M'),
+        // A packet without a timestamp of any kind
+        [...intField(10, 8), ...trackEvent([...intField(9, 3), ...stringField(23, 'Lost')])]
+    ]));
+
+    assert.deepEqual(data.tracks.map(track => [track.name, track.pid, track.tid]), [['CrBrowserMain', 10, 11]]);
+    const slices = slicesByName(data);
+    assert.deepEqual([slices.get('Task').startTime, slices.get('Task').duration], [0, 20000]);
+    assert.deepEqual([slices.get('Compile').startTime, slices.get('Compile').duration], [5000, 3000]);
+    assert.equal(slices.get('Compile').parentId, slices.get('Task').id);
+    assert.equal(slices.get('Mark').startTime, 15000);
+    assert.equal(slices.get('Mark').instant, true);
+    assert.equal(slices.has('Lost'), false);
+
+    assert.deepEqual(data.metadata.unsupportedEvents, { legacy_phase_M: 1 });
+    const missing = data.metadata.diagnostics.find(diagnostic => diagnostic.kind === 'missing_timestamp');
+    assert.equal(missing.count, 1);
+    assert.deepEqual(missing.examples, [{ name: 'Lost' }]);
+});
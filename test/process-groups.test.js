@@ -0,0 +1,90 @@
+/**
+ * Tracks grouped under process headers: track order, collapsing, and what a collapsed process leaves out of exports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseTrace, TraceParser } = require('..');
+const { createViewer } = require('./helpers/browser');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'systrace.txt');
+
+// Arrays from the sandbox have its Array prototype, so results are copied before deepEqual
+const names = slices => Array.from(slices, slice => slice.name).sort();
+
+test('tracks are ordered by process sort index, then first appearance, then thread sort index', () => {
+    const tracks = [
+        { name: 'a1', pid: 1 },
+        { name: 'b1', pid: 2 },
+        { name: 'a2', pid: 1, threadSortIndex: -1 },
+        { name: 'c1', pid: 3, processSortIndex: -5 },
+        { name: 'b2', pid: 2 }
+    ];
+
+    assert.deepEqual(new TraceParser().groupTracksByProcess(tracks).map(track => track.name), ['c1', 'a2', 'a1', 'b1', 'b2']);
+});
+
+test('process headers show the process name, pid and thread count', async () => {
+    const viewer = createViewer(await parseTrace(FIXTURE));
+
+    assert.deepEqual(Array.from(viewer.processGroups, group => [group.key, group.name, group.threadCount]), [
+        [':100', 'app', 2],
+        [':200', 'Process 200', 1]
+    ]);
+    const header = viewer.trackLabelsContainer.children[0];
+    assert.equal(header.querySelector('.process-title').textContent, 'app');
+    assert.equal(header.querySelector('.process-details').textContent, '(pid 100, 2 threads)');
+    // Two headers and three track labels
+    assert.equal(viewer.trackLabelsContainer.children.length, 5);
+});
+
+test('process names are shown as text, not markup', async () => {
+    const data = await parseTrace(FIXTURE);
+    data.tracks.forEach(track => { track.processName = '<img src=x onerror=alert(1)>'; });
+    const header = createViewer(data).trackLabelsContainer.children[0];
+
+    assert.equal(header.querySelector('.process-title').textContent, '<img src=x onerror=alert(1)>');
+    assert.doesNotMatch(header.innerHTML, /<img/);
+});
+
+test('a collapsed process hides its tracks and becomes a summary lane', async () => {
+    const viewer = createViewer(await parseTrace(FIXTURE));
+    viewer.toggleProcessCollapsed(':100');
+
+    // Header of app, then the header and track of process 200
+    assert.equal(viewer.trackLabelsContainer.children.length, 3);
+    assert.equal(viewer.trackLabelsContainer.children[0].className.trim(), 'track-label process-header collapsed');
+    const rows = viewer.getRowLayout();
+    assert.deepEqual(Array.from(rows, row => row.process ? `${row.process.key}${row.collapsed ? ' (collapsed)' : ''}` : row.track.name), [
+        ':100 (collapsed)',
+        ':200',
+        'binder:200_1'
+    ]);
+    assert.equal(rows[0].height, viewer.collapsedProcessHeight);
+
+    viewer.toggleProcessCollapsed(':100');
+    assert.equal(viewer.trackLabelsContainer.children.length, 5);
+});
+
+test('slices of collapsed processes are left out of the export', async () => {
+    const viewer = createViewer(await parseTrace(FIXTURE));
+    viewer.selectAll();
+    assert.deepEqual(names(viewer.getSelectedSlicesForExport()), ['Choreographer#doFrame', 'DrawFrame', 'binder transaction', 'traversal']);
+
+    viewer.collapseOtherProcesses(':200');
+    assert.deepEqual([...viewer.collapsedProcesses], [':100']);
+    assert.deepEqual(names(viewer.getSelectedSlicesForExport()), ['binder transaction']);
+
+    // Expanding brings the selection back
+    viewer.toggleProcessCollapsed(':100');
+    assert.equal(viewer.getSelectedSlicesForExport().length, 4);
+});
+
+test('selecting everything skips collapsed processes', async () => {
+    const viewer = createViewer(await parseTrace(FIXTURE));
+    viewer.collapseOtherProcesses(':100');
+    viewer.selectAll();
+
+    assert.deepEqual(names(viewer.getSelectedSlices()), ['Choreographer#doFrame', 'DrawFrame', 'traversal']);
+});
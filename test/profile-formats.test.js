@@ -0,0 +1,64 @@
+/**
+ * Sampled profile formats: Firefox (Gecko) profiles, V8 .cpuprofile, perf script and folded stacks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseTrace } = require('..');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+// "name@start+duration" for each slice of a track, in track order
+const describeTrack = (data, track) => Array.from(track.sliceIds, id => {
+    const slice = data.slices.get(id);
+    return `${'  '.repeat(slice.depth)}${slice.name}@${slice.startTime}+${slice.duration}`;
+});
+
+test('Gecko profiles become marker slices, instants and a samples track', async () => {
+    const data = await parseTrace(fixture('gecko.json'));
+
+    assert.equal(data.metadata.format, 'gecko');
+    const [markers, samples] = data.tracks;
+    assert.deepEqual([markers.name, markers.pid, markers.processName], ['GeckoMain', 10, 'Parent Process']);
+    assert.deepEqual(describeTrack(data, markers), ['Jank@0+2000000']);
+    assert.equal(samples.type, 'samples');
+    assert.deepEqual(describeTrack(data, samples), ['main (app.js:1)@0+4000000', '  work (app.js:5)@1000000+2000000']);
+
+    const instants = [];
+    for (let id = 0; id < data.slices.length; id++) {
+        if (data.slices.get(id).instant) instants.push(data.slices.getName(id));
+    }
+    assert.deepEqual(instants, ['Start']);
+});
+
+test('V8 cpuprofiles become a stack chart without idle samples', async () => {
+    const data = await parseTrace(fixture('profile.cpuprofile'));
+
+    assert.equal(data.metadata.format, 'cpuprofile');
+    assert.equal(data.tracks.length, 1);
+    assert.deepEqual(describeTrack(data, data.tracks[0]), ['main@0+40000', '  work@10000+20000', 'main@50000+10000']);
+});
+
+test('perf script callchains become a stack chart per thread', async () => {
+    const data = await parseTrace(fixture('perf-script.txt'));
+
+    assert.equal(data.metadata.format, 'perf');
+    assert.deepEqual(data.tracks.map(track => [track.pid, track.tid]), [[100, 100], [100, 101]]);
+    assert.deepEqual(describeTrack(data, data.tracks[0]), ['main@0+750000', '  work@0+500000']);
+    assert.deepEqual(describeTrack(data, data.tracks[1]), ['worker@300000+250000']);
+});
+
+test('folded stacks merge into one flame graph sized by sample count', async () => {
+    const data = await parseTrace(fixture('stacks.folded'));
+
+    assert.equal(data.metadata.format, 'folded');
+    assert.deepEqual(describeTrack(data, data.tracks[0]), [
+        'main@0+45000000',
+        '  idle@0+5000000',
+        '  work@5000000+40000000',
+        '    compute@5000000+30000000',
+        '    io@35000000+10000000',
+        'other@45000000+5000000'
+    ]);
+});
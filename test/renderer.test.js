@@ -0,0 +1,100 @@
+/**
+ * Slice renderers: choosing WebGL or Canvas2D, falling back to Canvas2D, and remembering the choice
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseTrace } = require('..');
+const { createViewer, startApp } = require('./helpers/browser');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'chrome.json');
+const STORAGE_KEY = 'perfetto-to-llm.renderer';
+
+/**
+ * localStorage backed by a Map
+ */
+function createStorage(entries = []) {
+    const values = new Map(entries);
+    return {
+        values,
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value))
+    };
+}
+
+const BLOCKED_STORAGE = {
+    getItem() { throw new Error('The operation is insecure.'); },
+    setItem() { throw new Error('The operation is insecure.'); }
+};
+
+test('WebGL is used where available and falls back to Canvas2D elsewhere', () => {
+    assert.equal(createViewer(null, { webgl: true }).setRenderer('webgl'), 'webgl');
+    assert.equal(createViewer(null, { webgl: false }).setRenderer('webgl'), 'canvas');
+});
+
+test('hit testing does not depend on the renderer', async () => {
+    const viewer = createViewer(await parseTrace(FIXTURE), { webgl: true });
+    const hits = () => [[100, 40], [250, 60], [700, 100]].map(([x, y]) => {
+        const slice = viewer.getSliceAtPosition(x, y);
+        return slice ? slice.name : null;
+    });
+
+    viewer.setRenderer('canvas');
+    viewer.render();
+    const canvasHits = hits();
+    assert.ok(canvasHits.some(name => name !== null));
+
+    viewer.setRenderer('webgl');
+    viewer.render();
+    assert.deepEqual(hits(), canvasHits);
+});
+
+test('a lost WebGL context switches the viewer to Canvas2D', () => {
+    const viewer = createViewer(null, { webgl: true });
+    const changes = [];
+    viewer.onRendererChange = renderer => changes.push(renderer);
+    viewer.setRenderer('webgl');
+
+    viewer.glRenderer.canvas.dispatchEvent({ type: 'webglcontextlost' });
+    assert.equal(viewer.renderer, 'canvas');
+    assert.equal(viewer.glRenderer, null);
+    assert.deepEqual(changes, ['canvas']);
+});
+
+test('the app starts with Canvas2D unless WebGL was chosen before', () => {
+    assert.equal(startApp({ webgl: true, localStorage: createStorage() }).app.viewer.renderer, 'canvas');
+
+    const { app, document } = startApp({ webgl: true, localStorage: createStorage([[STORAGE_KEY, 'webgl']]) });
+    assert.equal(app.viewer.renderer, 'webgl');
+    assert.equal(document.getElementById('rendererSelect').value, 'webgl');
+
+    // Without WebGL the stored choice falls back
+    assert.equal(startApp({ webgl: false, localStorage: createStorage([[STORAGE_KEY, 'webgl']]) }).app.viewer.renderer, 'canvas');
+});
+
+test('choosing a renderer in the toolbar is remembered', () => {
+    const storage = createStorage();
+    const { app, document } = startApp({ webgl: true, localStorage: storage });
+
+    document.getElementById('rendererSelect').dispatchEvent({ type: 'change', target: { value: 'webgl' } });
+    assert.equal(app.viewer.renderer, 'webgl');
+    assert.equal(storage.values.get(STORAGE_KEY), 'webgl');
+});
+
+test('falling back after a lost context is not remembered', () => {
+    const storage = createStorage([[STORAGE_KEY, 'webgl']]);
+    const { app, document } = startApp({ webgl: true, localStorage: storage });
+
+    app.viewer.glRenderer.canvas.dispatchEvent({ type: 'webglcontextlost' });
+    assert.equal(document.getElementById('rendererSelect').value, 'canvas');
+    assert.equal(storage.values.get(STORAGE_KEY), 'webgl');
+});
+
+test('blocked storage leaves the app on Canvas2D and choices still apply', () => {
+    const { app, document } = startApp({ webgl: true, localStorage: BLOCKED_STORAGE });
+    assert.equal(app.viewer.renderer, 'canvas');
+
+    document.getElementById('rendererSelect').dispatchEvent({ type: 'change', target: { value: 'webgl' } });
+    assert.equal(app.viewer.renderer, 'webgl');
+});
@@ -0,0 +1,100 @@
+/**
+ * Parent/child slice tree: parents from stack nesting, child counts and self time, and how exports report them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrace, exportTrace } = require('..');
+
+const parseEvents = (traceEvents) => parseTrace(Buffer.from(JSON.stringify({ traceEvents })));
+
+// Name -> slice for a trace whose slice names are unique
+const slicesByName = (data) => {
+    const slices = new Map();
+    for (let id = 0; id < data.slices.length; id++) slices.set(data.slices.getName(id), data.slices.get(id));
+    return slices;
+};
+
+test('a slice starting with its parent nests under it, the longer one first', async () => {
+    const slices = slicesByName(await parseEvents([
+        { ph: 'X', name: 'Child', pid: 1, tid: 1, ts: 0, dur: 40 },
+        { ph: 'X', name: 'Parent', pid: 1, tid: 1, ts: 0, dur: 100 }
+    ]));
+
+    assert.equal(slices.get('Child').parentId, slices.get('Parent').id);
+    assert.deepEqual([slices.get('Parent').childCount, slices.get('Parent').selfTime], [1, 60000]);
+    assert.equal(slices.get('Parent').parentId, null);
+});
+
+test('self time subtracts direct children only', async () => {
+    const slices = slicesByName(await parseEvents([
+        { ph: 'X', name: 'Parent', pid: 1, tid: 1, ts: 0, dur: 100 },
+        { ph: 'X', name: 'Child', pid: 1, tid: 1, ts: 10, dur: 50 },
+        { ph: 'X', name: 'Grandchild', pid: 1, tid: 1, ts: 20, dur: 30 }
+    ]));
+
+    assert.deepEqual([slices.get('Parent').childCount, slices.get('Parent').selfTime], [1, 50000]);
+    assert.deepEqual([slices.get('Child').childCount, slices.get('Child').selfTime], [1, 20000]);
+    assert.equal(slices.get('Grandchild').parentId, slices.get('Child').id);
+    assert.equal(slices.get('Grandchild').selfTime, 30000);
+});
+
+test('a child straddling the end of its sibling is counted once and reported', async () => {
+    const data = await parseEvents([
+        { ph: 'X', name: 'Parent', pid: 1, tid: 1, ts: 0, dur: 100 },
+        { ph: 'X', name: 'First', pid: 1, tid: 1, ts: 0, dur: 40 },
+        { ph: 'X', name: 'Straddling', pid: 1, tid: 1, ts: 30, dur: 30 }
+    ]);
+    const slices = slicesByName(data);
+
+    // Straddling does not fit inside First, so it belongs to Parent; 30-40 µs is covered by both
+    assert.equal(slices.get('Straddling').parentId, slices.get('Parent').id);
+    assert.deepEqual([slices.get('Parent').childCount, slices.get('Parent').selfTime], [2, 40000]);
+    assert.equal(slices.get('First').childCount, 0);
+    assert.deepEqual(data.metadata.diagnostics.map(diagnostic => diagnostic.kind), ['partial_overlap']);
+});
+
+test('zero-duration slices are children without taking self time; instants are not children', async () => {
+    const slices = slicesByName(await parseEvents([
+        { ph: 'X', name: 'Parent', pid: 1, tid: 1, ts: 0, dur: 100 },
+        { ph: 'X', name: 'Empty', pid: 1, tid: 1, ts: 50, dur: 0 },
+        { ph: 'i', name: 'Mark', s: 't', pid: 1, tid: 1, ts: 60 }
+    ]));
+
+    assert.equal(slices.get('Empty').parentId, slices.get('Parent').id);
+    assert.deepEqual([slices.get('Parent').childCount, slices.get('Parent').selfTime], [1, 100000]);
+    assert.equal(slices.get('Mark').parentId, null);
+});
+
+test('async slices overlap freely and have no parents', async () => {
+    const data = await parseEvents([
+        { ph: 'b', name: 'Load', cat: 'net', id: 1, pid: 1, tid: 1, ts: 0 },
+        { ph: 'b', name: 'Load', cat: 'net', id: 2, pid: 1, tid: 1, ts: 10 },
+        { ph: 'e', name: 'Load', cat: 'net', id: 2, pid: 1, tid: 1, ts: 20 },
+        { ph: 'e', name: 'Load', cat: 'net', id: 1, pid: 1, tid: 1, ts: 90 }
+    ]);
+    const [track] = data.tracks;
+
+    assert.equal(track.type, 'async');
+    assert.deepEqual(Array.from(track.sliceIds, id => {
+        const slice = data.slices.get(id);
+        return [slice.depth, slice.parentId, slice.childCount, slice.selfTime];
+    }), [[0, null, 0, 90000], [1, null, 0, 10000]]);
+    // Overlapping async slices are not partial overlaps
+    assert.equal(data.metadata.diagnostics, undefined);
+});
+
+test('exports report self time and children', async () => {
+    const data = await parseEvents([
+        { ph: 'X', name: 'Parent', pid: 1, tid: 1, ts: 0, dur: 100 },
+        { ph: 'X', name: 'Child', pid: 1, tid: 1, ts: 10, dur: 70 }
+    ]);
+
+    assert.match(exportTrace(data), /Parent self=30\.00 µs children=1/);
+    assert.match(exportTrace(data), /SELF: Child\(70\.00 µs\), Parent\(30\.00 µs\)/);
+
+    const { slices } = JSON.parse(exportTrace(data, { format: 'json' }));
+    const [parent, child] = slices;
+    assert.deepEqual([parent.parentId, parent.childCount, parent.timing.selfTime], [null, 1, 30000]);
+    assert.deepEqual([child.parentId, child.childCount, child.timing.selfTime], [parent.id, 0, 70000]);
+});
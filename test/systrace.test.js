@@ -0,0 +1,71 @@
+/**
+ * Systrace text parsing: B|/E| markers, grouping threads under their process, and HTML reports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseTrace } = require('..');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'systrace.txt');
+
+test('threads are grouped by the tgid column', async () => {
+    const data = await parseTrace(FIXTURE);
+
+    assert.deepEqual(data.tracks.map(track => [track.name, track.tid, track.pid, track.processName]), [
+        ['app', 100, 100, 'app'],
+        ['RenderThread', 101, 100, 'app'],
+        ['binder:200_1', 201, 200, 'Process 200']
+    ]);
+});
+
+test('B| and E| markers pair into nested slices', async () => {
+    const data = await parseTrace(FIXTURE);
+    const app = data.tracks[0];
+    const [frame, traversal] = Array.from(app.sliceIds, id => data.slices.get(id));
+
+    assert.deepEqual([frame.name, frame.startTime, frame.duration], ['Choreographer#doFrame', 0, 1000000]);
+    assert.deepEqual([traversal.name, traversal.depth, traversal.parentId], ['traversal', 1, frame.id]);
+});
+
+/**
+ * A systrace HTML report with an ftrace section and a Chrome JSON section
+ * @param {Array<Object>} jsonEvents - traceEvents of the JSON section
+ * @param {string} [syncLine] - ftrace marker text for a clock sync, if any
+ */
+function createReport(jsonEvents, syncLine = null) {
+    const ftrace = [
+        '# tracer: nop',
+        '             app-100   ( 100) [000] ...1    10.000000: tracing_mark_write: B|100|Choreographer#doFrame',
+        ...(syncLine ? [`             app-100   ( 100) [000] ...1    10.000500: tracing_mark_write: ${syncLine}`] : []),
+        '             app-100   ( 100) [000] ...1    10.001000: tracing_mark_write: E|100'
+    ].join('\n');
+    return Buffer.from(`<!DOCTYPE html><html><body>
+<script class="trace-data" type="application/text">${ftrace}</script>
+<script class="trace-data" type="application/text">${JSON.stringify({ traceEvents: jsonEvents })}</script>
+</body></html>`);
+}
+
+const JSON_EVENTS = [
+    { ph: 'c', name: 'clock_sync', pid: 1, tid: 1, ts: 2000, args: { sync_id: 'sync-1' } },
+    { ph: 'X', name: 'Task', pid: 1, tid: 1, ts: 2100, dur: 100 }
+];
+
+test('HTML report sections are aligned on a shared clock_sync marker', async () => {
+    const data = await parseTrace(createReport(JSON_EVENTS, 'trace_event_clock_sync: name=sync-1'));
+    const task = data.tracks.flatMap(track => Array.from(track.sliceIds, id => data.slices.get(id))).find(slice => slice.name === 'Task');
+
+    // 100 µs after the sync point, which ftrace puts 500 µs into the trace
+    assert.equal(task.startTime, 600000);
+    assert.deepEqual(data.metadata.htmlSections.map(section => section.alignment), ['reference', 'clock_sync']);
+    assert.equal(data.metadata.diagnostics, undefined);
+});
+
+test('HTML report sections without a shared clock_sync marker are reported', async () => {
+    const data = await parseTrace(createReport(JSON_EVENTS));
+
+    assert.deepEqual(data.metadata.htmlSections.map(section => section.alignment), ['reference', 'timestamps']);
+    const [diagnostic] = data.metadata.diagnostics;
+    assert.equal(diagnostic.kind, 'unaligned_section');
+    assert.match(diagnostic.detail, /^JSON trace \(.+\): no clock_sync marker shared with ftrace text/);
+});
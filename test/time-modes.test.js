@@ -0,0 +1,65 @@
+/**
+ * Time bases: the original trace-clock offset, the wall-clock mapping and exports with absolute timestamps
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrace, exportTrace, TraceParser } = require('..');
+
+// Starts 5 s into the trace clock; metadata.startTime is the wall-clock time of the first event
+const TRACE = Buffer.from(JSON.stringify({
+    traceEvents: [
+        { ph: 'X', name: 'Boot', pid: 1, tid: 1, ts: 5000000, dur: 1500 },
+        { ph: 'X', name: 'Draw', pid: 1, tid: 1, ts: 5002000, dur: 250 }
+    ],
+    metadata: { startTime: '2024-03-01T12:00:00.000Z' }
+}));
+
+test('normalizing keeps the trace-clock offset and maps trace start to wall-clock time', async () => {
+    const data = await parseTrace(TRACE);
+
+    assert.equal(data.metadata.timeOffset, 5000000000n);
+    assert.deepEqual(data.metadata.wallClock, { traceTime: 5000000000n, unixTime: 1709294400000000000n });
+    assert.equal(TraceParser.toWallClock(2000000, data.metadata), 1709294400002000000n);
+});
+
+test('trace times format as relative, absolute or wall-clock time', async () => {
+    const { metadata } = await parseTrace(TRACE);
+
+    assert.equal(TraceParser.formatTraceTime(2000000, metadata, 'relative'), '2.000 ms');
+    assert.equal(TraceParser.formatTraceTime(2000000, metadata, 'absolute'), '5.002000000 s');
+    assert.equal(TraceParser.formatTraceTime(2000000, metadata, 'wall'), '2024-03-01T12:00:00.002000000Z');
+    assert.equal(TraceParser.formatTraceTime(2000000, metadata, 'wall', true), '12:00:00.002000000');
+});
+
+test('wall-clock mode falls back to relative times without a clock mapping', () => {
+    const metadata = { timeOffset: 5000000000n };
+    assert.equal(TraceParser.toWallClock(2000000, metadata), null);
+    assert.equal(TraceParser.formatTraceTime(2000000, metadata, 'wall'), '2.000 ms');
+});
+
+test('absolute exports carry trace-clock timestamps next to the relative ones', async () => {
+    const data = await parseTrace(TRACE);
+
+    const relative = JSON.parse(exportTrace(data, { format: 'json' }));
+    assert.equal(relative.metadata.timeBase.mode, 'relative');
+    assert.equal(relative.slices[1].timing.absoluteStart, undefined);
+
+    const absolute = JSON.parse(exportTrace(data, { format: 'json', timeMode: 'absolute' }));
+    assert.deepEqual(absolute.metadata.timeBase, {
+        mode: 'absolute',
+        unit: 'ns',
+        traceClockOffset: '5000000000',
+        wallClockStart: '2024-03-01T12:00:00.000000000Z'
+    });
+    const draw = absolute.slices[1].timing;
+    assert.deepEqual([draw.start, draw.absoluteStart, draw.absoluteEnd], [2000000, '5002000000', '5002250000']);
+    assert.equal(draw.startFormatted, '5.002000000 s');
+});
+
+test('wall-clock exports label their timestamps as UTC', async () => {
+    const markdown = exportTrace(await parseTrace(TRACE), { format: 'markdown', timeMode: 'wall' });
+
+    assert.match(markdown, /Timestamps: wall clock, UTC/);
+    assert.match(markdown, /\| Draw \| Thread 1 \| 2024-03-01T12:00:00\.002000000Z \|/);
+});
@@ -0,0 +1,79 @@
+/**
+ * Query engine: joins, grouping, HAVING and ordering over a parsed trace
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseTrace, TraceQuery, exportQuery } = require('..');
+
+const query = async (sql) => {
+    const data = await parseTrace(path.join(__dirname, 'fixtures', 'chrome.json'));
+    return new TraceQuery(data).execute(sql);
+};
+
+test('JOIN ... ON matches children to their parent slices', async () => {
+    const result = await query('SELECT c.name, p.name FROM slices c JOIN slices p ON c.parent_id = p.id ORDER BY c.ts');
+
+    assert.deepEqual(result.columns, ['c.name', 'p.name']);
+    assert.deepEqual(result.rows, [['Layout', 'RunTask'], ['Paint', 'RunTask']]);
+});
+
+test('result columns have unique names', async () => {
+    const aliased = await query('SELECT c.name AS child, p.name FROM slices c JOIN slices p ON c.parent_id = p.id');
+    assert.deepEqual(aliased.columns, ['child', 'name']);
+
+    const star = await query('SELECT * FROM slices c JOIN tracks t ON c.track_id = t.id');
+    assert.deepEqual(star.columns.filter(column => column.endsWith('.name')), ['c.name', 't.name']);
+    assert.equal(new Set(star.columns).size, star.columns.length);
+
+    await assert.rejects(query('SELECT name, name FROM slices'), /Duplicate column "slices.name"/);
+    await assert.rejects(query('SELECT name AS n, dur AS n FROM slices'), /Duplicate column "n"/);
+});
+
+test('JSON exports of joins keep every column', async () => {
+    const data = await parseTrace(path.join(__dirname, 'fixtures', 'chrome.json'));
+    const { rows } = JSON.parse(exportQuery(data, 'SELECT c.name, p.name FROM slices c JOIN slices p ON c.parent_id = p.id ORDER BY c.ts', { format: 'json' }));
+
+    assert.deepEqual(rows[0], { 'c.name': 'Layout', 'p.name': 'RunTask' });
+});
+
+test('SELECT without FROM evaluates its expressions once', async () => {
+    const result = await query('SELECT 1 + 1, 2ms AS two, COUNT(*)');
+
+    assert.deepEqual(result.columns, ['1 + 1', 'two', 'COUNT(*)']);
+    assert.deepEqual(result.rows, [[2, 2000000, 1]]);
+    await assert.rejects(query('SELECT name'), /Column "name" needs a FROM clause/);
+    await assert.rejects(query('SELECT *'), /\* needs a FROM clause/);
+});
+
+test('comma joins are rejected with a hint', async () => {
+    await assert.rejects(query('SELECT a.name FROM slices a, slices b'), /Comma joins are not supported, use JOIN \.\.\. ON/);
+    await assert.rejects(query('SELECT 1 FROM slices a JOIN slices b ON a.id = b.parent_id, tracks'), /Comma joins are not supported/);
+});
+
+test('JOIN with tracks and GROUP BY count slices per thread', async () => {
+    const result = await query('SELECT t.name, COUNT(*) AS n FROM slices s JOIN tracks t ON s.track_id = t.id WHERE t.type = \'thread\' GROUP BY t.name ORDER BY n DESC');
+
+    assert.deepEqual(result.rows, [['CrRendererMain', 3], ['Compositor', 2]]);
+});
+
+test('HAVING filters groups on an aggregate', async () => {
+    const result = await query('SELECT category, SUM(dur) AS total FROM slices GROUP BY category HAVING total > 1ms ORDER BY total DESC');
+
+    assert.deepEqual(result.rows, [['net', 3800000], ['cc', 2300000]]);
+});
+
+test('GROUP BY and ORDER BY positions refer to select items', async () => {
+    const result = await query('SELECT category, COUNT(*) FROM slices GROUP BY 1 ORDER BY 2 DESC, 1');
+
+    assert.deepEqual(result.rows, [['blink', 2], ['cc', 2], ['net', 1], ['toplevel', 1]]);
+    await assert.rejects(query('SELECT COUNT(*) FROM slices GROUP BY 1'), /refers to an aggregate/);
+    await assert.rejects(query('SELECT name FROM slices GROUP BY 2'), /out of range/);
+});
+
+test('selecting slice ids lists the matching slices', async () => {
+    const result = await query('SELECT id, name FROM slices WHERE dur >= 1ms');
+
+    assert.equal(result.sliceIds.length, 3);
+});
@@ -0,0 +1,87 @@
+/**
+ * ZIP archives: picking the most trace-like entry
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseTrace, TraceParser } = require('..');
+
+/**
+ * A ZIP archive of stored (uncompressed) entries; CRCs are left zero, the reader does not check them
+ * @param {Array<{name: string, data: Buffer}>} files
+ */
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(({ name, data }) => {
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+test('trace entries are ranked by name, then size', () => {
+    const ranked = TraceParser.rankTraceEntries([
+        { name: 'bugreport/dumpstate.txt', size: 5000 },
+        { name: 'FS/data/misc/perfetto-traces/boot.pftrace', size: 100 },
+        { name: 'logs/small.json', size: 10 },
+        { name: 'logs/large.json', size: 20 },
+        { name: 'systrace.html', size: 50 },
+        { name: '__MACOSX/._systrace.html', size: 50 },
+        { name: 'logs/', size: 0 },
+        { name: 'empty.json', size: 0 }
+    ]);
+
+    assert.deepEqual(ranked.map(entry => [entry.name, entry.rank]), [
+        ['systrace.html', 0],
+        ['FS/data/misc/perfetto-traces/boot.pftrace', 1],
+        ['logs/large.json', 2],
+        ['logs/small.json', 2]
+    ]);
+});
+
+test('the best ranked entry of an archive is parsed', async () => {
+    const chrome = fs.readFileSync(path.join(__dirname, 'fixtures', 'chrome.json'));
+    const archive = createZip([
+        { name: 'README.txt', data: Buffer.from('not a trace') },
+        { name: 'profiles/profile.cpuprofile', data: fs.readFileSync(path.join(__dirname, 'fixtures', 'profile.cpuprofile')) },
+        { name: 'out/trace.json', data: chrome }
+    ]);
+
+    const data = await parseTrace(archive);
+    assert.equal(data.metadata.archiveEntry, 'out/trace.json');
+    assert.ok(data.tracks.some(track => track.name === 'CrRendererMain'));
+});
+
+test('archives without a trace are rejected', async () => {
+    await assert.rejects(parseTrace(createZip([{ name: 'notes.md', data: Buffer.from('# notes') }])), /No trace files found/);
+});
@@ -3,10 +3,133 @@
  * Handles parsing of Perfetto trace files (JSON and binary formats)
  */
 
+// TracePacket.sequence_flags
+const SEQ_INCREMENTAL_STATE_CLEARED = 1;
+const SEQ_NEEDS_INCREMENTAL_STATE = 2;
+
+// TrackEvent.type
+const TRACK_EVENT_SLICE_BEGIN = 1;
+const TRACK_EVENT_SLICE_END = 2;
+const TRACK_EVENT_INSTANT = 3;
+const TRACK_EVENT_COUNTER = 4;
+const TRACK_EVENT_TYPE_NAMES = { 0: 'unspecified', 4: 'counter' };
+
+// TrackEvent.LegacyEvent phases (Chrome JSON phase characters) with a TrackEvent equivalent;
+// complete ('X') events are handled separately
+const LEGACY_EVENT_TYPES = {
+    B: TRACK_EVENT_SLICE_BEGIN,
+    E: TRACK_EVENT_SLICE_END,
+    I: TRACK_EVENT_INSTANT,
+    i: TRACK_EVENT_INSTANT,
+    R: TRACK_EVENT_INSTANT
+};
+
+// Chrome JSON instant event scope ("s" field)
+const INSTANT_SCOPES = { t: 'thread', p: 'process', g: 'global' };
+
+// Chrome JSON async phases: nestable (b/e/n) and legacy (S/T/p/F)
+const ASYNC_PHASES = ['b', 'e', 'n', 'S', 'T', 'p', 'F'];
+
+// Chrome JSON flow phases: start, step, finish
+const FLOW_PHASES = ['s', 't', 'f'];
+
+// sched_switch prev_state codes
+const SCHED_THREAD_STATES = {
+    'R': 'Runnable',
+    'R+': 'Runnable',
+    'S': 'Sleeping',
+    'I': 'Idle',
+    'D': 'Uninterruptible',
+    'T': 'Stopped',
+    't': 'Traced',
+    'X': 'Dead',
+    'Z': 'Zombie',
+    'P': 'Parked',
+    'W': 'Waking'
+};
+
+// Gecko profile marker phases
+const GECKO_MARKER_PHASES = { INSTANT: 0, INTERVAL: 1, INTERVAL_START: 2, INTERVAL_END: 3 };
+
+// V8 CPU profile nodes that are not real call frames
+const CPU_PROFILE_NON_FRAMES = new Set(['(root)', '(idle)']);
+
+// perf script sample header: comm pid[/tid] [cpu] seconds: [period] event: [inline ip sym (dso)]
+const PERF_SAMPLE_REGEX = /^(\S.*?)\s+(\d+)(?:\/(\d+))?\s+(?:\[(\d+)\]\s+)?(\d+\.\d+):\s+(?:(\d+)\s+)?(\S+?):(?:\s+|$)(.*)$/;
+// perf script callchain line: ip symbol[+offset] (dso)
+const PERF_FRAME_REGEX = /^\s*([0-9a-fA-F]+)\s+(.*?)(?:\s+\(([^()]*)\))?\s*$/;
+// Folded (collapsed) stack line: frame;frame;frame count
+const FOLDED_LINE_REGEX = /^(.*\S)\s+(\d+)$/;
+// Width given to one sample when laying out folded stacks as a flame graph (1 ms)
+const FOLDED_SAMPLE_NS = 1000000;
+
+// Archive entry names that look like traces, strongest first; see rankTraceEntries
+const TRACE_ENTRY_PATTERNS = [
+    /(^|\/)(systrace\.html|trace\.json(\.gz)?|trace\.perfetto-trace|trace\.pftrace)$/i,
+    /\.(pftrace|perfetto-trace|perfetto|ctrace)(\.gz)?$/i,
+    /\.(json|cpuprofile)(\.gz)?$/i,
+    /\.(systrace|atrace|perf|folded)$|trace[^/]*\.(html|txt|pb|bin|gz)$/i
+];
+
+// Parser diagnostics: how serious each kind is and what happened to the events involved
+const DIAGNOSTIC_KINDS = {
+    negative_duration: { severity: 'error', title: 'Slices ending before they start' },
+    truncated: { severity: 'error', title: 'Trace ends mid-record' },
+    damaged_json: { severity: 'error', title: 'Damaged JSON skipped' },
+    skipped_phase: { severity: 'warning', title: 'Events with an unsupported phase skipped' },
+    unmatched_end: { severity: 'warning', title: 'End events without a begin ignored' },
+    unterminated_slice: { severity: 'warning', title: 'Slices without an end, clamped to trace end' },
+    partial_overlap: { severity: 'warning', title: 'Overlapping slices that do not nest' },
+    unbound_flow: { severity: 'warning', title: 'Flow events without a slice ignored' },
+    unused_section: { severity: 'warning', title: 'HTML trace sections not used' },
+    unaligned_section: { severity: 'warning', title: 'HTML trace sections aligned on raw timestamps' },
+    unsupported_packet: { severity: 'info', title: 'Unsupported Perfetto packets skipped' },
+    unsupported_event: { severity: 'info', title: 'Unsupported Perfetto track events skipped' },
+    missing_timestamp: { severity: 'warning', title: 'Events without a timestamp skipped' },
+    skipped_lines: { severity: 'info', title: 'Unrecognized lines skipped' }
+};
+// Occurrences kept per diagnostic for jumping to them; the count covers the rest
+const DIAGNOSTIC_EXAMPLE_LIMIT = 20;
+
+// Fixed display units (Chrome displayTimeUnit values and their larger siblings), in nanoseconds
+const TIME_UNITS = {
+    ns: { scale: 1, label: 'ns' },
+    us: { scale: 1000, label: 'µs' },
+    ms: { scale: 1000000, label: 'ms' },
+    s: { scale: 1000000000, label: 's' }
+};
+
+// ClockSnapshot.Clock builtin clock ids
+const BUILTIN_CLOCK_REALTIME = 1;
+const BUILTIN_CLOCK_BOOTTIME = 6;
+
+// TracePacket fields that describe the packet rather than carry data
+const TRACE_PACKET_METADATA_FIELDS = new Set([3, 42, 58, 79, 87, 98]);
+
+// Names of TracePacket payloads we do not decode, for reporting
+const TRACE_PACKET_FIELD_NAMES = {
+    1: 'ftrace_events',
+    2: 'process_tree',
+    5: 'chrome_events',
+    7: 'sys_stats',
+    9: 'process_stats',
+    33: 'trace_config',
+    34: 'ftrace_stats',
+    35: 'trace_stats',
+    36: 'synchronization_marker',
+    39: 'android_log',
+    43: 'process_descriptor',
+    45: 'system_info',
+    50: 'compressed_packets',
+    66: 'perf_sample',
+    69: 'service_event'
+};
+
 class TraceParser {
     constructor() {
         this.tracks = [];
-        this.slices = [];
+        this.slices = new SliceStore();
+        this.flows = [];
         this.metadata = {};
         this.timeRange = { start: Infinity, end: -Infinity };
     }
@@ -17,16 +140,29 @@ class TraceParser {
      * @returns {Promise<Object>} Parsed trace data
      */
     async parseFile(file) {
-        let arrayBuffer = await file.arrayBuffer();
+        return this.parseBuffer(await file.arrayBuffer());
+    }
+
+    /**
+     * Parse trace file contents, detecting compression and format
+     * @param {ArrayBuffer} arrayBuffer - Raw (possibly gzip compressed or zipped) file contents
+     * @returns {Promise<Object>} Parsed trace data
+     */
+    async parseBuffer(arrayBuffer) {
         let uint8Array = new Uint8Array(arrayBuffer);
         
         // Check if it's gzip compressed (magic bytes: 1f 8b)
-        if (uint8Array[0] === 0x1F && uint8Array[1] === 0x8B) {
+        if (TraceParser.isGzip(uint8Array)) {
             console.log('Detected gzip compressed file, decompressing...');
             arrayBuffer = await this.decompressGzip(arrayBuffer);
             uint8Array = new Uint8Array(arrayBuffer);
         }
 
+        // ZIP archive (magic bytes: PK)
+        if (ZipReader.isZip(uint8Array)) {
+            return this.parseZip(arrayBuffer);
+        }
+
         // Try to detect format
         // Check if it's JSON (starts with '{' or '[' or whitespace before them)
         const firstNonWhitespace = this.findFirstNonWhitespace(uint8Array);
@@ -36,6 +172,21 @@ class TraceParser {
         
         // Check for systrace format (text format starting with '#' or 'TRACE:')
         const textStart = new TextDecoder().decode(uint8Array.slice(0, 100));
+
+        // Systrace/atrace HTML report with embedded trace-data sections
+        if (/^\s*<(!doctype html|html)/i.test(textStart)) {
+            return this.parseSystraceHTML(arrayBuffer);
+        }
+
+        // perf script and folded stacks are recognized by their first few records, not the first bytes
+        const textHead = new TextDecoder().decode(uint8Array.subarray(0, 65536));
+        if (TraceParser.isPerfScript(textHead)) {
+            return this.parsePerfScript(arrayBuffer);
+        }
+        if (TraceParser.isFoldedStacks(textHead)) {
+            return this.parseFoldedStacks(arrayBuffer);
+        }
+
         if (textStart.startsWith('#') || textStart.includes('TRACE:') || textStart.includes('tracer:')) {
             return this.parseSystrace(arrayBuffer);
         }
@@ -44,6 +195,40 @@ class TraceParser {
         return this.parseProtobuf(arrayBuffer);
     }
 
+    static isGzip(bytes) {
+        return bytes[0] === 0x1F && bytes[1] === 0x8B;
+    }
+
+    /**
+     * Parse the most trace-like entry of a ZIP archive
+     */
+    async parseZip(arrayBuffer) {
+        const zip = await ZipReader.open(new Blob([arrayBuffer]));
+        const [entry] = TraceParser.rankTraceEntries(zip.entries);
+        if (!entry) {
+            throw new Error(`No trace files found among the ${zip.entries.length} entries of the ZIP archive`);
+        }
+        console.log(`Detected ZIP archive, parsing ${entry.name}...`);
+
+        const data = await this.parseBuffer(await (await zip.extract(entry)).arrayBuffer());
+        data.metadata.archiveEntry = entry.name;
+        return data;
+    }
+
+    /**
+     * ZIP entries whose names look like traces, best candidate first (by TRACE_ENTRY_PATTERNS, then
+     * largest). Directories, empty files and macOS resource forks are left out.
+     * @param {Array<Object>} entries - ZipReader entries
+     * @returns {Array<Object>} The candidate entries, each with a rank (0 is strongest)
+     */
+    static rankTraceEntries(entries) {
+        return entries
+            .filter(entry => entry.size > 0 && !entry.name.endsWith('/') && !/(^|\/)(__MACOSX\/|\.)/.test(entry.name))
+            .map(entry => ({ ...entry, rank: TRACE_ENTRY_PATTERNS.findIndex(pattern => pattern.test(entry.name)) }))
+            .filter(entry => entry.rank >= 0)
+            .sort((a, b) => a.rank - b.rank || b.size - a.size);
+    }
+
     /**
      * Find first non-whitespace byte
      */
@@ -79,208 +264,2713 @@ class TraceParser {
         throw new Error('Gzip decompression not supported in this browser. Please decompress the file manually (gunzip) or use a modern browser like Chrome/Edge.');
     }
 
-    /**
-     * Parse JSON trace format (Chrome trace format)
-     */
-    parseJSON(arrayBuffer) {
-        const text = new TextDecoder().decode(arrayBuffer);
-        const data = JSON.parse(text);
-        
-        this.tracks = [];
-        this.slices = [];
-        this.metadata = {};
-        this.timeRange = { start: Infinity, end: -Infinity };
+    /**
+     * Parse JSON trace format (Chrome trace format)
+     */
+    parseJSON(arrayBuffer) {
+        const text = new TextDecoder().decode(arrayBuffer);
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return this.recoverJSON(text, error);
+        }
+
+        const profile = this.parseProfileDocument(data);
+        if (profile) return profile;
+
+        // Handle Chrome trace format
+        const events = Array.isArray(data) ? data : (data.traceEvents || []);
+
+        const state = this.beginJSONTrace();
+        events.forEach(event => this.addJSONEvent(event, state));
+        if (!Array.isArray(data)) this.applyJSONEnvelope(data);
+        return this.finishJSONTrace(state);
+    }
+
+    /**
+     * Read trace-level fields from the object around traceEvents: displayTimeUnit, and a
+     * metadata.startTime (epoch ms or date string) giving the wall-clock time of the first event
+     */
+    applyJSONEnvelope(envelope) {
+        if (TIME_UNITS[envelope.displayTimeUnit]) this.metadata.displayTimeUnit = envelope.displayTimeUnit;
+
+        const startTime = envelope.metadata && envelope.metadata.startTime;
+        const unixTime = typeof startTime === 'string' ? Date.parse(startTime) : startTime;
+        if (Number.isFinite(unixTime)) {
+            this.metadata.wallClock = { traceTime: null, unixTime: TraceParser.epochMillisToNanos(unixTime) };
+        }
+    }
+
+    /**
+     * Parse JSON documents that are profiles rather than trace event lists
+     * @returns {Object|null} Parsed trace data, or null for Chrome trace JSON
+     */
+    parseProfileDocument(data) {
+        if (TraceParser.isGeckoProfile(data)) return this.parseGecko(data);
+        if (TraceParser.isCPUProfile(data)) return this.parseCPUProfile(data);
+        return null;
+    }
+
+    /**
+     * Salvage the complete events of a JSON trace that fails to parse, typically one cut off
+     * when the traced process crashed or one with a stray trailing comma
+     */
+    recoverJSON(text, parseError) {
+        const state = this.beginJSONTrace();
+        const tokenizer = new JSONEventTokenizer(event => this.addJSONEvent(event, state));
+        tokenizer.push(text);
+        // Nothing salvageable: report the original error
+        if (tokenizer.eventCount === 0) throw parseError;
+        return this.finishTokenizedJSON(tokenizer, state, parseError);
+    }
+
+    /**
+     * Finish a parse fed by a JSONEventTokenizer, recording anything skipped in metadata.jsonRecovery
+     * @param {Error} [parseError] - Why strict parsing failed, if it was attempted
+     */
+    finishTokenizedJSON(tokenizer, state, parseError) {
+        const envelope = tokenizer.finish();
+        // Without a traceEvents array the whole document ends up in the envelope
+        if (tokenizer.eventCount === 0) {
+            const profile = this.parseProfileDocument(envelope);
+            if (profile) return profile;
+        }
+        const recovery = tokenizer.getRecoveryStats();
+        if (recovery) {
+            if (parseError) recovery.error = parseError.message;
+            this.metadata.jsonRecovery = recovery;
+            console.warn(`Recovered ${recovery.recoveredEvents} events from damaged JSON, skipped ${recovery.skippedBytes} bytes`);
+            const problems = [TraceParser.formatBytes(recovery.skippedBytes)];
+            if (recovery.truncated) problems.push('file ends mid-event');
+            if (recovery.malformedEvents) problems.push(`${recovery.malformedEvents} malformed events`);
+            this.recordDiagnostic('damaged_json', problems.join(', '));
+        }
+        this.applyJSONEnvelope(envelope);
+        return this.finishJSONTrace(state);
+    }
+
+    /**
+     * Start an incremental Chrome JSON parse; feed events with addJSONEvent and end with finishJSONTrace
+     * @returns {Object} Parse state
+     */
+    beginJSONTrace() {
+        this.tracks = [];
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = {};
+        this.timeRange = { start: Infinity, end: -Infinity };
+
+        return {
+            trackMap: new Map(), // pid-tid -> thread track
+            durationEvents: [], // B/E events, paired after the main pass
+            asyncEvents: [], // Async events, matched by id after the main pass
+            counterMap: new Map(), // counter series, keyed by pid + name + arg key
+            flowEvents: [], // s/t/f events, bound to slices once all slices exist
+            boundSlices: [], // X slices carrying bind_id + flow_in/flow_out
+            profileEvents: [], // Profile/ProfileChunk (P) events, grouped by profile id after the main pass
+            processInfo: new Map(), // pid -> { name, sortIndex, labels } from M events
+            threadInfo: new Map(), // pid-tid -> { name, sortIndex } from M events
+            eventCount: 0
+        };
+    }
+
+    /**
+     * Add one Chrome JSON trace event
+     */
+    addJSONEvent(event, state) {
+        state.eventCount++;
+
+        if (event.ph === 'M') {
+            this.recordMetadataEvent(event, state.processInfo, state.threadInfo);
+            return;
+        }
+
+        // Issuer-side markers carry issue_ts; the sync point is taken as halfway through the round trip
+        if (event.ph === 'c' || event.name === 'clock_sync') {
+            const args = event.args || {};
+            if (args.sync_id !== undefined) {
+                const ts = event.ts || 0;
+                const syncTime = args.issue_ts !== undefined ? (args.issue_ts + ts) / 2 : ts;
+                this.recordClockSync(String(args.sync_id), TraceParser.microsToNanos(syncTime));
+            }
+            return;
+        }
+
+        // Profile events keep their µs times, see buildCPUProfileTracks
+        if (event.ph === 'P') {
+            if (event.name === 'Profile' || event.name === 'ProfileChunk') state.profileEvents.push(event);
+            return;
+        }
+
+        if (!['X', 'B', 'E', 'I', 'i', 'C', ...ASYNC_PHASES, ...FLOW_PHASES].includes(event.ph)) {
+            // Skip unsupported event types
+            const example = typeof event.ts === 'number' ? { time: TraceParser.microsToNanos(event.ts), name: event.name } : { name: event.name };
+            this.recordDiagnostic('skipped_phase', `phase "${event.ph}"`, example);
+            return;
+        }
+
+        // Later passes (B/E pairing, async and flow matching) read ts and dur off the event, so convert in place
+        event.ts = TraceParser.microsToNanos(event.ts || 0);
+        if (event.dur !== undefined) event.dur = TraceParser.microsToNanos(event.dur);
+
+        const pid = event.pid || 0;
+        const tid = event.tid || 0;
+        const trackKey = `${pid}-${tid}`;
+        const ts = event.ts;
+
+        if (ASYNC_PHASES.includes(event.ph)) {
+            state.asyncEvents.push(event);
+            return;
+        }
+
+        if (FLOW_PHASES.includes(event.ph)) {
+            state.flowEvents.push({ event, trackKey });
+            return;
+        }
+
+        if (event.ph === 'C') {
+            // One series per arg key; Chrome appends the optional id to the counter name
+            const counterName = event.id !== undefined ? `${event.name}[${event.id}]` : (event.name || 'Counter');
+            Object.entries(event.args || {}).forEach(([key, rawValue]) => {
+                const value = typeof rawValue === 'number' ? rawValue : parseFloat(rawValue);
+                if (isNaN(value)) return;
+                const seriesName = key === 'value' ? counterName : `${counterName}.${key}`;
+                this.addCounterSample(state.counterMap, {
+                    name: seriesName,
+                    pid: pid,
+                    processName: event.pname || `Process ${pid}`
+                }, ts, value);
+            });
+            return;
+        }
+        
+        if (!state.trackMap.has(trackKey)) {
+            state.trackMap.set(trackKey, {
+                id: state.trackMap.size,
+                name: event.tname || `Thread ${tid}`,
+                pid: pid,
+                tid: tid,
+                processName: event.pname || `Process ${pid}`,
+                sliceIds: []
+            });
+        }
+
+        const track = state.trackMap.get(trackKey);
+        const dur = event.dur || 0;
+
+        if (event.ph === 'X') {
+            const sliceId = this.addJSONSlice(event, track, ts, dur);
+            if (event.flow_in || event.flow_out) {
+                state.boundSlices.push({
+                    sliceId,
+                    bindId: event.bind_id !== undefined ? event.bind_id : event.id,
+                    flowIn: !!event.flow_in,
+                    flowOut: !!event.flow_out
+                });
+            }
+        } else if (event.ph === 'I' || event.ph === 'i') {
+            this.addInstant(event.name, event.cat || '', track, ts, INSTANT_SCOPES[event.s] || 'thread', event.args);
+        } else if (event.ph === 'B' || event.ph === 'E') {
+            state.durationEvents.push({ event, track });
+            this.timeRange.start = Math.min(this.timeRange.start, ts);
+            this.timeRange.end = Math.max(this.timeRange.end, ts);
+        }
+    }
+
+    /**
+     * Remember a clock_sync marker, for aligning with other files; its time is normalized along with the slices
+     */
+    recordClockSync(syncId, time) {
+        if (!this.metadata.clockSyncs) this.metadata.clockSyncs = [];
+        this.metadata.clockSyncs.push({ syncId, time });
+    }
+
+    /**
+     * Count a problem in metadata.diagnostics, one entry per kind and detail
+     * @param {string} kind - A DIAGNOSTIC_KINDS key
+     * @param {string|null} detail - What varies within the kind, e.g. the skipped phase
+     * @param {Object} [example] - { time, duration, name, track } of this occurrence; times are
+     *   normalized with the slices and the track becomes a trackId
+     * @param {number} [count]
+     */
+    recordDiagnostic(kind, detail, example = null, count = 1) {
+        if (!this.metadata.diagnostics) this.metadata.diagnostics = [];
+        let diagnostic = this.metadata.diagnostics.find(entry => entry.kind === kind && entry.detail === detail);
+        if (!diagnostic) {
+            diagnostic = { kind, ...DIAGNOSTIC_KINDS[kind], detail, count: 0, examples: [] };
+            this.metadata.diagnostics.push(diagnostic);
+        }
+        diagnostic.count += count;
+        if (example && diagnostic.examples.length < DIAGNOSTIC_EXAMPLE_LIMIT) {
+            diagnostic.examples.push(example);
+        }
+    }
+
+    /**
+     * Build tracks from all events added since beginJSONTrace
+     */
+    finishJSONTrace(state) {
+        this.pairDurationEvents(state.durationEvents);
+
+        this.tracks = Array.from(state.trackMap.values());
+        this.buildAsyncTracks(state.asyncEvents);
+        this.applyTrackMetadata(state.processInfo, state.threadInfo);
+        this.buildCPUProfileTracks(state.profileEvents, state.trackMap, state.processInfo);
+        this.tracks = this.groupTracksByProcess(this.tracks);
+
+        state.counterMap.forEach(counter => {
+            const process = state.processInfo.get(counter.pid);
+            if (process && process.name) counter.processName = process.name;
+        });
+        this.finalizeCounterTracks(state.counterMap);
+        
+        // Calculate slice depths for nested slices
+        this.calculateSliceDepths();
+
+        // Flows bind to slices by position, so they need sorted track slices
+        this.resolveFlows(state.flowEvents, state.boundSlices, state.trackMap);
+
+        // Normalize times to start from 0
+        this.normalizeTimestamps();
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Record a Chrome JSON metadata (M) event
+     * Process/thread names, sort indices and labels are kept per pid/tid; other metadata goes to this.metadata
+     */
+    recordMetadataEvent(event, processInfo, threadInfo) {
+        const args = event.args || {};
+        const pid = event.pid || 0;
+        const threadKey = `${pid}-${event.tid || 0}`;
+        const entry = (map, key) => {
+            if (!map.has(key)) map.set(key, {});
+            return map.get(key);
+        };
+
+        switch (event.name) {
+            case 'process_name':
+                entry(processInfo, pid).name = args.name;
+                break;
+            case 'process_sort_index':
+                entry(processInfo, pid).sortIndex = args.sort_index;
+                break;
+            case 'process_labels':
+                entry(processInfo, pid).labels = String(args.labels || '').split(',').map(label => label.trim()).filter(Boolean);
+                break;
+            case 'thread_name':
+                entry(threadInfo, threadKey).name = args.name;
+                break;
+            case 'thread_sort_index':
+                entry(threadInfo, threadKey).sortIndex = args.sort_index;
+                break;
+            default:
+                this.metadata[event.name] = args;
+        }
+    }
+
+    /**
+     * Apply names, labels and sort indices from metadata events to the tracks of each pid/tid
+     */
+    applyTrackMetadata(processInfo, threadInfo) {
+        this.tracks.forEach(track => {
+            const process = processInfo.get(track.pid);
+            if (process) {
+                if (process.name) track.processName = process.name;
+                if (process.labels && process.labels.length > 0) track.processLabels = process.labels;
+                if (process.sortIndex !== undefined) track.processSortIndex = process.sortIndex;
+            }
+
+            if (track.tid === null) return;
+            const thread = threadInfo.get(`${track.pid}-${track.tid}`);
+            if (thread) {
+                if (thread.name) track.name = thread.name;
+                if (thread.sortIndex !== undefined) track.threadSortIndex = thread.sortIndex;
+            }
+        });
+    }
+
+    /**
+     * Create a slice from a Chrome JSON event and add it to its track
+     * @returns {number} The slice's id
+     */
+    addJSONSlice(event, track, ts, dur, extraArgs = null) {
+        const id = this.slices.add({
+            trackId: track.id,
+            name: event.name || 'Unknown',
+            category: event.cat || '',
+            startTime: ts,
+            duration: dur,
+            args: extraArgs ? { ...event.args, ...extraArgs } : event.args,
+            depth: 0, // Will be calculated later
+            color: this.getColorIndex(event.cat || event.name)
+        });
+        track.sliceIds.push(id);
+
+        this.timeRange.start = Math.min(this.timeRange.start, ts);
+        this.timeRange.end = Math.max(this.timeRange.end, ts + dur);
+        return id;
+    }
+
+    /**
+     * Create a zero-duration instant event
+     * Instants live in this.slices (so they can be selected and exported) but not in track.sliceIds
+     * @param {string} scope - 'thread', 'process' or 'global'
+     * @returns {number} The instant's id
+     */
+    addInstant(name, category, track, ts, scope, args) {
+        const id = this.slices.add({
+            trackId: track.id,
+            name: name || 'Unknown',
+            category: category,
+            startTime: ts,
+            duration: 0,
+            args: args,
+            depth: 0,
+            color: this.getColorIndex(category || name || ''),
+            instant: true,
+            scope: scope
+        });
+
+        this.timeRange.start = Math.min(this.timeRange.start, ts);
+        this.timeRange.end = Math.max(this.timeRange.end, ts);
+        return id;
+    }
+
+    /**
+     * Pair B/E duration events per thread into slices
+     * Unterminated B events are clamped to the trace end; orphan E events are counted
+     */
+    pairDurationEvents(durationEvents) {
+        // Events are not guaranteed to be sorted; sort is stable so B/E at the same ts keep file order
+        durationEvents.sort((a, b) => (a.event.ts || 0) - (b.event.ts || 0));
+
+        const stacks = new Map(); // track -> open B events
+        let orphanEnds = 0;
+
+        durationEvents.forEach(({ event, track }) => {
+            if (!stacks.has(track)) stacks.set(track, []);
+            const stack = stacks.get(track);
+
+            if (event.ph === 'B') {
+                stack.push(event);
+                return;
+            }
+
+            const begin = stack.pop();
+            if (!begin) {
+                orphanEnds++;
+                this.recordDiagnostic('unmatched_end', 'E', { time: event.ts || 0, name: event.name, track });
+                return;
+            }
+            const ts = begin.ts || 0;
+            this.addJSONSlice(begin, track, ts, (event.ts || 0) - ts, event.args);
+        });
+
+        let unterminated = 0;
+        stacks.forEach((stack, track) => {
+            stack.forEach(begin => {
+                const ts = begin.ts || 0;
+                const sliceId = this.addJSONSlice(begin, track, ts, this.timeRange.end - ts);
+                this.slices.update(sliceId, { unterminated: true });
+                unterminated++;
+            });
+        });
+
+        if (orphanEnds > 0) {
+            console.warn(`Ignored ${orphanEnds} E event(s) without a matching B event`);
+            this.metadata.orphanEndEvents = orphanEnds;
+        }
+        if (unterminated > 0) {
+            this.metadata.unterminatedSlices = unterminated;
+        }
+    }
+
+    /**
+     * Key that matches the events of one async operation
+     * Nestable events match on category + id (id2.local is process scoped); legacy events also on name
+     */
+    getAsyncEventKey(event) {
+        let id;
+        if (event.id2 && event.id2.local !== undefined) {
+            id = `local:${event.pid || 0}:${event.id2.local}`;
+        } else if (event.id2 && event.id2.global !== undefined) {
+            id = `global:${event.id2.global}`;
+        } else {
+            id = `${event.id}`;
+        }
+
+        const key = `${event.cat || ''}|${event.scope || ''}|${id}`;
+        return ['b', 'e', 'n'].includes(event.ph) ? key : `${key}|${event.name}`;
+    }
+
+    /**
+     * The id of an async event as written in the trace
+     */
+    getAsyncId(event) {
+        if (!event.id2) return event.id;
+        return event.id2.local !== undefined ? event.id2.local : event.id2.global;
+    }
+
+    /**
+     * Build async tracks from Chrome async events (and systrace S|/F| markers)
+     * Spans are placed on one track per process and root event name; overlapping spans get separate rows
+     */
+    buildAsyncTracks(asyncEvents) {
+        if (asyncEvents.length === 0) return;
+
+        // Stable sort keeps begin/end at the same timestamp in file order
+        asyncEvents.sort((a, b) => (a.ts || 0) - (b.ts || 0));
+
+        const asyncTracks = new Map(); // pid + root name -> track
+        const open = new Map(); // async key -> stack of open nestable events, or open legacy span
+        let orphanEnds = 0;
+
+        const getTrack = (rootEvent) => {
+            const pid = rootEvent.pid || 0;
+            const name = rootEvent.name || 'Async';
+            const key = `${pid}-${name}`;
+            if (!asyncTracks.has(key)) {
+                const thread = this.tracks.find(track => track.pid === pid && track.type !== 'async');
+                const track = {
+                    id: this.tracks.length,
+                    type: 'async',
+                    name: name,
+                    pid: pid,
+                    tid: null,
+                    processName: rootEvent.pname || (thread ? thread.processName : `Process ${pid}`),
+                    sliceIds: []
+                };
+                asyncTracks.set(key, track);
+                this.tracks.push(track);
+            }
+            return asyncTracks.get(key);
+        };
+
+        const addSpan = (track, event, start, end, asyncId, extraArgs = null) => {
+            const sliceId = this.addJSONSlice(event, track, start, end - start, extraArgs);
+            this.slices.update(sliceId, { asyncId });
+            return sliceId;
+        };
+
+        asyncEvents.forEach(event => {
+            const key = this.getAsyncEventKey(event);
+            const asyncId = this.getAsyncId(event);
+            const ts = event.ts || 0;
+            this.timeRange.start = Math.min(this.timeRange.start, ts);
+            this.timeRange.end = Math.max(this.timeRange.end, ts);
+
+            switch (event.ph) {
+                case 'b': {
+                    if (!open.has(key)) open.set(key, []);
+                    open.get(key).push(event);
+                    break;
+                }
+                case 'e': {
+                    const stack = open.get(key);
+                    const begin = stack ? stack.pop() : null;
+                    if (!begin) {
+                        orphanEnds++;
+                        this.recordDiagnostic('unmatched_end', 'e', { time: ts, name: event.name });
+                        break;
+                    }
+                    const root = stack.length > 0 ? stack[0] : begin;
+                    addSpan(getTrack(root), begin, begin.ts || 0, ts, asyncId, event.args);
+                    if (stack.length === 0) open.delete(key);
+                    break;
+                }
+                case 'n': {
+                    const stack = open.get(key);
+                    const root = stack && stack.length > 0 ? stack[0] : event;
+                    const instantId = this.addInstant(event.name, event.cat || '', getTrack(root), ts, 'thread', event.args);
+                    this.slices.update(instantId, { asyncId });
+                    break;
+                }
+                case 'S':
+                    open.set(key, { begin: event, lastMark: ts, lastStep: null, steps: [] });
+                    break;
+                case 'T':
+                case 'p': {
+                    const span = open.get(key);
+                    if (!span || Array.isArray(span)) break;
+                    const step = (event.args && event.args.step) || event.ph;
+                    // T starts a step at ts, p ends a step at ts
+                    if (event.ph === 'T') {
+                        if (span.lastStep !== null) span.steps.push({ name: span.lastStep, start: span.lastMark, end: ts });
+                        span.lastStep = step;
+                    } else {
+                        span.steps.push({ name: step, start: span.lastMark, end: ts });
+                        span.lastStep = null;
+                    }
+                    span.lastMark = ts;
+                    break;
+                }
+                case 'F': {
+                    const span = open.get(key);
+                    if (!span || Array.isArray(span)) {
+                        orphanEnds++;
+                        this.recordDiagnostic('unmatched_end', 'F', { time: ts, name: event.name });
+                        break;
+                    }
+                    open.delete(key);
+                    if (span.lastStep !== null) span.steps.push({ name: span.lastStep, start: span.lastMark, end: ts });
+
+                    const track = getTrack(span.begin);
+                    addSpan(track, span.begin, span.begin.ts || 0, ts, asyncId, event.args);
+                    span.steps.forEach(step => {
+                        addSpan(track, { name: `${span.begin.name}:${step.name}`, cat: span.begin.cat }, step.start, step.end, asyncId);
+                    });
+                    break;
+                }
+            }
+        });
+
+        // Operations still running at the end of the trace
+        let unterminated = 0;
+        open.forEach(entry => {
+            const begins = Array.isArray(entry) ? entry : [entry.begin];
+            const track = getTrack(begins[0]);
+            begins.forEach(begin => {
+                const sliceId = addSpan(track, begin, begin.ts || 0, this.timeRange.end, this.getAsyncId(begin));
+                this.slices.update(sliceId, { unterminated: true });
+                unterminated++;
+            });
+        });
+
+        if (orphanEnds > 0) {
+            this.metadata.orphanEndEvents = (this.metadata.orphanEndEvents || 0) + orphanEnds;
+        }
+        if (unterminated > 0) {
+            this.metadata.unterminatedSlices = (this.metadata.unterminatedSlices || 0) + unterminated;
+        }
+    }
+
+    /**
+     * Resolve flow events into links between slices
+     * s/t events bind to the enclosing slice on their thread; f binds to the next slice unless bp is 'e'.
+     * X events with bind_id chain each flow_out slice to the next flow_in slice with the same id.
+     */
+    resolveFlows(flowEvents, boundSlices, trackMap) {
+        let unbound = 0;
+
+        const link = (source, target, name, category) => {
+            this.flows.push({
+                id: this.flows.length,
+                name: name || this.slices.getName(source.sliceId),
+                category: category || '',
+                sourceSliceId: source.sliceId,
+                targetSliceId: target.sliceId,
+                startTime: source.time,
+                endTime: target.time
+            });
+        };
+
+        // Flow v1: consecutive s/t/f events with the same key form a chain
+        flowEvents.sort((a, b) => (a.event.ts || 0) - (b.event.ts || 0));
+        const lastPoint = new Map(); // flow key -> { sliceId, time } of the previous step
+        flowEvents.forEach(({ event, trackKey }) => {
+            const track = trackMap.get(trackKey);
+            const ts = event.ts || 0;
+            const bindNext = event.ph === 'f' && event.bp !== 'e';
+            const sliceId = !track ? -1 : (bindNext ? this.findNextSlice(track.sliceIds, ts) : this.findEnclosingSlice(track.sliceIds, ts));
+            if (sliceId === -1) {
+                unbound++;
+                this.recordDiagnostic('unbound_flow', event.ph, { time: ts, name: event.name, track });
+                return;
+            }
+
+            const key = `${event.cat || ''}|${this.getAsyncId(event)}`;
+            const point = { sliceId, time: bindNext ? this.slices.startTimes[sliceId] : ts };
+            const previous = lastPoint.get(key);
+            if (event.ph !== 's') {
+                if (!previous) {
+                    unbound++;
+                    this.recordDiagnostic('unbound_flow', event.ph, { time: ts, name: event.name, track });
+                    return;
+                }
+                link(previous, point, event.name, event.cat);
+            }
+
+            if (event.ph === 'f') {
+                lastPoint.delete(key);
+            } else {
+                lastPoint.set(key, point);
+            }
+        });
+
+        // Flow v2: bind_id on the slices themselves, from the end of the source to the start of the target
+        const byBindId = new Map();
+        boundSlices.forEach(entry => {
+            const key = `${entry.bindId}`;
+            if (!byBindId.has(key)) byBindId.set(key, []);
+            byBindId.get(key).push(entry);
+        });
+        const starts = this.slices.startTimes;
+        byBindId.forEach(entries => {
+            entries.sort((a, b) => starts[a.sliceId] - starts[b.sliceId]);
+            let source = null;
+            entries.forEach(entry => {
+                if (entry.flowIn) {
+                    if (source) {
+                        link({ sliceId: source.sliceId, time: this.slices.getEndTime(source.sliceId) },
+                            { sliceId: entry.sliceId, time: starts[entry.sliceId] }, null, this.slices.getCategory(source.sliceId));
+                    } else {
+                        unbound++;
+                        this.recordDiagnostic('unbound_flow', 'flow_in', { time: starts[entry.sliceId], name: this.slices.getName(entry.sliceId) });
+                    }
+                }
+                if (entry.flowOut) source = entry;
+            });
+        });
+
+        if (unbound > 0) {
+            console.warn(`Ignored ${unbound} flow event(s) that could not be bound to a slice`);
+            this.metadata.unboundFlowEvents = unbound;
+        }
+    }
+
+    /**
+     * Deepest of the slices containing the given time (sliceIds must be sorted by start, with
+     * parents already set by calculateSliceDepths)
+     * @returns {number} Slice id, -1 if none
+     */
+    findEnclosingSlice(sliceIds, time) {
+        // Slices nest, so the innermost one containing time is the last slice starting at or
+        // before time or one of its ancestors
+        const index = this.findNextSliceIndex(sliceIds, time, true) - 1;
+        const { parentIds } = this.slices;
+        for (let id = index >= 0 ? sliceIds[index] : -1; id >= 0; id = parentIds[id]) {
+            if (this.slices.getEndTime(id) >= time) return id;
+        }
+        return -1;
+    }
+
+    /**
+     * First of the slices starting at or after the given time
+     * @returns {number} Slice id, -1 if none
+     */
+    findNextSlice(sliceIds, time) {
+        const index = this.findNextSliceIndex(sliceIds, time, false);
+        return index < sliceIds.length ? sliceIds[index] : -1;
+    }
+
+    /**
+     * Binary search for the first slice starting at or after time (strictly after when strict is set)
+     */
+    findNextSliceIndex(sliceIds, time, strict) {
+        let low = 0;
+        let high = sliceIds.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            const start = this.slices.startTimes[sliceIds[mid]];
+            if (start < time || (strict && start === time)) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Order tracks so each process's tracks are adjacent
+     * Processes, then threads within a process, are ordered by sort index (default 0) and then by first appearance
+     */
+    groupTracksByProcess(tracks) {
+        const processRank = new Map();
+        tracks.forEach(track => {
+            if (!processRank.has(track.pid)) processRank.set(track.pid, processRank.size);
+        });
+        // Array.prototype.sort is stable, so tracks with equal keys keep their order
+        return tracks.slice().sort((a, b) =>
+            ((a.processSortIndex || 0) - (b.processSortIndex || 0)) ||
+            (processRank.get(a.pid) - processRank.get(b.pid)) ||
+            ((a.threadSortIndex || 0) - (b.threadSortIndex || 0))
+        );
+    }
+
+    /**
+     * Append a sample to a counter series, creating the series on first use
+     * @param {Map} counterMap - Series keyed by pid and name
+     * @param {Object} info - { name, pid, processName }
+     */
+    addCounterSample(counterMap, info, time, value) {
+        const key = `${info.pid}-${info.name}`;
+        if (!counterMap.has(key)) {
+            counterMap.set(key, { ...info, samples: [] });
+        }
+        counterMap.get(key).samples.push({ time, value });
+
+        this.timeRange.start = Math.min(this.timeRange.start, time);
+        this.timeRange.end = Math.max(this.timeRange.end, time);
+    }
+
+    /**
+     * Turn collected counter series into counter tracks appended after the slice tracks
+     */
+    finalizeCounterTracks(counterMap) {
+        const counters = Array.from(counterMap.values())
+            .sort((a, b) => (a.pid - b.pid) || a.name.localeCompare(b.name));
+
+        counters.forEach(counter => {
+            counter.samples.sort((a, b) => a.time - b.time);
+
+            let min = Infinity;
+            let max = -Infinity;
+            for (const sample of counter.samples) {
+                if (sample.value < min) min = sample.value;
+                if (sample.value > max) max = sample.value;
+            }
+
+            this.tracks.push({
+                id: this.tracks.length,
+                type: 'counter',
+                name: counter.name,
+                pid: counter.pid,
+                tid: null,
+                processName: counter.processName,
+                sliceIds: [],
+                counter: {
+                    samples: counter.samples,
+                    min: min,
+                    max: max
+                },
+                color: this.getColorIndex(counter.name)
+            });
+        });
+    }
+
+    /**
+     * Parse systrace format
+     */
+    parseSystrace(arrayBuffer) {
+        const text = new TextDecoder().decode(arrayBuffer);
+        const lines = text.split('\n');
+        
+        this.tracks = [];
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = {};
+        this.timeRange = { start: Infinity, end: -Infinity };
+
+        const trackMap = new Map();
+        const openSlices = new Map(); // Track open B events
+        let orphanEnds = 0;
+        const addSlice = (openSlice, endTime) => {
+            const id = this.slices.add({
+                trackId: openSlice.track.id,
+                name: openSlice.name,
+                category: 'systrace',
+                startTime: openSlice.startTime,
+                duration: endTime - openSlice.startTime,
+                depth: 0,
+                color: this.getColorIndex(openSlice.name)
+            });
+            openSlice.track.sliceIds.push(id);
+            return id;
+        };
+        const counterMap = new Map();
+
+        // Regex for systrace format
+        // task-tid (tgid) [cpu] flags timestamp: event: data (tgid and irq flags columns are optional)
+        const systraceRegex = /^\s*(.+?)-(\d+)\s+(?:\(\s*(\d+|-+)\)\s+)?\[(\d+)\]\s+(?:\S{4,5}\s+)?(\d+\.\d+):\s+(tracing_mark_write|sched_switch|.+?):\s+(.*)$/;
+        const beginRegex = /^B\|(\d+)\|(.+)$/;
+        const endRegex = /^E\|(\d+)$/;
+        const asyncRegex = /^([SF])\|(\d+)\|(.+)\|(-?\d+)$/;
+        const asyncEvents = [];
+        const clockSyncRegex = /^trace_event_clock_sync: name=(\S+)/;
+        const realtimeSyncRegex = /^trace_event_clock_sync: realtime_ts=(\d+)/;
+        const counterRegex = /^C\|(\d+)\|(.+)\|(-?\d+(?:\.\d+)?)(?:\|.*)?$/;
+        const schedSwitchRegex = /^prev_comm=(.+?) prev_pid=(\d+) prev_prio=(-?\d+) prev_state=(\S+) ==> next_comm=(.+?) next_pid=(\d+) next_prio=(-?\d+)/;
+        const schedWakeupRegex = /^comm=(.+?) pid=(\d+) prio=(-?\d+)(?: success=\d+)? target_cpu=(\d+)/;
+
+        // Process of each thread, from the tgid column or else the pid of its B| markers; pid and
+        // processName of thread tracks are set from it once all lines are read
+        const threadPids = new Map();
+        const getTrack = (taskName, tid) => {
+            const trackKey = `${taskName}-${tid}`;
+            if (!trackMap.has(trackKey)) {
+                trackMap.set(trackKey, {
+                    id: trackMap.size,
+                    name: taskName,
+                    tid: tid,
+                    pid: tid,
+                    processName: taskName,
+                    sliceIds: []
+                });
+            }
+            return trackMap.get(trackKey);
+        };
+        const getCpuTrack = (cpu) => {
+            if (!sched.cpuTracks.has(cpu)) {
+                const track = {
+                    id: trackMap.size,
+                    type: 'cpu',
+                    name: `CPU ${cpu}`,
+                    cpu: cpu,
+                    pid: null,
+                    tid: null,
+                    processName: 'CPU Scheduling',
+                    sliceIds: []
+                };
+                // Registered in trackMap only to keep track ids unique
+                trackMap.set(`cpu:${cpu}`, track);
+                sched.cpuTracks.set(cpu, track);
+            }
+            return sched.cpuTracks.get(cpu);
+        };
+        const sched = {
+            getTrack: getTrack,
+            getCpuTrack: getCpuTrack,
+            cpuTracks: new Map(), // cpu -> CPU track
+            running: new Map(), // cpu -> { tid, comm, prio, startTime } currently on the CPU
+            threads: new Map(), // tid -> open thread state
+            runsByTid: new Map(), // tid -> ids of that thread's CPU slices, in time order
+            wakeups: []
+        };
+
+        lines.forEach((line, lineNum) => {
+            const match = line.match(systraceRegex);
+            if (!match) return;
+
+            const [, taskName, tid, tgid, cpu, timestamp, eventType, data] = match;
+            const ts = TraceParser.secondsToNanos(timestamp);
+            const tidNum = parseInt(tid);
+            // Threads whose process was unknown when traced show a tgid of "-----"
+            if (tgid && /^\d+$/.test(tgid)) threadPids.set(tidNum, parseInt(tgid));
+            const trackKey = `${taskName}-${tidNum}`;
+
+            if (eventType === 'sched_switch' || eventType === 'sched_wakeup' || eventType === 'sched_wakeup_new') {
+                const schedMatch = data.match(eventType === 'sched_switch' ? schedSwitchRegex : schedWakeupRegex);
+                if (!schedMatch) return;
+                this.timeRange.start = Math.min(this.timeRange.start, ts);
+                this.timeRange.end = Math.max(this.timeRange.end, ts);
+
+                if (eventType === 'sched_switch') {
+                    const [, prevComm, prevPid, , prevState, nextComm, nextPid, nextPrio] = schedMatch;
+                    this.applySchedSwitch(sched, parseInt(cpu), ts,
+                        { comm: prevComm, tid: parseInt(prevPid), state: prevState },
+                        { comm: nextComm, tid: parseInt(nextPid), prio: parseInt(nextPrio) });
+                } else {
+                    const [, comm, pid, , targetCpu] = schedMatch;
+                    this.applySchedWakeup(sched, parseInt(cpu), ts, { comm: taskName, tid: tidNum },
+                        { comm: comm, tid: parseInt(pid), cpu: parseInt(targetCpu) });
+                }
+                return;
+            }
+
+            if (eventType === 'tracing_mark_write') {
+                // Pairs with clock_sync events carrying the same sync_id in other traces
+                const clockSyncMatch = data.match(clockSyncRegex);
+                if (clockSyncMatch) {
+                    this.recordClockSync(clockSyncMatch[1], ts);
+                    return;
+                }
+                // Written by atrace at startup: wall-clock ms at this trace time
+                const realtimeMatch = data.match(realtimeSyncRegex);
+                if (realtimeMatch) {
+                    this.metadata.wallClock = { traceTime: BigInt(ts), unixTime: BigInt(realtimeMatch[1]) * 1000000n };
+                    return;
+                }
+
+                const track = getTrack(taskName, tidNum);
+                const beginMatch = data.match(beginRegex);
+                const endMatch = data.match(endRegex);
+                const counterMatch = data.match(counterRegex);
+                const asyncMatch = data.match(asyncRegex);
+
+                if (beginMatch) {
+                    const sliceName = beginMatch[2];
+                    const openKey = `${trackKey}-${beginMatch[1]}`;
+                    if (!threadPids.has(tidNum)) threadPids.set(tidNum, parseInt(beginMatch[1]));
+                    
+                    if (!openSlices.has(openKey)) {
+                        openSlices.set(openKey, []);
+                    }
+                    
+                    openSlices.get(openKey).push({
+                        name: sliceName,
+                        startTime: ts,
+                        track: track
+                    });
+
+                    this.timeRange.start = Math.min(this.timeRange.start, ts);
+                } else if (endMatch) {
+                    const openKey = `${trackKey}-${endMatch[1]}`;
+                    const stack = openSlices.get(openKey);
+                    
+                    if (stack && stack.length > 0) {
+                        addSlice(stack.pop(), ts);
+                        this.timeRange.end = Math.max(this.timeRange.end, ts);
+                    } else {
+                        orphanEnds++;
+                        this.recordDiagnostic('unmatched_end', 'E|', { time: ts, track });
+                    }
+                } else if (asyncMatch) {
+                    // Systrace async slices match on name + cookie, like Chrome legacy S/F events
+                    asyncEvents.push({
+                        ph: asyncMatch[1],
+                        pid: parseInt(asyncMatch[2]),
+                        name: asyncMatch[3],
+                        id: asyncMatch[4],
+                        cat: 'systrace',
+                        ts: ts
+                    });
+                } else if (counterMatch) {
+                    const pid = parseInt(counterMatch[1]);
+                    this.addCounterSample(counterMap, {
+                        name: counterMatch[2],
+                        pid: pid,
+                        processName: null // Resolved from the process main thread below
+                    }, ts, parseFloat(counterMatch[3]));
+                }
+            }
+        });
+
+        // B| markers never ended are clamped to the trace end, like Chrome JSON B events
+        let unterminated = 0;
+        openSlices.forEach(stack => {
+            stack.forEach(openSlice => {
+                this.slices.update(addSlice(openSlice, Math.max(openSlice.startTime, this.timeRange.end)), { unterminated: true });
+                unterminated++;
+            });
+        });
+        if (orphanEnds > 0) this.metadata.orphanEndEvents = orphanEnds;
+        if (unterminated > 0) this.metadata.unterminatedSlices = unterminated;
+
+        this.finishSchedState(sched);
+
+        // Group threads under their process, named after its main thread when that is in the trace
+        const threadTracks = Array.from(trackMap.values()).filter(track => track.type !== 'cpu');
+        threadTracks.forEach(track => {
+            if (threadPids.has(track.tid)) track.pid = threadPids.get(track.tid);
+        });
+        const processNames = new Map();
+        threadTracks.forEach(track => {
+            if (track.tid === track.pid && !processNames.has(track.pid)) processNames.set(track.pid, track.name);
+        });
+        threadTracks.forEach(track => {
+            track.processName = processNames.get(track.pid) || `Process ${track.pid}`;
+        });
+
+        this.tracks = Array.from(trackMap.values());
+        this.buildAsyncTracks(asyncEvents);
+        // CPU tracks go first, like in the Perfetto UI
+        const cpuTracks = Array.from(sched.cpuTracks.values()).sort((a, b) => a.cpu - b.cpu);
+        this.tracks = [...cpuTracks, ...this.groupTracksByProcess(this.tracks.filter(track => track.type !== 'cpu'))];
+
+        counterMap.forEach(counter => {
+            const mainThread = this.tracks.find(track => track.tid === counter.pid);
+            counter.processName = mainThread ? mainThread.processName : `Process ${counter.pid}`;
+        });
+        this.finalizeCounterTracks(counterMap);
+
+        this.calculateSliceDepths();
+        this.resolveWakeups(sched);
+        this.normalizeTimestamps();
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Apply a sched_switch: end the previous thread's run on the CPU and start the next one
+     * @param {Object} prev - { comm, tid, state } of the thread leaving the CPU
+     * @param {Object} next - { comm, tid, prio } of the thread entering the CPU
+     */
+    applySchedSwitch(sched, cpu, ts, prev, next) {
+        this.closeCpuRun(sched, cpu, ts, this.getSchedStateName(prev.state));
+        sched.running.set(cpu, { tid: next.tid, comm: next.comm, prio: next.prio, startTime: ts });
+        sched.getCpuTrack(cpu);
+
+        // pid 0 is the per-CPU idle task
+        if (prev.tid !== 0) {
+            this.setThreadState(sched, prev.comm, prev.tid, this.getSchedStateName(prev.state), ts, cpu);
+        }
+        if (next.tid !== 0) {
+            this.setThreadState(sched, next.comm, next.tid, 'Running', ts, cpu);
+        }
+    }
+
+    /**
+     * End the run currently on a CPU, adding it as a slice on the CPU track
+     * @param {string|null} endState - State the thread left the CPU in, null at trace end
+     */
+    closeCpuRun(sched, cpu, ts, endState) {
+        const run = sched.running.get(cpu);
+        sched.running.delete(cpu);
+        if (!run || run.tid === 0) return;
+
+        const args = { tid: run.tid, prio: run.prio };
+        if (endState) args.end_state = endState;
+        const sliceId = this.addJSONSlice({ name: run.comm, cat: 'sched', args }, sched.getCpuTrack(cpu), run.startTime, ts - run.startTime);
+
+        if (!sched.runsByTid.has(run.tid)) sched.runsByTid.set(run.tid, []);
+        sched.runsByTid.get(run.tid).push(sliceId);
+    }
+
+    /**
+     * Apply a sched_wakeup: the woken thread becomes Runnable until it is switched in
+     * @param {Object} waker - { comm, tid } of the task that issued the wakeup
+     * @param {Object} wakee - { comm, tid, cpu } of the woken thread and its target CPU
+     */
+    applySchedWakeup(sched, cpu, ts, waker, wakee) {
+        const current = sched.threads.get(wakee.tid);
+        if (current && (current.state === 'Running' || current.state === 'Runnable')) return;
+
+        this.setThreadState(sched, wakee.comm, wakee.tid, 'Runnable', ts, wakee.cpu, waker.tid !== 0 ? waker : null);
+        sched.wakeups.push({ time: ts, cpu: cpu, waker: waker, tid: wakee.tid });
+    }
+
+    /**
+     * Close a thread's current state interval and open a new one
+     */
+    setThreadState(sched, comm, tid, state, ts, cpu, waker = null) {
+        const current = sched.threads.get(tid);
+        if (current) {
+            if (current.state === state) return;
+            this.closeThreadState(current, ts);
+        }
+        sched.threads.set(tid, { state, startTime: ts, cpu, waker, track: sched.getTrack(comm, tid) });
+    }
+
+    closeThreadState(entry, ts) {
+        if (ts <= entry.startTime) return;
+        if (!entry.track.threadStates) entry.track.threadStates = [];
+        entry.track.threadStates.push({
+            state: entry.state,
+            startTime: entry.startTime,
+            endTime: ts,
+            duration: ts - entry.startTime,
+            cpu: entry.cpu,
+            ...(entry.waker ? { wakerTid: entry.waker.tid, wakerName: entry.waker.comm } : {})
+        });
+    }
+
+    /**
+     * Close runs and thread states still open at the end of the trace
+     */
+    finishSchedState(sched) {
+        const end = this.timeRange.end;
+        Array.from(sched.running.keys()).forEach(cpu => this.closeCpuRun(sched, cpu, end, null));
+        sched.threads.forEach(entry => this.closeThreadState(entry, end));
+        sched.threads.clear();
+    }
+
+    /**
+     * Turn sched_wakeup events into flows from the waker's run to the wakee's next run
+     */
+    resolveWakeups(sched) {
+        sched.wakeups.forEach(wakeup => {
+            const cpuTrack = sched.cpuTracks.get(wakeup.cpu);
+            const source = cpuTrack && wakeup.waker.tid !== 0 ? this.findEnclosingSlice(cpuTrack.sliceIds, wakeup.time) : -1;
+            const runs = sched.runsByTid.get(wakeup.tid);
+            const target = runs ? this.findNextSlice(runs, wakeup.time) : -1;
+            if (source === -1 || target === -1 || this.slices.getArgs(source).tid !== wakeup.waker.tid) return;
+
+            this.flows.push({
+                id: this.flows.length,
+                name: 'wakeup',
+                category: 'sched',
+                sourceSliceId: source,
+                targetSliceId: target,
+                startTime: wakeup.time,
+                endTime: this.slices.startTimes[target]
+            });
+        });
+    }
+
+    getSchedStateName(code) {
+        const state = code.split('|')[0];
+        return SCHED_THREAD_STATES[state] || SCHED_THREAD_STATES[state[0]] || state;
+    }
+
+    /**
+     * Parse a systrace/atrace HTML report
+     * Extracts the embedded <script class="trace-data"> sections (ftrace text and Chrome JSON) and merges them
+     */
+    parseSystraceHTML(arrayBuffer) {
+        const text = new TextDecoder().decode(arrayBuffer);
+        const sectionRegex = /<script\b[^>]*\bclass=["']trace-data["'][^>]*>([\s\S]*?)<\/script>/gi;
+        const sections = [];
+        let match;
+        while ((match = sectionRegex.exec(text)) !== null) {
+            sections.push(this.classifyTraceSection(match[1]));
+        }
+
+        if (sections.length === 0) {
+            throw new Error('No <script class="trace-data"> sections found; this HTML file is not a systrace/atrace report');
+        }
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const partSections = [];
+        sections.forEach(section => {
+            if (section.type !== 'ftrace' && section.type !== 'json') return;
+            try {
+                const buffer = encoder.encode(section.content).buffer;
+                const part = section.type === 'json' ? this.parseJSON(buffer) : this.parseSystrace(buffer);
+                section.status = part.tracks.length > 0 ? 'ok' : 'no events';
+                if (part.tracks.length > 0) {
+                    parts.push(part);
+                    partSections.push(section);
+                }
+            } catch (error) {
+                section.status = `failed: ${error.message}`;
+            }
+        });
+
+        const summary = sections.map((section, i) => `#${i + 1} ${section.label}: ${section.status}`).join('; ');
+        if (parts.length === 0) {
+            throw new Error(`No trace events found in HTML report (${summary})`);
+        }
+
+        // Sections may use different clocks (e.g. ftrace's and Chrome's); clock_sync markers they
+        // share align them as when merging files, the rest keep their raw timestamps
+        const syncOffsets = TraceParser.getClockSyncOffsets(parts);
+        partSections.forEach((section, i) => {
+            section.alignment = i === 0 ? 'reference' : (syncOffsets[i] === null ? 'timestamps' : 'clock_sync');
+        });
+        const data = this.mergeTraceData(parts, parts.map((part, i) =>
+            (syncOffsets[i] !== null ? syncOffsets[i] : (part.metadata.timeOffset || 0n))));
+        this.metadata.format = 'systrace-html';
+        this.metadata.htmlSections = sections.map(({ type, label, status, alignment }) => ({ type, label, status, ...(alignment ? { alignment } : {}) }));
+        partSections.filter(section => section.alignment === 'timestamps').forEach(section => {
+            this.recordDiagnostic('unaligned_section', `${section.label}: no clock_sync marker shared with ${partSections[0].label}`);
+        });
+        if (sections.some(section => section.status !== 'ok' && section.type !== 'empty')) {
+            console.warn(`Some HTML trace sections were not used: ${summary}`);
+        }
+        sections.filter(section => section.status !== 'ok' && section.type !== 'empty').forEach(section => {
+            this.recordDiagnostic('unused_section', `${section.label}: ${section.status}`);
+        });
+        return data;
+    }
+
+    /**
+     * Identify the kind of data in a systrace HTML trace-data section
+     * @returns {{type: string, label: string, status: string, content: string}}
+     */
+    classifyTraceSection(rawContent) {
+        const content = rawContent.trim();
+        const size = TraceParser.formatBytes(content.length);
+        if (content.length === 0) {
+            return { type: 'empty', label: 'empty section', status: 'skipped', content };
+        }
+        if (content[0] === '{' || content[0] === '[') {
+            return { type: 'json', label: `JSON trace (${size})`, status: 'pending', content };
+        }
+        const head = content.slice(0, 4096);
+        if (/^(TRACE:\s*)?#\s*tracer:/.test(head) || /^\s*.+-\d+\s+.*\[\d+\].*\d+\.\d+:/m.test(head)) {
+            return { type: 'ftrace', label: `ftrace text (${size})`, status: 'pending', content };
+        }
+        const preview = content.slice(0, 30).replace(/\s+/g, ' ');
+        return { type: 'unknown', label: `unrecognized "${preview}" (${size})`, status: 'skipped', content };
+    }
+
+    /**
+     * Merge separately parsed traces into one timeline
+     * Parts are aligned on their original (pre-normalization) timestamps; track, slice and flow ids are reassigned.
+     * Parts can be merged again with new offsets: each remembers the shift already applied to it and
+     * keeps its own ids, the merged tracks and flows being renumbered copies.
+     * @param {Array<bigint>} [offsets] - Per part, where its normalized zero falls on the common clock (ns)
+     */
+    mergeTraceData(parts, offsets = parts.map(part => part.metadata.timeOffset || 0n)) {
+        const base = offsets.reduce((min, offset) => (offset < min ? offset : min));
+
+        this.tracks = [];
+        this.slices = new SliceStore(parts.reduce((sum, part) => sum + part.slices.length, 0));
+        this.flows = [];
+        this.metadata = {};
+        this.timeRange = { start: 0, end: 0 };
+
+        parts.forEach((part, index) => {
+            const shift = Number(offsets[index] - base);
+            const delta = shift - (part.mergeShift || 0);
+            part.mergeShift = shift;
+            const trackIds = new Map();
+            const firstSliceId = this.slices.length;
+
+            part.tracks.forEach(track => {
+                if (track.counter) track.counter.samples.forEach(sample => { sample.time += delta; });
+                if (track.threadStates) {
+                    track.threadStates.forEach(state => {
+                        state.startTime += delta;
+                        state.endTime += delta;
+                    });
+                }
+                trackIds.set(track.id, this.tracks.length);
+                this.tracks.push({ ...track, id: this.tracks.length, sliceIds: track.sliceIds.map(id => id + firstSliceId) });
+            });
+
+            part.slices.shiftTimes(delta);
+            this.slices.append(part.slices, trackIds);
+
+            part.flows.forEach(flow => {
+                flow.startTime += delta;
+                flow.endTime += delta;
+                this.flows.push({
+                    ...flow,
+                    id: this.flows.length,
+                    sourceSliceId: flow.sourceSliceId + firstSliceId,
+                    targetSliceId: flow.targetSliceId + firstSliceId
+                });
+            });
+
+            this.timeRange.end = Math.max(this.timeRange.end, part.timeRange.end + shift);
+
+            // The first wall-clock anchor wins, moved onto the merged clock
+            const wallClock = part.metadata.wallClock;
+            if (wallClock && !this.metadata.wallClock) {
+                this.metadata.wallClock = {
+                    traceTime: wallClock.traceTime - (part.metadata.timeOffset || 0n) + offsets[index],
+                    unixTime: wallClock.unixTime
+                };
+            }
+
+            // Sync markers are relative to each part's zero
+            (part.metadata.clockSyncs || []).forEach(sync => {
+                if (!this.metadata.clockSyncs) this.metadata.clockSyncs = [];
+                this.metadata.clockSyncs.push({ syncId: sync.syncId, time: sync.time + shift });
+            });
+
+            // Diagnostics stay per part; their examples move with the slices
+            (part.metadata.diagnostics || []).forEach(diagnostic => {
+                diagnostic.examples.forEach(example => {
+                    if (example.time !== undefined) example.time += delta;
+                });
+                if (!this.metadata.diagnostics) this.metadata.diagnostics = [];
+                this.metadata.diagnostics.push({
+                    ...diagnostic,
+                    examples: diagnostic.examples.map(example =>
+                        (example.trackId !== undefined ? { ...example, trackId: trackIds.get(example.trackId) } : example))
+                });
+            });
+
+            // Warning counters add up; other metadata from later parts wins
+            Object.entries(part.metadata).forEach(([key, value]) => {
+                if (key === 'wallClock' || key === 'clockSyncs' || key === 'diagnostics') return;
+                const current = this.metadata[key];
+                this.metadata[key] = typeof value === 'number' && typeof current === 'number' ? current + value : value;
+            });
+        });
+
+        this.metadata.timeOffset = base;
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Merge traces loaded from separate files into one session. Files sharing a clock_sync id with
+     * an already aligned file are aligned on it, the rest on their raw timestamps; each file's
+     * manual offset (ns) is applied on top. Tracks and slices record their source file name.
+     * @param {Array<{name: string, data: Object, offset: number}>} sources - data as returned by a parse
+     */
+    mergeSources(sources) {
+        const parts = sources.map(source => source.data);
+        const syncOffsets = TraceParser.getClockSyncOffsets(parts);
+        const offsets = parts.map((part, i) =>
+            (syncOffsets[i] !== null ? syncOffsets[i] : (part.metadata.timeOffset || 0n)) + BigInt(sources[i].offset));
+
+        sources.forEach(source => {
+            (source.data.metadata.diagnostics || []).forEach(diagnostic => { diagnostic.source = source.name; });
+            source.data.tracks.forEach(track => { track.source = source.name; });
+            source.data.slices.setSource(source.name);
+        });
+        const data = this.mergeTraceData(parts, offsets);
+
+        delete this.metadata.clockSyncs;
+        this.metadata.sources = sources.map((source, i) => ({
+            name: source.name,
+            format: source.data.metadata.format || 'json',
+            alignment: i === 0 ? 'reference' : (syncOffsets[i] === null ? 'timestamps' : 'clock_sync'),
+            offset: source.offset
+        }));
+        return data;
+    }
+
+    /**
+     * Source names namespace tracks, so a second file with the same name gets a counter
+     */
+    static getUniqueSourceName(name, sources) {
+        const taken = new Set(sources.map(source => source.name));
+        let unique = name;
+        for (let n = 2; taken.has(unique); n++) unique = `${name} (${n})`;
+        return unique;
+    }
+
+    /**
+     * Where each part's normalized zero falls on the first part's clock (BigInt ns), found by
+     * matching clock_sync ids outward from the first part. Parts with no shared id get null.
+     */
+    static getClockSyncOffsets(parts) {
+        const offsets = parts.map((part, i) => (i === 0 ? (part.metadata.timeOffset || 0n) : null));
+        const queue = [0];
+        while (queue.length > 0) {
+            const aligned = queue.shift();
+            const syncTimes = new Map((parts[aligned].metadata.clockSyncs || []).map(sync => [sync.syncId, sync.time]));
+
+            parts.forEach((part, i) => {
+                if (offsets[i] !== null) return;
+                const match = (part.metadata.clockSyncs || []).find(sync => syncTimes.has(sync.syncId));
+                if (!match) return;
+                offsets[i] = offsets[aligned] + BigInt(syncTimes.get(match.syncId) - match.time);
+                queue.push(i);
+            });
+        }
+        return offsets;
+    }
+
+    /**
+     * Whether parsed JSON is a Gecko profile from the Firefox Profiler
+     */
+    static isGeckoProfile(data) {
+        return !!data && !Array.isArray(data) && !!data.meta && Array.isArray(data.threads);
+    }
+
+    /**
+     * Parse a Gecko profile: either the Gecko profiler's raw output (schema/data tables, per-thread
+     * string tables, child processes under `processes`) or a processed Firefox Profiler profile
+     * (column tables, string arrays). Markers become slices and instants on their thread's track,
+     * and samples become a stack chart on a separate track per thread.
+     */
+    parseGecko(profile) {
+        this.tracks = [];
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = {};
+        this.timeRange = { start: Infinity, end: -Infinity };
+
+        const categories = (profile.meta.categories || []).map(category => category.name);
+        const openIntervals = []; // IntervalStart markers never ended, clamped to trace end
+        let orphanEnds = 0;
+
+        this.collectGeckoThreads(profile, profile.meta.startTime || 0).forEach(({ thread, strings, offset, interval }, index) => {
+            const pid = thread.pid !== undefined ? thread.pid : 0;
+            const tid = thread.tid !== undefined ? thread.tid : index;
+            const info = {
+                name: thread.name || `Thread ${tid}`,
+                pid,
+                tid,
+                processName: thread.processName || TraceParser.getGeckoProcessName(thread, pid)
+            };
+            const threadTrack = { id: -1, ...info, sliceIds: [] };
+            const getThreadTrack = () => {
+                if (threadTrack.id === -1) {
+                    threadTrack.id = this.tracks.length;
+                    this.tracks.push(threadTrack);
+                }
+                return threadTrack;
+            };
+
+            const result = this.addGeckoMarkers(thread, strings, offset, categories, getThreadTrack);
+            orphanEnds += result.orphanEnds;
+            openIntervals.push(...result.open);
+
+            this.addGeckoSamples(thread, strings, offset, interval, categories, info);
+        });
+
+        openIntervals.forEach(({ name, category, args, track, start }) => {
+            const sliceId = this.addJSONSlice({ name, cat: category, args }, track, start, Math.max(0, this.timeRange.end - start));
+            this.slices.update(sliceId, { unterminated: true });
+        });
+        if (orphanEnds > 0) this.metadata.orphanEndEvents = orphanEnds;
+        if (openIntervals.length > 0) this.metadata.unterminatedSlices = openIntervals.length;
+
+        this.tracks = this.groupTracksByProcess(this.tracks);
+        this.metadata.format = 'gecko';
+        if (profile.meta.product) this.metadata.product = profile.meta.product;
+        if (profile.meta.interval) this.metadata.sampleInterval = profile.meta.interval;
+        // Times are relative to the root profile's start, which is in epoch ms
+        if (profile.meta.startTime) {
+            this.metadata.wallClock = { traceTime: 0n, unixTime: TraceParser.epochMillisToNanos(profile.meta.startTime) };
+        }
+
+        this.calculateSliceDepths();
+        this.normalizeTimestamps();
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Flatten a Gecko profile and its child process profiles into threads with their string table
+     * and time offset (ms) from the root profile's start
+     */
+    collectGeckoThreads(profile, rootStartTime) {
+        const offset = (profile.meta.startTime || rootStartTime) - rootStartTime;
+        const interval = profile.meta.interval || 1;
+        const sharedStrings = profile.shared && profile.shared.stringArray;
+
+        const threads = profile.threads.map(thread => ({
+            thread,
+            strings: thread.stringArray || thread.stringTable || sharedStrings || [],
+            offset,
+            interval
+        }));
+        (profile.processes || []).forEach(child => {
+            if (TraceParser.isGeckoProfile(child)) threads.push(...this.collectGeckoThreads(child, rootStartTime));
+        });
+        return threads;
+    }
+
+    static getGeckoProcessName(thread, pid) {
+        if (thread.processType === 'default') return 'Parent Process';
+        return thread.processType ? `${thread.processType} process ${pid}` : `Process ${pid}`;
+    }
+
+    /**
+     * Read a Gecko table as columns; raw profiles store rows plus a schema of column indices
+     * @returns {Object} column name -> array, plus length
+     */
+    static getGeckoColumns(table) {
+        if (!table) return { length: 0 };
+        if (!table.schema) return table;
+
+        const columns = { length: table.data.length };
+        Object.entries(table.schema).forEach(([name, index]) => {
+            columns[name] = table.data.map(row => row[index]);
+        });
+        return columns;
+    }
+
+    /**
+     * Add a thread's markers: instants, intervals, and IntervalStart/IntervalEnd pairs matched by name
+     * @returns {{orphanEnds: number, open: Array}} Unmatched ends and still-open starts
+     */
+    addGeckoMarkers(thread, strings, offset, categories, getTrack) {
+        const markers = TraceParser.getGeckoColumns(thread.markers);
+        const open = new Map(); // marker name -> stack of open IntervalStart markers
+        let orphanEnds = 0;
+
+        for (let i = 0; i < markers.length; i++) {
+            const data = markers.data ? markers.data[i] : null;
+            const markerName = typeof markers.name[i] === 'number' ? strings[markers.name[i]] : markers.name[i];
+            // UserTiming and similar markers carry the interesting name in their payload
+            const name = data && typeof data.name === 'string' && data.name !== markerName
+                ? `${markerName}: ${data.name}`
+                : (markerName || 'Marker');
+            const category = markers.category ? (categories[markers.category[i]] || '') : '';
+            const args = data ? { ...data } : {};
+
+            // Old raw profiles only have `time`, with interval bounds in the payload
+            let start = markers.startTime ? markers.startTime[i] : (data && data.startTime !== undefined ? data.startTime : markers.time[i]);
+            let end = markers.endTime ? markers.endTime[i] : (data ? data.endTime : null);
+            let phase = markers.phase ? markers.phase[i] : null;
+            if (phase === null || phase === undefined) {
+                if (data && data.interval === 'start') phase = GECKO_MARKER_PHASES.INTERVAL_START;
+                else if (data && data.interval === 'end') phase = GECKO_MARKER_PHASES.INTERVAL_END;
+                else phase = end !== null && end !== undefined ? GECKO_MARKER_PHASES.INTERVAL : GECKO_MARKER_PHASES.INSTANT;
+            }
+            if (phase === GECKO_MARKER_PHASES.INTERVAL_END && (end === null || end === undefined)) end = start;
+            start = TraceParser.millisToNanos(offset + start);
+            end = TraceParser.millisToNanos(offset + end);
+
+            switch (phase) {
+                case GECKO_MARKER_PHASES.INSTANT:
+                    this.addInstant(name, category, getTrack(), start, 'thread', args);
+                    break;
+                case GECKO_MARKER_PHASES.INTERVAL:
+                    this.addJSONSlice({ name, cat: category, args }, getTrack(), start, Math.max(0, end - start));
+                    break;
+                case GECKO_MARKER_PHASES.INTERVAL_START:
+                    if (!open.has(markerName)) open.set(markerName, []);
+                    open.get(markerName).push({ name, category, args, track: getTrack(), start });
+                    break;
+                case GECKO_MARKER_PHASES.INTERVAL_END: {
+                    const stack = open.get(markerName);
+                    const begin = stack ? stack.pop() : null;
+                    if (!begin) {
+                        orphanEnds++;
+                        this.recordDiagnostic('unmatched_end', 'IntervalEnd', { time: end, name });
+                        break;
+                    }
+                    this.addJSONSlice({ name: begin.name, cat: begin.category, args: { ...begin.args, ...args } }, begin.track, begin.start, Math.max(0, end - begin.start));
+                    break;
+                }
+            }
+        }
+
+        return { orphanEnds, open: Array.from(open.values()).flat() };
+    }
+
+    /**
+     * Add a stack chart track built from a thread's samples
+     */
+    addGeckoSamples(thread, strings, offset, interval, categories, info) {
+        const samples = TraceParser.getGeckoColumns(thread.samples);
+        if (!samples.length || !thread.stackTable) return;
+
+        const stackTable = TraceParser.getGeckoColumns(thread.stackTable);
+        const frameTable = TraceParser.getGeckoColumns(thread.frameTable);
+        const funcTable = TraceParser.getGeckoColumns(thread.funcTable);
+
+        let times = samples.time;
+        if (!times && samples.timeDeltas) {
+            let time = 0;
+            times = samples.timeDeltas.map(delta => (time += delta));
+        }
+        times = times.map(time => TraceParser.millisToNanos(offset + time));
+
+        const frames = new Map(); // stack index -> frame
+        const getFrame = (stack) => {
+            if (!frames.has(stack)) {
+                const frame = stackTable.frame[stack];
+                const category = frameTable.category ? categories[frameTable.category[frame]] : null;
+                const args = {};
+                let name;
+                if (frameTable.func) {
+                    // Processed profile: names and files live in the func table
+                    const func = frameTable.func[frame];
+                    name = strings[funcTable.name[func]];
+                    const fileName = funcTable.fileName ? funcTable.fileName[func] : null;
+                    if (fileName !== null && fileName !== undefined) args.file = strings[fileName];
+                    const line = frameTable.line ? frameTable.line[frame] : null;
+                    if (line !== null && line !== undefined) args.line = line;
+                } else {
+                    name = strings[frameTable.location[frame]];
+                }
+                frames.set(stack, { name: name || `frame ${frame}`, category: category || 'sample', args });
+            }
+            return frames.get(stack);
+        };
+
+        const track = { id: this.tracks.length, type: 'samples', ...info, name: `${info.name} (samples)`, sliceIds: [] };
+        this.tracks.push(track);
+        this.addSampledStackSlices(
+            track,
+            samples.stack,
+            times,
+            times[times.length - 1] + TraceParser.millisToNanos(interval),
+            stack => stackTable.prefix[stack],
+            getFrame
+        );
+    }
+
+    /**
+     * Turn stack samples into a stack chart: consecutive samples that share a call path extend
+     * the same slices, so each slice spans the samples in which its frame was on the stack
+     * @param {Array<number|null>} stacks - Per-sample stack node (null for samples with no stack)
+     * @param {Array<number>} times - Per-sample time in nanoseconds, ascending
+     * @param {number} endTime - When the last sample ends
+     * @param {Function} getParent - Stack node -> parent node, or null at the root
+     * @param {Function} getFrame - Stack node -> { name, category, args }
+     */
+    addSampledStackSlices(track, stacks, times, endTime, getParent, getFrame) {
+        const open = []; // { node, start } from root to leaf
+        const openDepth = new Map(); // node -> index in open
+
+        const closeTo = (depth, time) => {
+            // Parents first, so a frame and its only callee with the same span keep their nesting order
+            open.splice(depth).forEach(entry => {
+                openDepth.delete(entry.node);
+                const frame = getFrame(entry.node);
+                this.addJSONSlice({ name: frame.name, cat: frame.category, args: frame.args }, track, entry.start, time - entry.start);
+            });
+        };
+
+        for (let i = 0; i < stacks.length; i++) {
+            const time = times[i];
+            // Walk up from the sampled leaf until reaching a frame that is already open
+            const path = [];
+            let node = stacks[i];
+            while (node !== null && node !== undefined && !openDepth.has(node)) {
+                path.push(node);
+                node = getParent(node);
+            }
+            closeTo(node === null || node === undefined ? 0 : openDepth.get(node) + 1, time);
+            for (let j = path.length - 1; j >= 0; j--) {
+                openDepth.set(path[j], open.length);
+                open.push({ node: path[j], start: time });
+            }
+        }
+        closeTo(0, endTime);
+    }
+
+    static isCPUProfile(data) {
+        return !!data && Array.isArray(data.nodes) && Array.isArray(data.samples);
+    }
+
+    /**
+     * Parse a V8 .cpuprofile (Node --cpu-prof, DevTools "Save profile") into one CPU samples track
+     */
+    parseCPUProfile(profile) {
+        this.tracks = [];
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = { format: 'cpuprofile' };
+        this.timeRange = { start: Infinity, end: -Infinity };
+
+        const track = { id: 0, type: 'samples', name: 'CPU samples', pid: 0, tid: 0, processName: 'V8 CPU profile', sliceIds: [] };
+        this.tracks.push(track);
+        this.addCPUProfileSlices(track, {
+            nodes: profile.nodes,
+            samples: profile.samples,
+            timeDeltas: profile.timeDeltas || [],
+            startTime: profile.startTime || 0,
+            endTime: profile.endTime
+        });
+
+        this.calculateSliceDepths();
+        this.normalizeTimestamps();
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Add a CPU samples track per profile recorded in a Chrome trace. A Profile event gives the
+     * sampled thread and start time; ProfileChunk events with the same id append nodes and samples.
+     */
+    buildCPUProfileTracks(profileEvents, trackMap, processInfo) {
+        const profiles = new Map(); // pid + profile id -> merged profile
+        profileEvents.forEach(event => {
+            const pid = event.pid || 0;
+            const key = `${pid}-${event.id}`;
+            if (!profiles.has(key)) {
+                profiles.set(key, { pid, tid: event.tid || 0, startTime: event.ts || 0, nodes: [], samples: [], timeDeltas: [] });
+            }
+            const profile = profiles.get(key);
+            const data = (event.args && event.args.data) || {};
+
+            if (event.name === 'Profile') {
+                profile.tid = event.tid || 0;
+                if (data.startTime !== undefined) profile.startTime = data.startTime;
+                return;
+            }
+            const cpuProfile = data.cpuProfile || {};
+            (cpuProfile.nodes || []).forEach(node => profile.nodes.push(node));
+            (cpuProfile.samples || []).forEach(sample => profile.samples.push(sample));
+            (data.timeDeltas || []).forEach(delta => profile.timeDeltas.push(delta));
+            if (data.endTime !== undefined) profile.endTime = data.endTime;
+        });
+
+        profiles.forEach(profile => {
+            if (profile.samples.length === 0) return;
+
+            const thread = trackMap.get(`${profile.pid}-${profile.tid}`);
+            const process = processInfo.get(profile.pid);
+            const track = {
+                id: this.tracks.length,
+                type: 'samples',
+                name: `${thread ? thread.name : `Thread ${profile.tid}`} (CPU samples)`,
+                pid: profile.pid,
+                tid: profile.tid,
+                processName: thread ? thread.processName : ((process && process.name) || `Process ${profile.pid}`),
+                sliceIds: []
+            };
+            if (thread) {
+                ['processLabels', 'processSortIndex', 'threadSortIndex'].forEach(key => {
+                    if (thread[key] !== undefined) track[key] = thread[key];
+                });
+            }
+            this.tracks.push(track);
+            this.addCPUProfileSlices(track, profile);
+        });
+    }
+
+    /**
+     * Rebuild call stacks from a V8 CPU profile and add them to track as a stack chart
+     * @param {Object} profile - { nodes (with children or parent links), samples (node ids),
+     *   timeDeltas, startTime, endTime }, times in microseconds as V8 records them
+     */
+    addCPUProfileSlices(track, profile) {
+        const nodes = new Map(profile.nodes.map(node => [node.id, node]));
+        const parents = new Map();
+        profile.nodes.forEach(node => {
+            if (node.parent !== undefined) parents.set(node.id, node.parent);
+            (node.children || []).forEach(child => parents.set(child, node.id));
+        });
+        // (root) is every stack's base and (idle) means nothing ran; neither is a frame
+        const isFrame = (id) => {
+            const node = nodes.get(id);
+            return !!node && !CPU_PROFILE_NON_FRAMES.has(node.callFrame.functionName);
+        };
+
+        let time = profile.startTime;
+        const samples = profile.samples.map((id, i) => ({ id, time: TraceParser.microsToNanos(time += profile.timeDeltas[i] || 0) }));
+        // V8 can record samples slightly out of order
+        samples.sort((a, b) => a.time - b.time);
+        const times = samples.map(sample => sample.time);
+        const lastTime = times[times.length - 1];
+        const averageInterval = times.length > 1 ? Math.round((lastTime - times[0]) / (times.length - 1)) : 0;
+        const profileEnd = profile.endTime !== undefined ? TraceParser.microsToNanos(profile.endTime) : 0;
+        const endTime = profileEnd > lastTime ? profileEnd : lastTime + averageInterval;
+
+        const frames = new Map(); // node id -> frame
+        const getFrame = (id) => {
+            if (!frames.has(id)) {
+                const callFrame = nodes.get(id).callFrame;
+                const args = {};
+                if (callFrame.url) args.url = callFrame.url;
+                // V8 line and column numbers are zero-based
+                if (callFrame.lineNumber >= 0) args.line = callFrame.lineNumber + 1;
+                if (callFrame.columnNumber >= 0) args.column = callFrame.columnNumber + 1;
+                frames.set(id, {
+                    name: callFrame.functionName || '(anonymous)',
+                    category: callFrame.url ? 'js' : 'v8',
+                    args
+                });
+            }
+            return frames.get(id);
+        };
+
+        this.addSampledStackSlices(
+            track,
+            samples.map(sample => isFrame(sample.id) ? sample.id : null),
+            times,
+            endTime,
+            id => {
+                const parent = parents.get(id);
+                return isFrame(parent) ? parent : null;
+            },
+            getFrame
+        );
+    }
+
+    /**
+     * Whether text is `perf script` output: the first record is a sample header
+     */
+    static isPerfScript(text) {
+        if (text.includes('# tracer:')) return false;
+        const line = text.split('\n').find(line => line.trim() && !line.startsWith('#'));
+        return !!line && PERF_SAMPLE_REGEX.test(line);
+    }
+
+    /**
+     * Whether text is folded stacks (stackcollapse-*.pl / FlameGraph input)
+     */
+    static isFoldedStacks(text) {
+        const lines = text.split('\n').filter(line => line.trim()).slice(0, 10);
+        // The last line of the head may be cut mid-way
+        if (lines.length > 1 && text.length >= 65536) lines.pop();
+        return lines.length > 0 &&
+            lines.every(line => FOLDED_LINE_REGEX.test(line)) &&
+            lines.some(line => line.includes(';'));
+    }
+
+    /**
+     * Parse `perf script` text output (e.g. from `perf record -g`) into a stack chart per thread
+     */
+    parsePerfScript(arrayBuffer) {
+        const text = new TextDecoder().decode(arrayBuffer);
+        const lines = text.split('\n');
+
+        this.tracks = [];
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = { format: 'perf' };
+        this.timeRange = { start: Infinity, end: -Infinity };
+
+        const threads = new Map(); // tid -> { pid, tid, comm, samples }
+        let current = null; // Sample whose callchain is being read
+        let skippedLines = 0;
+
+        lines.forEach(line => {
+            if (!line.trim() || line.startsWith('#')) {
+                current = null;
+                return;
+            }
+
+            if (/^\s/.test(line)) {
+                const frame = current ? TraceParser.parsePerfFrame(line) : null;
+                if (frame) current.frames.push(frame);
+                else skippedLines++;
+                return;
+            }
+
+            const match = line.match(PERF_SAMPLE_REGEX);
+            if (!match) {
+                current = null;
+                skippedLines++;
+                return;
+            }
+            const [, comm, pidOrTid, tidAfterPid, , seconds, , event, rest] = match;
+            // Without a pid/tid pair perf prints only the tid
+            const pid = parseInt(pidOrTid);
+            const tid = tidAfterPid !== undefined ? parseInt(tidAfterPid) : pid;
+            if (!threads.has(tid)) {
+                threads.set(tid, { pid, tid, comm, samples: [] });
+            }
+
+            current = { time: TraceParser.secondsToNanos(seconds), event, frames: [] };
+            // Samples without callchains carry their one frame on the header line
+            const inlineFrame = rest.trim() ? TraceParser.parsePerfFrame(rest) : null;
+            if (inlineFrame) current.frames.push(inlineFrame);
+            threads.get(tid).samples.push(current);
+        });
+
+        if (threads.size === 0) {
+            throw new Error('No samples found in perf script output');
+        }
+
+        const interval = TraceParser.getTypicalSampleInterval(threads);
+        const processNames = new Map();
+        threads.forEach(thread => {
+            if (thread.tid === thread.pid) processNames.set(thread.pid, thread.comm);
+        });
+
+        threads.forEach(thread => {
+            const track = {
+                id: this.tracks.length,
+                type: 'samples',
+                name: `${thread.comm} (samples)`,
+                pid: thread.pid,
+                tid: thread.tid,
+                processName: processNames.get(thread.pid) || `Process ${thread.pid}`,
+                sliceIds: []
+            };
+            this.tracks.push(track);
+
+            const trie = { nodes: new Map(), parents: [], frames: [] };
+            const stacks = [];
+            const times = [];
+            thread.samples.sort((a, b) => a.time - b.time);
+            thread.samples.forEach((sample, i) => {
+                // perf lists the leaf first
+                stacks.push(this.internStack(trie, sample.frames.slice().reverse()));
+                times.push(sample.time);
+                // A thread that stops being sampled was off-CPU; end its stack after one interval
+                const next = thread.samples[i + 1];
+                if (next && next.time - sample.time > interval * 2) {
+                    stacks.push(null);
+                    times.push(sample.time + interval);
+                }
+            });
+
+            this.addSampledStackSlices(
+                track,
+                stacks,
+                times,
+                times[times.length - 1] + interval,
+                node => trie.parents[node],
+                node => trie.frames[node]
+            );
+        });
+
+        if (skippedLines > 0) {
+            this.metadata.skippedLines = skippedLines;
+            this.recordDiagnostic('skipped_lines', null, null, skippedLines);
+        }
+        this.tracks = this.groupTracksByProcess(this.tracks);
+        this.calculateSliceDepths();
+        this.normalizeTimestamps();
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Parse one perf callchain entry into a frame
+     */
+    static parsePerfFrame(line) {
+        const match = line.match(PERF_FRAME_REGEX);
+        if (!match) return null;
+
+        const [, address, symbol, dso] = match;
+        const args = {};
+        if (dso) args.dso = dso;
+        // Unresolved symbols are only told apart by address
+        const name = !symbol || symbol === '[unknown]'
+            ? `[unknown] ${dso ? TraceParser.getFileName(dso) : `0x${address}`}`
+            : symbol.replace(/\+0x[0-9a-f]+$/i, '');
+        return {
+            key: `${name}|${dso || ''}`,
+            name,
+            category: dso === '[kernel.kallsyms]' ? 'kernel' : 'native',
+            args
+        };
+    }
+
+    static getFileName(path) {
+        return path.split('/').pop();
+    }
+
+    /**
+     * Median gap between consecutive samples of the same thread, in nanoseconds
+     */
+    static getTypicalSampleInterval(threads) {
+        const gaps = [];
+        threads.forEach(thread => {
+            const times = thread.samples.map(sample => sample.time).sort((a, b) => a - b);
+            for (let i = 1; i < times.length; i++) {
+                if (times[i] > times[i - 1]) gaps.push(times[i] - times[i - 1]);
+            }
+        });
+        if (gaps.length === 0) return 1000000;
+        gaps.sort((a, b) => a - b);
+        return gaps[Math.floor(gaps.length / 2)];
+    }
+
+    /**
+     * Intern a root-first list of frames into a stack trie
+     * @param {Object} trie - { nodes: Map of parent + frame key -> node, parents: [], frames: [] }
+     * @returns {number|null} Leaf node, or null for an empty stack
+     */
+    internStack(trie, frames) {
+        let node = null;
+        frames.forEach(frame => {
+            const key = `${node}|${frame.key || frame.name}`;
+            let child = trie.nodes.get(key);
+            if (child === undefined) {
+                child = trie.frames.length;
+                trie.nodes.set(key, child);
+                trie.parents.push(node);
+                trie.frames.push(frame);
+            }
+            node = child;
+        });
+        return node;
+    }
+
+    /**
+     * Parse folded stacks into a flame graph. They carry no timestamps, so the x axis is
+     * sample count: identical paths are merged and siblings laid out alphabetically, each
+     * sample FOLDED_SAMPLE_NS wide.
+     */
+    parseFoldedStacks(arrayBuffer) {
+        const text = new TextDecoder().decode(arrayBuffer);
+
+        this.tracks = [];
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = { format: 'folded' };
+        this.timeRange = { start: Infinity, end: -Infinity };
+
+        const root = { children: new Map(), count: 0 };
+        let skippedLines = 0;
+
+        text.split('\n').forEach(line => {
+            const match = line.match(FOLDED_LINE_REGEX);
+            if (!match) {
+                if (line.trim()) skippedLines++;
+                return;
+            }
+            const count = parseInt(match[2]);
+            let node = root;
+            node.count += count;
+            match[1].split(';').forEach(name => {
+                if (!node.children.has(name)) node.children.set(name, { children: new Map(), count: 0 });
+                node = node.children.get(name);
+                node.count += count;
+            });
+        });
+
+        if (root.count === 0) {
+            throw new Error('No samples found in folded stacks');
+        }
+
+        const track = { id: 0, type: 'samples', name: 'Flame graph', pid: 0, tid: 0, processName: 'Folded stacks', sliceIds: [] };
+        this.tracks.push(track);
+
+        // Parents before children, so equal-width frames keep their nesting order
+        const addChildren = (node, start) => {
+            let offset = start;
+            Array.from(node.children.keys()).sort().forEach(name => {
+                const child = node.children.get(name);
+                const args = { samples: child.count, percent: Math.round(child.count / root.count * 10000) / 100 };
+                this.addJSONSlice({ name, cat: 'stack', args }, track, offset, child.count * FOLDED_SAMPLE_NS);
+                addChildren(child, offset);
+                offset += child.count * FOLDED_SAMPLE_NS;
+            });
+        };
+        addChildren(root, 0);
+
+        this.metadata.totalSamples = root.count;
+        this.metadata.sampleWidth = FOLDED_SAMPLE_NS;
+        if (skippedLines > 0) {
+            this.metadata.skippedLines = skippedLines;
+            this.recordDiagnostic('skipped_lines', null, null, skippedLines);
+        }
+        this.calculateSliceDepths();
+        this.normalizeTimestamps();
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Parse Perfetto protobuf binary format
+     * Decodes Trace/TracePacket on the wire and extracts TrackEvent slices
+     */
+    parseProtobuf(arrayBuffer) {
+        this.tracks = [];
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = {};
+        this.timeRange = { start: Infinity, end: -Infinity };
+
+        const state = {
+            // Track uuids are 64-bit, so they are keyed by their decimal string
+            descriptors: new Map(), // track uuid -> descriptor
+            eventTracks: new Map(), // track uuid -> { index, sliceIds, stack, instants }
+            counterTracks: new Map(), // track uuid -> [{ time, value }]
+            sequences: new Map(), // trusted_packet_sequence_id -> incremental state
+            unsupportedPackets: {},
+            unsupportedEvents: {},
+            packetCount: 0,
+            // First track event timestamp (BigInt ns); event times are kept relative to it so
+            // 64-bit clocks such as REALTIME keep nanosecond precision
+            clockBase: null
+        };
+
+        const reader = new ProtoReader(new Uint8Array(arrayBuffer));
+        try {
+            while (reader.hasMore()) {
+                const { field, wireType } = reader.readTag();
+                if (field === 1 && wireType === ProtoReader.WIRE_LENGTH_DELIMITED) {
+                    this.parseTracePacket(reader.readBytes(), state);
+                    state.packetCount++;
+                } else {
+                    reader.skip(wireType);
+                }
+            }
+        } catch (error) {
+            if (state.packetCount === 0) {
+                throw new Error(`Unrecognized trace format (not JSON, systrace, perf script, folded stacks or Perfetto protobuf): ${error.message}`);
+            }
+            console.warn(`Perfetto trace truncated after ${state.packetCount} packets:`, error.message);
+            this.metadata.truncated = true;
+            this.recordDiagnostic('truncated', `after ${state.packetCount} packets: ${error.message}`);
+        }
+
+        this.buildProtobufTracks(state);
+
+        this.metadata.format = 'perfetto-protobuf';
+        this.metadata.packetCount = state.packetCount;
+        this.metadata.unsupportedPackets = state.unsupportedPackets;
+        this.metadata.unsupportedEvents = state.unsupportedEvents;
+
+        const skipped = TraceParser.summarizeCounts(state.unsupportedPackets);
+        if (skipped) {
+            console.warn(`Skipped unsupported Perfetto packets: ${skipped}`);
+        }
+        Object.entries(state.unsupportedPackets).forEach(([name, count]) => {
+            this.recordDiagnostic('unsupported_packet', name, null, count);
+        });
+        Object.entries(state.unsupportedEvents).forEach(([name, count]) => {
+            // Unmatched ends are recorded as they occur, with their times
+            if (name !== 'unmatched_slice_end') this.recordDiagnostic('unsupported_event', name, null, count);
+        });
+
+        if (this.slices.length === 0 && !this.tracks.some(track => track.counter)) {
+            throw new Error(`No track events found in ${state.packetCount} Perfetto packets${skipped ? ` (unsupported: ${skipped})` : ''}`);
+        }
+
+        this.calculateSliceDepths();
+        this.normalizeTimestamps(state.clockBase || 0n);
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Parse a single TracePacket
+     */
+    parseTracePacket(bytes, state) {
+        const reader = new ProtoReader(bytes);
+        const packet = {
+            timestamp: null,
+            sequenceId: 0,
+            sequenceFlags: 0,
+            stateCleared: false,
+            previousDropped: false,
+            trackEvent: null,
+            trackDescriptor: null,
+            threadDescriptor: null,
+            internedData: null,
+            defaults: null,
+            clockSnapshot: null
+        };
+
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            switch (field) {
+                case 6: packet.clockSnapshot = reader.readBytes(); break;
+                case 8: packet.timestamp = reader.readVarint64(); break;
+                case 10: packet.sequenceId = reader.readVarint(); break;
+                case 11: packet.trackEvent = reader.readBytes(); break;
+                case 12: packet.internedData = reader.readBytes(); break;
+                case 13: packet.sequenceFlags = reader.readVarint(); break;
+                case 41: packet.stateCleared = reader.readBool(); break;
+                case 42: packet.previousDropped = reader.readBool(); break;
+                case 44: packet.threadDescriptor = reader.readBytes(); break;
+                case 59: packet.defaults = reader.readBytes(); break;
+                case 60: packet.trackDescriptor = reader.readBytes(); break;
+                default:
+                    if (!TRACE_PACKET_METADATA_FIELDS.has(field)) {
+                        const name = TRACE_PACKET_FIELD_NAMES[field] || `field_${field}`;
+                        state.unsupportedPackets[name] = (state.unsupportedPackets[name] || 0) + 1;
+                    }
+                    reader.skip(wireType);
+            }
+        }
+
+        // Incremental state is scoped to the writer sequence
+        if (!state.sequences.has(packet.sequenceId)) {
+            state.sequences.set(packet.sequenceId, this.createSequenceState());
+        }
+        let sequence = state.sequences.get(packet.sequenceId);
+
+        if (packet.stateCleared || (packet.sequenceFlags & SEQ_INCREMENTAL_STATE_CLEARED)) {
+            sequence = this.createSequenceState();
+            sequence.valid = true;
+            state.sequences.set(packet.sequenceId, sequence);
+        } else if (packet.previousDropped) {
+            sequence.valid = false;
+        }
+
+        if ((packet.sequenceFlags & SEQ_NEEDS_INCREMENTAL_STATE) && !sequence.valid) {
+            state.unsupportedPackets['incremental_state_lost'] = (state.unsupportedPackets['incremental_state_lost'] || 0) + 1;
+            return;
+        }
+
+        if (packet.clockSnapshot && !this.metadata.wallClock) this.parseClockSnapshot(packet.clockSnapshot);
+        if (packet.defaults) this.parseTracePacketDefaults(packet.defaults, sequence);
+        if (packet.internedData) this.parseInternedData(packet.internedData, sequence);
+        if (packet.trackDescriptor) this.parseTrackDescriptor(packet.trackDescriptor, state);
+
+        if (packet.threadDescriptor) {
+            // Legacy sequences describe their thread once instead of using track uuids
+            // and give their events times as deltas from the descriptor's reference timestamp
+            const thread = this.parseThreadDescriptor(packet.threadDescriptor);
+            sequence.defaultTrackUuid = `seq-${packet.sequenceId}`;
+            state.descriptors.set(sequence.defaultTrackUuid, { uuid: sequence.defaultTrackUuid, thread });
+            if (thread.referenceTimestampUs !== null) {
+                sequence.referenceTimestamp = BigInt(thread.referenceTimestampUs) * 1000n;
+            }
+        }
+
+        if (packet.trackEvent) {
+            this.parseTrackEvent(packet.trackEvent, packet.timestamp, sequence, state);
+        }
+    }
+
+    /**
+     * Parse a ClockSnapshot into a wall-clock anchor: REALTIME paired with the trace clock
+     * (primary_trace_clock, BOOTTIME unless the config changes it)
+     */
+    parseClockSnapshot(bytes) {
+        const reader = new ProtoReader(bytes);
+        const clocks = new Map(); // clock id -> BigInt ns
+        let traceClock = BUILTIN_CLOCK_BOOTTIME;
+
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            if (field === 1 && wireType === ProtoReader.WIRE_LENGTH_DELIMITED) {
+                const clock = new ProtoReader(reader.readBytes());
+                let clockId = 0;
+                let timestamp = 0n;
+                while (clock.hasMore()) {
+                    const tag = clock.readTag();
+                    if (tag.field === 1) clockId = clock.readVarint();
+                    else if (tag.field === 2) timestamp = clock.readVarint64();
+                    else clock.skip(tag.wireType);
+                }
+                clocks.set(clockId, timestamp);
+            } else if (field === 2) {
+                traceClock = reader.readVarint();
+            } else {
+                reader.skip(wireType);
+            }
+        }
+
+        if (clocks.has(BUILTIN_CLOCK_REALTIME) && clocks.has(traceClock)) {
+            this.metadata.wallClock = {
+                traceTime: clocks.get(traceClock),
+                unixTime: clocks.get(BUILTIN_CLOCK_REALTIME)
+            };
+        }
+    }
+
+    /**
+     * Create empty per-sequence incremental state
+     */
+    createSequenceState() {
+        return {
+            valid: false,
+            eventNames: new Map(),
+            categories: new Map(),
+            annotationNames: new Map(),
+            annotationStrings: new Map(),
+            defaultTrackUuid: null,
+            // Legacy ThreadDescriptor sequences: time (BigInt ns) that timestamp_delta_us advances
+            referenceTimestamp: null
+        };
+    }
+
+    /**
+     * Parse TracePacketDefaults (only track_event_defaults.track_uuid is used)
+     */
+    parseTracePacketDefaults(bytes, sequence) {
+        const reader = new ProtoReader(bytes);
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            if (field === 11 && wireType === ProtoReader.WIRE_LENGTH_DELIMITED) {
+                const defaults = new ProtoReader(reader.readBytes());
+                while (defaults.hasMore()) {
+                    const tag = defaults.readTag();
+                    if (tag.field === 11) {
+                        sequence.defaultTrackUuid = String(defaults.readVarint64());
+                    } else {
+                        defaults.skip(tag.wireType);
+                    }
+                }
+            } else {
+                reader.skip(wireType);
+            }
+        }
+    }
+
+    /**
+     * Parse InternedData into the sequence lookup tables
+     */
+    parseInternedData(bytes, sequence) {
+        const tables = {
+            1: sequence.categories,
+            2: sequence.eventNames,
+            3: sequence.annotationNames,
+            29: sequence.annotationStrings
+        };
+
+        const reader = new ProtoReader(bytes);
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            const table = tables[field];
+            if (!table || wireType !== ProtoReader.WIRE_LENGTH_DELIMITED) {
+                reader.skip(wireType);
+                continue;
+            }
+
+            // EventCategory, EventName, DebugAnnotationName and InternedString all use iid=1, name=2
+            const entry = new ProtoReader(reader.readBytes());
+            let iid = 0;
+            let name = '';
+            while (entry.hasMore()) {
+                const tag = entry.readTag();
+                if (tag.field === 1) iid = entry.readVarint();
+                else if (tag.field === 2) name = entry.readString();
+                else entry.skip(tag.wireType);
+            }
+            table.set(iid, name);
+        }
+    }
+
+    /**
+     * Parse a TrackDescriptor
+     */
+    parseTrackDescriptor(bytes, state) {
+        const reader = new ProtoReader(bytes);
+        const descriptor = { uuid: '0', parentUuid: null, name: '', process: null, thread: null, isCounter: false };
+
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            switch (field) {
+                case 1: descriptor.uuid = String(reader.readVarint64()); break;
+                case 2: descriptor.name = reader.readString(); break;
+                case 3: descriptor.process = this.parseProcessDescriptor(reader.readBytes()); break;
+                case 4: descriptor.thread = this.parseThreadDescriptor(reader.readBytes()); break;
+                case 5: descriptor.parentUuid = String(reader.readVarint64()); break;
+                case 8: descriptor.isCounter = true; reader.skip(wireType); break;
+                case 10: descriptor.name = descriptor.name || reader.readString(); break;
+                default: reader.skip(wireType);
+            }
+        }
+
+        state.descriptors.set(descriptor.uuid, descriptor);
+    }
+
+    /**
+     * Parse a ProcessDescriptor
+     */
+    parseProcessDescriptor(bytes) {
+        const reader = new ProtoReader(bytes);
+        const process = { pid: 0, name: '', cmdline: [] };
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            switch (field) {
+                case 1: process.pid = reader.readInt64(); break;
+                case 2: process.cmdline.push(reader.readString()); break;
+                case 6: process.name = reader.readString(); break;
+                default: reader.skip(wireType);
+            }
+        }
+        if (!process.name && process.cmdline.length > 0) {
+            process.name = process.cmdline[0];
+        }
+        return process;
+    }
+
+    /**
+     * Parse a ThreadDescriptor
+     */
+    parseThreadDescriptor(bytes) {
+        const reader = new ProtoReader(bytes);
+        const thread = { pid: 0, tid: 0, name: '', referenceTimestampUs: null };
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            switch (field) {
+                case 1: thread.pid = reader.readInt64(); break;
+                case 2: thread.tid = reader.readInt64(); break;
+                case 5: thread.name = reader.readString(); break;
+                case 6: thread.referenceTimestampUs = reader.readInt64(); break;
+                default: reader.skip(wireType);
+            }
+        }
+        return thread;
+    }
+
+    /**
+     * Parse a TrackEvent and open/close slices on its track
+     * @param {bigint|null} packetTimestamp - TracePacket timestamp in ns, used unless the event
+     *   carries a legacy timestamp_delta_us or timestamp_absolute_us
+     */
+    parseTrackEvent(bytes, packetTimestamp, sequence, state) {
+        const reader = new ProtoReader(bytes);
+        let type = 0;
+        let name = null;
+        let trackUuid = null;
+        let counterValue = null;
+        let deltaUs = null;
+        let absoluteUs = null;
+        let legacy = null;
+        const categories = [];
+        const args = {};
+
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            switch (field) {
+                case 1: deltaUs = reader.readInt64(); break;
+                case 3:
+                    reader.readRepeated(wireType).forEach(iid => {
+                        if (sequence.categories.has(iid)) categories.push(sequence.categories.get(iid));
+                    });
+                    break;
+                case 4: {
+                    const annotation = this.parseDebugAnnotation(reader.readBytes(), sequence);
+                    args[annotation.name] = annotation.value;
+                    break;
+                }
+                case 6: legacy = this.parseLegacyEvent(reader.readBytes()); break;
+                case 9: type = reader.readVarint(); break;
+                case 10: {
+                    const iid = reader.readVarint();
+                    if (name === null) name = sequence.eventNames.get(iid) || null;
+                    break;
+                }
+                case 11: trackUuid = String(reader.readVarint64()); break;
+                case 16: absoluteUs = reader.readInt64(); break;
+                case 22: categories.push(reader.readString()); break;
+                case 23: name = reader.readString(); break;
+                case 30: counterValue = reader.readInt64(); break;
+                case 44: counterValue = reader.readDouble(); break;
+                default: reader.skip(wireType);
+            }
+        }
+
+        let timestamp = packetTimestamp;
+        if (deltaUs !== null && sequence.referenceTimestamp !== null) {
+            sequence.referenceTimestamp += BigInt(deltaUs) * 1000n;
+            timestamp = sequence.referenceTimestamp;
+        } else if (absoluteUs !== null) {
+            timestamp = BigInt(absoluteUs) * 1000n;
+        }
+        if (timestamp === null) {
+            this.recordDiagnostic('missing_timestamp', 'TrackEvent', { name: name || 'Unknown' });
+            return;
+        }
+        if (state.clockBase === null) state.clockBase = timestamp;
+        const ts = Number(timestamp - state.clockBase);
 
-        // Handle Chrome trace format
-        const events = Array.isArray(data) ? data : (data.traceEvents || []);
-        
-        // Group events by process/thread
-        const trackMap = new Map();
-        
-        events.forEach((event, index) => {
-            if (event.ph === 'M') {
-                // Metadata events
-                this.metadata[event.name] = event.args;
+        let legacyDuration = null;
+        if (type === 0 && legacy) {
+            if (name === null && legacy.nameIid !== null) name = sequence.eventNames.get(legacy.nameIid) || null;
+            if (legacy.phase === 'X') {
+                type = TRACK_EVENT_SLICE_BEGIN;
+                legacyDuration = legacy.durationUs * 1000;
+            } else if (LEGACY_EVENT_TYPES[legacy.phase]) {
+                type = LEGACY_EVENT_TYPES[legacy.phase];
+            } else {
+                const phaseName = `legacy_phase_${legacy.phase}`;
+                state.unsupportedEvents[phaseName] = (state.unsupportedEvents[phaseName] || 0) + 1;
                 return;
             }
+        }
 
-            if (!['X', 'B', 'E', 'I', 'i', 'C'].includes(event.ph)) {
-                return; // Skip unsupported event types
-            }
+        // Events without a track_uuid go on the sequence's default track (TrackEventDefaults, or
+        // the legacy ThreadDescriptor's thread)
+        if (trackUuid === null) trackUuid = sequence.defaultTrackUuid;
 
-            const pid = event.pid || 0;
-            const tid = event.tid || 0;
-            const trackKey = `${pid}-${tid}`;
-            
-            if (!trackMap.has(trackKey)) {
-                trackMap.set(trackKey, {
-                    id: trackMap.size,
-                    name: event.tname || `Thread ${tid}`,
-                    pid: pid,
-                    tid: tid,
-                    processName: event.pname || `Process ${pid}`,
-                    slices: []
-                });
+        if (type === TRACK_EVENT_COUNTER && trackUuid !== null && counterValue !== null) {
+            if (!state.counterTracks.has(trackUuid)) {
+                state.counterTracks.set(trackUuid, []);
             }
+            state.counterTracks.get(trackUuid).push({ time: ts, value: counterValue });
+            this.timeRange.start = Math.min(this.timeRange.start, ts);
+            this.timeRange.end = Math.max(this.timeRange.end, ts);
+            return;
+        }
 
-            const track = trackMap.get(trackKey);
-            const ts = event.ts || 0; // Microseconds
-            const dur = event.dur || 0;
-
-            if (event.ph === 'X' || event.ph === 'B') {
-                const slice = {
-                    id: this.slices.length,
-                    trackId: track.id,
-                    name: event.name || 'Unknown',
-                    category: event.cat || '',
-                    startTime: ts,
-                    duration: event.ph === 'X' ? dur : 0,
-                    endTime: event.ph === 'X' ? ts + dur : ts,
-                    args: event.args || {},
-                    depth: 0, // Will be calculated later
-                    color: this.getColorIndex(event.cat || event.name)
-                };
+        if (type !== TRACK_EVENT_SLICE_BEGIN && type !== TRACK_EVENT_SLICE_END && type !== TRACK_EVENT_INSTANT) {
+            const typeName = TRACK_EVENT_TYPE_NAMES[type] || `type_${type}`;
+            state.unsupportedEvents[typeName] = (state.unsupportedEvents[typeName] || 0) + 1;
+            return;
+        }
 
-                this.slices.push(slice);
-                track.slices.push(slice);
+        if (trackUuid === null) trackUuid = 'unknown';
 
-                this.timeRange.start = Math.min(this.timeRange.start, ts);
-                this.timeRange.end = Math.max(this.timeRange.end, ts + dur);
-            }
-        });
+        if (!state.eventTracks.has(trackUuid)) {
+            // Slices are stored as they end, on the track's index until track ids are assigned
+            state.eventTracks.set(trackUuid, { index: state.eventTracks.size, sliceIds: [], stack: [], instants: [] });
+        }
+        const eventTrack = state.eventTracks.get(trackUuid);
 
-        this.tracks = Array.from(trackMap.values());
-        
-        // Calculate slice depths for nested slices
-        this.calculateSliceDepths();
+        this.timeRange.start = Math.min(this.timeRange.start, ts);
+        this.timeRange.end = Math.max(this.timeRange.end, ts);
 
-        // Normalize times to start from 0
-        this.normalizeTimestamps();
+        if (type === TRACK_EVENT_INSTANT) {
+            eventTrack.instants.push({ name: name || 'Unknown', category: categories.join(','), time: ts, args });
+            return;
+        }
 
-        return {
-            tracks: this.tracks,
-            slices: this.slices,
-            metadata: this.metadata,
-            timeRange: this.timeRange
-        };
+        if (type === TRACK_EVENT_SLICE_BEGIN) {
+            const sliceName = name || 'Unknown';
+            const slice = {
+                name: sliceName,
+                category: categories.join(','),
+                startTime: ts,
+                args: args,
+                color: this.getColorIndex(categories[0] || sliceName)
+            };
+            if (legacyDuration === null) {
+                eventTrack.stack.push(slice);
+            } else {
+                eventTrack.sliceIds.push(this.slices.add({ ...slice, trackId: eventTrack.index, duration: legacyDuration }));
+                this.timeRange.end = Math.max(this.timeRange.end, ts + legacyDuration);
+            }
+            return;
+        }
+
+        const open = eventTrack.stack.pop();
+        if (!open) {
+            state.unsupportedEvents['unmatched_slice_end'] = (state.unsupportedEvents['unmatched_slice_end'] || 0) + 1;
+            this.recordDiagnostic('unmatched_end', 'TYPE_SLICE_END', { time: ts });
+            return;
+        }
+        Object.assign(open.args, args);
+        eventTrack.sliceIds.push(this.slices.add({
+            ...open,
+            trackId: eventTrack.index,
+            duration: ts - open.startTime
+        }));
     }
 
     /**
-     * Parse systrace format
+     * Parse the TrackEvent.LegacyEvent fields needed to place the event: name, phase and duration
      */
-    parseSystrace(arrayBuffer) {
-        const text = new TextDecoder().decode(arrayBuffer);
-        const lines = text.split('\n');
-        
-        this.tracks = [];
-        this.slices = [];
-        this.metadata = {};
-        this.timeRange = { start: Infinity, end: -Infinity };
+    parseLegacyEvent(bytes) {
+        const reader = new ProtoReader(bytes);
+        const legacy = { nameIid: null, phase: '', durationUs: 0 };
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            switch (field) {
+                case 1: legacy.nameIid = reader.readVarint(); break;
+                case 2: legacy.phase = String.fromCharCode(reader.readVarint()); break;
+                case 3: legacy.durationUs = reader.readInt64(); break;
+                default: reader.skip(wireType);
+            }
+        }
+        return legacy;
+    }
 
-        const trackMap = new Map();
-        const openSlices = new Map(); // Track open B events
+    /**
+     * Parse a DebugAnnotation into a name/value pair
+     */
+    parseDebugAnnotation(bytes, sequence) {
+        const reader = new ProtoReader(bytes);
+        let name = '';
+        let value = null;
+        let dict = null;
+        let array = null;
 
-        // Regex for systrace format
-        const systraceRegex = /^\s*(.+?)-(\d+)\s+\[(\d+)\]\s+[.\d]+:\s+(\d+\.\d+):\s+(tracing_mark_write|sched_switch|.+?):\s+(.*)$/;
-        const beginRegex = /^B\|(\d+)\|(.+)$/;
-        const endRegex = /^E\|(\d+)$/;
-        const counterRegex = /^C\|(\d+)\|(.+)\|(\d+)$/;
+        while (reader.hasMore()) {
+            const { field, wireType } = reader.readTag();
+            switch (field) {
+                case 1: name = sequence.annotationNames.get(reader.readVarint()) || ''; break;
+                case 2: value = reader.readBool(); break;
+                case 3: value = reader.readVarint(); break;
+                case 4: value = reader.readInt64(); break;
+                case 5: value = reader.readDouble(); break;
+                case 6: value = reader.readString(); break;
+                case 7: value = `0x${reader.readVarint().toString(16)}`; break;
+                case 9: {
+                    const json = reader.readString();
+                    try {
+                        value = JSON.parse(json);
+                    } catch (e) {
+                        value = json;
+                    }
+                    break;
+                }
+                case 10: name = reader.readString(); break;
+                case 11: {
+                    const entry = this.parseDebugAnnotation(reader.readBytes(), sequence);
+                    dict = dict || {};
+                    dict[entry.name] = entry.value;
+                    break;
+                }
+                case 12:
+                    array = array || [];
+                    array.push(this.parseDebugAnnotation(reader.readBytes(), sequence).value);
+                    break;
+                case 17: value = sequence.annotationStrings.get(reader.readVarint()) || ''; break;
+                default: reader.skip(wireType);
+            }
+        }
 
-        lines.forEach((line, lineNum) => {
-            const match = line.match(systraceRegex);
-            if (!match) return;
+        return { name, value: dict || array || value };
+    }
 
-            const [, taskName, tid, cpu, timestamp, eventType, data] = match;
-            const ts = parseFloat(timestamp) * 1000000; // Convert to microseconds
-            const tidNum = parseInt(tid);
-            const trackKey = `${taskName}-${tidNum}`;
+    /**
+     * Turn collected track events into viewer tracks using the track descriptors
+     */
+    buildProtobufTracks(state) {
+        // Process names by pid, from process track descriptors
+        const processNames = new Map();
+        state.descriptors.forEach(descriptor => {
+            if (descriptor.process && descriptor.process.name) {
+                processNames.set(descriptor.process.pid, descriptor.process.name);
+            }
+        });
 
-            if (!trackMap.has(trackKey)) {
-                trackMap.set(trackKey, {
-                    id: trackMap.size,
-                    name: taskName,
-                    tid: tidNum,
-                    pid: tidNum,
-                    processName: taskName,
-                    slices: []
-                });
+        const findPid = (descriptor) => {
+            const seen = new Set();
+            let current = descriptor;
+            while (current && !seen.has(current.uuid)) {
+                seen.add(current.uuid);
+                if (current.thread) return current.thread.pid;
+                if (current.process) return current.process.pid;
+                current = state.descriptors.get(current.parentUuid);
             }
+            return 0;
+        };
 
-            const track = trackMap.get(trackKey);
+        const entries = [];
+        let unterminated = 0;
 
-            if (eventType === 'tracing_mark_write') {
-                const beginMatch = data.match(beginRegex);
-                const endMatch = data.match(endRegex);
+        state.eventTracks.forEach((eventTrack, uuid) => {
+            // Close slices still open at end of trace
+            while (eventTrack.stack.length > 0) {
+                const open = eventTrack.stack.pop();
+                eventTrack.sliceIds.push(this.slices.add({
+                    ...open,
+                    trackId: eventTrack.index,
+                    duration: this.timeRange.end - open.startTime,
+                    unterminated: true
+                }));
+                unterminated++;
+            }
+            if (eventTrack.sliceIds.length === 0 && eventTrack.instants.length === 0) return;
 
-                if (beginMatch) {
-                    const sliceName = beginMatch[2];
-                    const openKey = `${trackKey}-${beginMatch[1]}`;
-                    
-                    if (!openSlices.has(openKey)) {
-                        openSlices.set(openKey, []);
-                    }
-                    
-                    openSlices.get(openKey).push({
-                        name: sliceName,
-                        startTime: ts,
-                        trackId: track.id
-                    });
+            const descriptor = state.descriptors.get(uuid) || { uuid };
+            const pid = findPid(descriptor);
+            const processName = processNames.get(pid) || `Process ${pid}`;
+            let name;
+            let tid = 0;
 
-                    this.timeRange.start = Math.min(this.timeRange.start, ts);
-                } else if (endMatch) {
-                    const openKey = `${trackKey}-${endMatch[1]}`;
-                    const stack = openSlices.get(openKey);
-                    
-                    if (stack && stack.length > 0) {
-                        const openSlice = stack.pop();
-                        const slice = {
-                            id: this.slices.length,
-                            trackId: track.id,
-                            name: openSlice.name,
-                            category: 'systrace',
-                            startTime: openSlice.startTime,
-                            duration: ts - openSlice.startTime,
-                            endTime: ts,
-                            args: {},
-                            depth: 0,
-                            color: this.getColorIndex(openSlice.name)
-                        };
-
-                        this.slices.push(slice);
-                        track.slices.push(slice);
-                        this.timeRange.end = Math.max(this.timeRange.end, ts);
-                    }
-                }
+            if (descriptor.thread) {
+                tid = descriptor.thread.tid;
+                name = descriptor.name || descriptor.thread.name || `Thread ${tid}`;
+            } else if (descriptor.process) {
+                name = descriptor.name || processName;
+            } else {
+                name = descriptor.name || `Track ${uuid}`;
             }
+
+            entries.push({
+                track: { name, pid, tid, processName, sliceIds: eventTrack.sliceIds },
+                index: eventTrack.index,
+                instants: eventTrack.instants,
+                // Instants on a process track apply to the whole process
+                instantScope: descriptor.process && !descriptor.thread ? 'process' : 'thread'
+            });
         });
 
-        this.tracks = Array.from(trackMap.values());
-        this.calculateSliceDepths();
-        this.normalizeTimestamps();
+        entries.sort((a, b) => (a.track.pid - b.track.pid) || (a.track.tid - b.track.tid) || a.track.name.localeCompare(b.track.name));
 
-        return {
-            tracks: this.tracks,
-            slices: this.slices,
-            metadata: this.metadata,
-            timeRange: this.timeRange
-        };
-    }
+        const trackIds = new Map(entries.map((entry, trackId) => [entry.index, trackId]));
+        for (let id = 0; id < this.slices.length; id++) {
+            this.slices.trackIds[id] = trackIds.get(this.slices.trackIds[id]);
+        }
 
-    /**
-     * Parse Perfetto protobuf binary format
-     * This is a simplified parser - full protobuf parsing would require proto definitions
-     */
-    parseProtobuf(arrayBuffer) {
-        // For now, return a message that binary format needs conversion
-        // In production, you'd use perfetto's trace_processor or protobuf.js
-        
-        console.warn('Binary Perfetto traces require conversion. Please export as JSON from Perfetto UI.');
-        
-        // Try to extract some basic info from the binary
-        const uint8Array = new Uint8Array(arrayBuffer);
-        
-        // Create a demo trace instead
-        return this.createDemoTrace();
+        entries.forEach(({ track, instants, instantScope }, trackId) => {
+            track.id = trackId;
+            instants.forEach(instant => {
+                this.addInstant(instant.name, instant.category, track, instant.time, instantScope, instant.args);
+            });
+            this.tracks.push(track);
+        });
+
+        const counterMap = new Map();
+        state.counterTracks.forEach((samples, uuid) => {
+            const descriptor = state.descriptors.get(uuid) || { uuid };
+            const pid = findPid(descriptor);
+            counterMap.set(uuid, {
+                name: descriptor.name || `Counter ${uuid}`,
+                pid: pid,
+                processName: processNames.get(pid) || `Process ${pid}`,
+                samples: samples
+            });
+        });
+        this.finalizeCounterTracks(counterMap);
+
+        if (unterminated > 0) {
+            this.metadata.unterminatedSlices = unterminated;
+        }
     }
 
     /**
@@ -288,8 +2978,9 @@ class TraceParser {
      */
     createDemoTrace() {
         this.tracks = [];
-        this.slices = [];
-        this.metadata = { demo: true };
+        this.slices = new SliceStore();
+        this.flows = [];
+        this.metadata = { demo: true, timeOffset: 0n };
         this.timeRange = { start: 0, end: 0 };
 
         const processes = [
@@ -299,9 +2990,8 @@ class TraceParser {
         ];
 
         let trackId = 0;
-        let sliceId = 0;
         let baseTime = 0;
-        const totalDuration = 5000000; // 5 seconds in microseconds
+        const totalDuration = 5000000000; // 5 seconds in nanoseconds
 
         const sliceNames = [
             'performLayout', 'parseHTML', 'recalculateStyles', 'paint', 'composite',
@@ -318,72 +3008,62 @@ class TraceParser {
                     pid: procIdx,
                     tid: threadIdx,
                     processName: proc.name,
-                    slices: []
+                    sliceIds: []
                 };
 
                 // Generate random slices for this track
-                let currentTime = Math.random() * 100000;
+                let currentTime = Math.round(Math.random() * 100000000);
                 const numSlices = 20 + Math.floor(Math.random() * 30);
 
                 for (let i = 0; i < numSlices; i++) {
-                    const duration = 10000 + Math.random() * 200000;
+                    const duration = Math.round(10000000 + Math.random() * 200000000);
                     const name = sliceNames[Math.floor(Math.random() * sliceNames.length)];
                     
-                    const slice = {
-                        id: sliceId++,
+                    track.sliceIds.push(this.slices.add({
                         trackId: trackId,
                         name: name,
                         category: proc.name.toLowerCase().replace(' ', '_'),
                         startTime: currentTime,
                         duration: duration,
-                        endTime: currentTime + duration,
                         args: {
                             frame: Math.floor(Math.random() * 1000),
                             count: Math.floor(Math.random() * 100)
                         },
                         depth: 0,
                         color: this.getColorIndex(name)
-                    };
-
-                    this.slices.push(slice);
-                    track.slices.push(slice);
+                    }));
 
                     this.timeRange.start = Math.min(this.timeRange.start, currentTime);
                     this.timeRange.end = Math.max(this.timeRange.end, currentTime + duration);
 
                     // Add some nested slices
-                    if (Math.random() > 0.6 && duration > 50000) {
+                    if (Math.random() > 0.6 && duration > 50000000) {
                         const nestedCount = 1 + Math.floor(Math.random() * 3);
-                        let nestedTime = currentTime + 5000;
+                        let nestedTime = currentTime + 5000000;
                         
-                        for (let j = 0; j < nestedCount && nestedTime < currentTime + duration - 10000; j++) {
+                        for (let j = 0; j < nestedCount && nestedTime < currentTime + duration - 10000000; j++) {
                             const nestedDuration = Math.min(
-                                5000 + Math.random() * 30000,
-                                currentTime + duration - nestedTime - 5000
+                                Math.round(5000000 + Math.random() * 30000000),
+                                currentTime + duration - nestedTime - 5000000
                             );
                             const nestedName = sliceNames[Math.floor(Math.random() * sliceNames.length)];
                             
-                            const nestedSlice = {
-                                id: sliceId++,
+                            track.sliceIds.push(this.slices.add({
                                 trackId: trackId,
                                 name: nestedName,
                                 category: 'nested',
                                 startTime: nestedTime,
                                 duration: nestedDuration,
-                                endTime: nestedTime + nestedDuration,
                                 args: { parent: name },
                                 depth: 1,
                                 color: this.getColorIndex(nestedName)
-                            };
-
-                            this.slices.push(nestedSlice);
-                            track.slices.push(nestedSlice);
+                            }));
                             
-                            nestedTime += nestedDuration + 5000 + Math.random() * 10000;
+                            nestedTime += nestedDuration + Math.round(5000000 + Math.random() * 10000000);
                         }
                     }
 
-                    currentTime += duration + 10000 + Math.random() * 100000;
+                    currentTime += duration + Math.round(10000000 + Math.random() * 100000000);
                     if (currentTime > totalDuration) break;
                 }
 
@@ -397,6 +3077,7 @@ class TraceParser {
         return {
             tracks: this.tracks,
             slices: this.slices,
+            flows: this.flows,
             metadata: this.metadata,
             timeRange: this.timeRange
         };
@@ -404,53 +3085,106 @@ class TraceParser {
 
     /**
      * Calculate depth for overlapping slices
+     * Also records each slice's parent (the innermost slice containing it), child count and self time
+     * (duration not covered by children), and diagnostics for slices that are unterminated, run
+     * backwards, or (on tracks other than async ones, whose operations may overlap freely and so have
+     * no parents) overlap without nesting
      */
     calculateSliceDepths() {
+        // Parsing has added all slices by now
+        this.slices.trim();
+        const { startTimes, durations, depths, parentIds, childCounts, selfTimes } = this.slices;
+
+        // Slices left open were clamped to the end of the events seen when they were closed; the
+        // trace may end later (e.g. async or counter events after the last B event)
+        this.slices.extras.forEach((extra, id) => {
+            if (!extra.unterminated) return;
+            durations[id] = Math.max(0, this.timeRange.end - startTimes[id]);
+            // Self time starts as the whole duration; children are subtracted below
+            selfTimes[id] = durations[id];
+        });
+
         this.tracks.forEach(track => {
-            if (track.slices.length === 0) {
+            // Sort slices by start time; for the same start time, longer duration first (parent
+            // before child), then in the order they were added
+            track.sliceIds = Int32Array.from(track.sliceIds).sort((a, b) =>
+                (startTimes[a] - startTimes[b]) || (durations[b] - durations[a]) || (a - b));
+            if (track.sliceIds.length === 0) {
                 track.maxDepth = 1;
                 return;
             }
+            const checkNesting = track.type !== 'async';
 
-            // Sort slices by start time using a stable sort approach
-            track.slices.sort((a, b) => {
-                if (a.startTime !== b.startTime) {
-                    return a.startTime - b.startTime;
-                }
-                // For same start time, longer duration first (parent before child)
-                return b.duration - a.duration;
-            });
-            
             // Calculate depths using a more efficient algorithm
             const activeSlices = [];
             let maxDepth = 0;
-            
-            for (let i = 0; i < track.slices.length; i++) {
-                const slice = track.slices[i];
-                
+
+            // Enclosing slices, outermost first, each with the end of the time its children cover so far
+            const nesting = [];
+
+            for (const id of track.sliceIds) {
+                const startTime = startTimes[id];
+                const endTime = startTime + durations[id];
+
                 // Remove finished slices (iterate backwards to safely remove)
                 for (let j = activeSlices.length - 1; j >= 0; j--) {
-                    if (activeSlices[j].endTime <= slice.startTime) {
+                    if (this.slices.getEndTime(activeSlices[j]) <= startTime) {
                         activeSlices.splice(j, 1);
                     }
                 }
-                
+
+                const extra = this.slices.extras.get(id);
+                if (extra && extra.unterminated) {
+                    this.recordDiagnostic('unterminated_slice', null, { time: startTime, name: this.slices.getName(id), track });
+                }
+                if (durations[id] < 0) {
+                    this.recordDiagnostic('negative_duration', null, { time: endTime, duration: -durations[id], name: this.slices.getName(id), track });
+                }
+
+                const straddled = checkNesting ? activeSlices.find(active => endTime > this.slices.getEndTime(active)) : undefined;
+                if (straddled !== undefined) {
+                    this.recordDiagnostic('partial_overlap', null, {
+                        time: startTime,
+                        duration: this.slices.getEndTime(straddled) - startTime,
+                        name: `${this.slices.getName(id)} / ${this.slices.getName(straddled)}`,
+                        track
+                    });
+                }
+
                 // Find available depth
                 const usedDepths = new Set();
                 for (let j = 0; j < activeSlices.length; j++) {
-                    usedDepths.add(activeSlices[j].depth);
+                    usedDepths.add(depths[activeSlices[j]]);
                 }
-                
+
                 let depth = 0;
                 while (usedDepths.has(depth)) {
                     depth++;
                 }
-                
-                slice.depth = depth;
+
+                depths[id] = depth;
                 maxDepth = Math.max(maxDepth, depth + 1);
-                
+
+                if (checkNesting) {
+                    // Rows pack slices into the first free depth, so the parent comes from nesting instead
+                    while (nesting.length > 0) {
+                        const parentEnd = this.slices.getEndTime(nesting[nesting.length - 1].id);
+                        if (endTime <= parentEnd && startTime < parentEnd) break;
+                        nesting.pop();
+                    }
+                    if (nesting.length > 0) {
+                        const parent = nesting[nesting.length - 1];
+                        parentIds[id] = parent.id;
+                        childCounts[parent.id]++;
+                        // Children may overlap each other, so only count time no earlier child covered
+                        selfTimes[parent.id] -= Math.max(0, endTime - Math.max(startTime, parent.coveredEnd));
+                        parent.coveredEnd = Math.max(parent.coveredEnd, endTime);
+                    }
+                    nesting.push({ id, coveredEnd: startTime });
+                }
+
                 // Add to active slices
-                activeSlices.push(slice);
+                activeSlices.push(id);
             }
 
             // Set max depth for track height
@@ -460,19 +3194,126 @@ class TraceParser {
 
     /**
      * Normalize timestamps to start from 0
+     * metadata.timeOffset keeps where zero falls on the trace clock, as BigInt nanoseconds
+     * @param {bigint} [clockBase] - Trace-clock time the parsed times are relative to
      */
-    normalizeTimestamps() {
-        const offset = this.timeRange.start;
+    normalizeTimestamps(clockBase = 0n) {
+        const offset = Number.isFinite(this.timeRange.start) ? this.timeRange.start : 0;
+        this.metadata.timeOffset = clockBase + BigInt(offset);
+        // An anchor without a trace time refers to the trace start
+        if (this.metadata.wallClock && this.metadata.wallClock.traceTime === null) {
+            this.metadata.wallClock.traceTime = this.metadata.timeOffset;
+        }
+        (this.metadata.clockSyncs || []).forEach(sync => {
+            sync.time -= offset;
+        });
+        // Diagnostic examples refer to their track by id once ids are final
+        (this.metadata.diagnostics || []).forEach(diagnostic => {
+            diagnostic.examples.forEach(example => {
+                if (example.time !== undefined) example.time -= offset;
+                if (example.track) example.trackId = example.track.id;
+                delete example.track;
+            });
+        });
         
-        this.slices.forEach(slice => {
-            slice.startTime -= offset;
-            slice.endTime -= offset;
+        this.slices.shiftTimes(-offset);
+
+        this.tracks.forEach(track => {
+            if (!track.counter) return;
+            track.counter.samples.forEach(sample => {
+                sample.time -= offset;
+            });
+        });
+
+        this.flows.forEach(flow => {
+            flow.startTime -= offset;
+            flow.endTime -= offset;
+        });
+
+        this.tracks.forEach(track => {
+            if (!track.threadStates) return;
+            track.threadStates.forEach(state => {
+                state.startTime -= offset;
+                state.endTime -= offset;
+            });
         });
 
         this.timeRange.end -= offset;
         this.timeRange.start = 0;
     }
 
+    /**
+     * Pack parsed trace data for postMessage: the slice store's columns and each track's slice ids
+     * are transferred rather than structured-cloned
+     * @returns {{packed: Object, transfer: Array<ArrayBuffer>}}
+     */
+    static packTraceData(data) {
+        const { packed: slices, transfer } = data.slices.pack();
+        const tracks = data.tracks.map(track => {
+            const { counter, ...rest } = track;
+            transfer.push(track.sliceIds.buffer);
+            if (!counter) return rest;
+
+            const times = Float64Array.from(counter.samples, sample => sample.time);
+            const values = Float64Array.from(counter.samples, sample => sample.value);
+            transfer.push(times.buffer, values.buffer);
+            return { ...rest, counter: { min: counter.min, max: counter.max, times, values } };
+        });
+
+        return {
+            packed: {
+                slices,
+                tracks,
+                flows: data.flows,
+                metadata: data.metadata,
+                timeRange: data.timeRange
+            },
+            transfer
+        };
+    }
+
+    /**
+     * Rebuild trace data from packTraceData output and make it this parser's current trace
+     */
+    restorePackedTrace(packed) {
+        this.tracks = packed.tracks.map(track => {
+            if (!track.counter) return track;
+            const { times, values, min, max } = track.counter;
+            return { ...track, counter: { min, max, samples: Array.from(times, (time, i) => ({ time, value: values[i] })) } };
+        });
+        this.slices = SliceStore.fromPacked(packed.slices);
+        this.flows = packed.flows || [];
+        this.metadata = packed.metadata;
+        this.timeRange = packed.timeRange;
+
+        return {
+            tracks: this.tracks,
+            slices: this.slices,
+            flows: this.flows,
+            metadata: this.metadata,
+            timeRange: this.timeRange
+        };
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    static formatBytes(bytes) {
+        if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+
+    /**
+     * Format a { name: count } map as "name ×count, ..."
+     */
+    static summarizeCounts(counts) {
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([name, count]) => `${name} ×${count}`)
+            .join(', ');
+    }
+
     /**
      * Get consistent color index based on string
      */
@@ -489,49 +3330,164 @@ class TraceParser {
      * Get slices within a time range
      */
     getSlicesInRange(startTime, endTime) {
-        return this.slices.filter(slice => 
-            slice.endTime >= startTime && slice.startTime <= endTime
-        );
+        const slices = [];
+        for (let id = 0; id < this.slices.length; id++) {
+            if (this.slices.getEndTime(id) >= startTime && this.slices.startTimes[id] <= endTime) {
+                slices.push(this.slices.get(id));
+            }
+        }
+        return slices;
     }
 
     /**
      * Get slice by ID
      */
     getSliceById(id) {
-        return this.slices.find(slice => slice.id === id);
+        return this.slices.get(id);
+    }
+
+    /**
+     * Ids of the slices directly inside a slice, in time order
+     */
+    getChildSliceIds(id) {
+        const track = this.getTrackById(this.slices.trackIds[id]);
+        if (!track || this.slices.childCounts[id] === 0) return [];
+        // Children follow their parent in the track's sorted ids and start before it ends
+        const ids = track.sliceIds;
+        const end = this.slices.getEndTime(id);
+        const children = [];
+        for (let i = ids.indexOf(id) + 1; i < ids.length && this.slices.startTimes[ids[i]] < end; i++) {
+            if (this.slices.parentIds[ids[i]] === id) children.push(ids[i]);
+        }
+        return children;
     }
 
     /**
-     * Get track by ID
+     * Get track by ID, through an index rebuilt whenever the track list is replaced
      */
     getTrackById(id) {
-        return this.tracks.find(track => track.id === id);
+        if (!this.trackIndex || this.trackIndex.tracks !== this.tracks) {
+            this.trackIndex = { tracks: this.tracks, byId: new Map(this.tracks.map(track => [track.id, track])) };
+        }
+        return this.trackIndex.byId.get(id);
+    }
+
+    /**
+     * Convert a Chrome JSON time in microseconds to integer nanoseconds
+     */
+    static microsToNanos(microseconds) {
+        return Math.round(microseconds * 1000);
+    }
+
+    static millisToNanos(milliseconds) {
+        return Math.round(milliseconds * 1000000);
+    }
+
+    /**
+     * Convert an epoch time in ms to BigInt nanoseconds (too large for an exact Number), keeping µs
+     */
+    static epochMillisToNanos(milliseconds) {
+        return BigInt(Math.round(milliseconds * 1000)) * 1000n;
+    }
+
+    /**
+     * Convert a decimal seconds string (ftrace, perf) to integer nanoseconds without float rounding
+     */
+    static secondsToNanos(text) {
+        const [seconds, fraction = ''] = text.split('.');
+        return parseInt(seconds) * 1000000000 + parseInt(fraction.padEnd(9, '0').slice(0, 9));
     }
 
     /**
      * Format duration for display
+     * @param {string} [unit] - Fixed unit (a TIME_UNITS key, e.g. a trace's displayTimeUnit) instead of the best fit
      */
-    static formatDuration(microseconds) {
-        if (microseconds < 1000) {
-            return `${microseconds.toFixed(2)} µs`;
-        } else if (microseconds < 1000000) {
-            return `${(microseconds / 1000).toFixed(2)} ms`;
+    static formatDuration(nanoseconds, unit) {
+        if (TIME_UNITS[unit]) return TraceParser.formatInUnit(nanoseconds, unit);
+        if (nanoseconds < 1000) {
+            return `${nanoseconds.toFixed(0)} ns`;
+        } else if (nanoseconds < 1000000) {
+            return `${(nanoseconds / 1000).toFixed(2)} µs`;
+        } else if (nanoseconds < 1000000000) {
+            return `${(nanoseconds / 1000000).toFixed(2)} ms`;
         } else {
-            return `${(microseconds / 1000000).toFixed(3)} s`;
+            return `${(nanoseconds / 1000000000).toFixed(3)} s`;
         }
     }
 
     /**
      * Format timestamp for display
+     * @param {string} [unit] - Fixed unit, see formatDuration
      */
-    static formatTimestamp(microseconds) {
-        if (microseconds < 1000) {
-            return `${microseconds.toFixed(0)} µs`;
-        } else if (microseconds < 1000000) {
-            return `${(microseconds / 1000).toFixed(2)} ms`;
+    static formatTimestamp(nanoseconds, unit) {
+        if (TIME_UNITS[unit]) return TraceParser.formatInUnit(nanoseconds, unit);
+        if (nanoseconds < 1000) {
+            return `${nanoseconds.toFixed(0)} ns`;
+        } else if (nanoseconds < 1000000) {
+            return `${(nanoseconds / 1000).toFixed(3)} µs`;
+        } else if (nanoseconds < 1000000000) {
+            return `${(nanoseconds / 1000000).toFixed(3)} ms`;
         } else {
-            return `${(microseconds / 1000000).toFixed(3)} s`;
+            return `${(nanoseconds / 1000000000).toFixed(6)} s`;
+        }
+    }
+
+    /**
+     * Format in a fixed unit, keeping the decimals needed for nanosecond resolution
+     */
+    static formatInUnit(nanoseconds, unit) {
+        const { scale, label } = TIME_UNITS[unit];
+        const decimals = Math.round(Math.log10(scale));
+        let value = (nanoseconds / scale).toFixed(decimals);
+        if (decimals > 0) value = value.replace(/\.?0+$/, '');
+        return `${value} ${label}`;
+    }
+
+    /**
+     * Format BigInt nanoseconds as decimal seconds, exactly
+     */
+    static formatNanosAsSeconds(nanoseconds) {
+        const sign = nanoseconds < 0n ? '-' : '';
+        const magnitude = nanoseconds < 0n ? -nanoseconds : nanoseconds;
+        return `${sign}${magnitude / 1000000000n}.${String(magnitude % 1000000000n).padStart(9, '0')}`;
+    }
+
+    /**
+     * Wall-clock time (BigInt epoch ns) of a normalized trace time, or null if the trace has no anchor
+     */
+    static toWallClock(time, metadata) {
+        const wallClock = metadata && metadata.wallClock;
+        if (!wallClock) return null;
+        return wallClock.unixTime + BigInt(Math.round(time)) + (metadata.timeOffset || 0n) - wallClock.traceTime;
+    }
+
+    /**
+     * Format a normalized trace time in a time base
+     * @param {string} mode - 'relative' (since trace start), 'absolute' (original trace clock) or 'wall' (UTC)
+     * @param {boolean} [compact] - Wall-clock time of day only, for the ruler
+     */
+    static formatTraceTime(time, metadata, mode = 'relative', compact = false) {
+        if (mode === 'absolute') {
+            const timeOffset = (metadata && metadata.timeOffset) || 0n;
+            return `${TraceParser.formatNanosAsSeconds(BigInt(Math.round(time)) + timeOffset)} s`;
+        }
+        if (mode === 'wall') {
+            const unixTime = TraceParser.toWallClock(time, metadata);
+            if (unixTime !== null) {
+                // toISOString stops at ms; append the sub-ms nanosecond digits
+                const subMillis = String(unixTime % 1000000n).padStart(6, '0');
+                const iso = new Date(Number(unixTime / 1000000n)).toISOString().replace('Z', `${subMillis}Z`);
+                return compact ? iso.slice(11, -1) : iso;
+            }
         }
+        return TraceParser.formatTimestamp(time, metadata && metadata.displayTimeUnit);
+    }
+
+    /**
+     * Format a counter value for display
+     */
+    static formatCounterValue(value) {
+        return Number.isInteger(value) ? String(value) : String(parseFloat(value.toFixed(3)));
     }
 }
 
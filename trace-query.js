@@ -0,0 +1,949 @@
+/**
+ * Trace Query Engine
+ * Runs a SQL subset (SELECT, JOIN, WHERE, GROUP BY, HAVING, ORDER BY, LIMIT) over parsed trace data
+ */
+
+// Tables: rows come from the trace data, each column reads one value from a row.
+// Times are integer nanoseconds since trace start, like the rest of the parsed data.
+const QUERY_TABLES = {
+    slices: {
+        rows: query => query.getSliceIds(),
+        columns: {
+            id: id => id,
+            ts: (id, { slices }) => slices.startTimes[id],
+            dur: (id, { slices }) => slices.durations[id],
+            end_ts: (id, { slices }) => slices.getEndTime(id),
+            name: (id, { slices }) => slices.getName(id),
+            category: (id, { slices }) => slices.getCategory(id) || null,
+            track_id: (id, { slices }) => slices.trackIds[id],
+            depth: (id, { slices }) => slices.depths[id],
+            parent_id: (id, { slices }) => slices.getParentId(id),
+            child_count: (id, { slices }) => slices.childCounts[id],
+            self_dur: (id, { slices }) => slices.selfTimes[id],
+            is_instant: (id, { slices }) => (slices.isInstant(id) ? 1 : 0),
+            scope: (id, { slices }) => slices.getScope(id),
+            async_id: (id, { slices }) => {
+                const extra = slices.extras.get(id);
+                return extra && extra.asyncId !== undefined ? String(extra.asyncId) : null;
+            },
+            source: (id, { slices }) => (slices.sourceIds[id] !== 0 ? slices.strings[slices.sourceIds[id]] : null)
+        }
+    },
+    tracks: {
+        rows: query => query.data.tracks,
+        columns: {
+            id: track => track.id,
+            name: track => track.name,
+            type: track => track.type || (track.counter ? 'counter' : 'thread'),
+            pid: track => track.pid,
+            tid: track => track.tid,
+            process_name: track => track.processName,
+            source: track => track.source || null
+        }
+    },
+    args: {
+        rows: query => query.getArgRows(),
+        columns: {
+            slice_id: arg => arg.sliceId,
+            key: arg => arg.key,
+            value: arg => arg.value
+        }
+    },
+    counters: {
+        rows: query => query.getCounterRows(),
+        columns: {
+            track_id: row => row.track.id,
+            name: row => row.track.name,
+            ts: row => row.sample.time,
+            value: row => row.sample.value
+        }
+    }
+};
+
+const QUERY_KEYWORDS = new Set([
+    'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC', 'LIMIT', 'OFFSET',
+    'JOIN', 'LEFT', 'INNER', 'OUTER', 'ON', 'AS', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'GLOB',
+    'BETWEEN', 'TRUE', 'FALSE', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END'
+]);
+
+// Number literals may carry a time unit, e.g. dur > 2ms
+const QUERY_TIME_UNITS = { ns: 1, us: 1e3, ms: 1e6, s: 1e9 };
+
+const QUERY_TOKEN_REGEX = /\s+|--[^\n]*|(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)(ns|us|ms|s)?(?![\w])|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([A-Za-z_][\w]*)|(<=|>=|<>|!=|==|\|\||[=<>+\-*/%(),.;])/y;
+
+// Expression node properties holding a subexpression
+const QUERY_CHILD_KEYS = ['expr', 'left', 'right', 'low', 'high', 'pattern', 'operand', 'otherwise'];
+
+const QUERY_AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'TOTAL', 'GROUP_CONCAT']);
+
+const QUERY_FUNCTIONS = {
+    LOWER: value => (value === null ? null : String(value).toLowerCase()),
+    UPPER: value => (value === null ? null : String(value).toUpperCase()),
+    LENGTH: value => (value === null ? null : String(value).length),
+    ABS: value => (value === null ? null : Math.abs(value)),
+    ROUND: (value, digits = 0) => (value === null ? null : Number(Number(value).toFixed(digits))),
+    COALESCE: (...values) => values.find(value => value !== null) ?? null,
+    IFNULL: (value, fallback) => (value !== null ? value : fallback),
+    SUBSTR: (value, start, length) => {
+        if (value === null) return null;
+        const text = String(value);
+        const from = start > 0 ? start - 1 : Math.max(0, text.length + start);
+        return length === undefined ? text.slice(from) : text.slice(from, from + length);
+    }
+};
+
+class TraceQuery {
+    /**
+     * @param {Object} data - Parsed trace data ({ tracks, slices, ... })
+     */
+    constructor(data) {
+        this.data = data;
+        this.slices = data.slices; // SliceStore; rows of the slices table are slice ids
+        this.argRows = null;
+        this.counterRows = null;
+    }
+
+    /**
+     * Table names and their columns
+     * @returns {Object<string, Array<string>>}
+     */
+    static getSchema() {
+        const schema = {};
+        Object.entries(QUERY_TABLES).forEach(([name, table]) => { schema[name] = Object.keys(table.columns); });
+        return schema;
+    }
+
+    /**
+     * Run a query
+     * @param {string} sql - A single SELECT statement
+     * @returns {{columns: Array<string>, rows: Array<Array>, sliceIds: Array<number>|null}} The result; sliceIds
+     *   lists the slices of the rows when the first slice id column (slices.id, parent_id or args.slice_id) is selected
+     */
+    execute(sql) {
+        const statement = TraceQuery.parse(sql);
+        const sources = statement.from.map(source => {
+            const table = QUERY_TABLES[source.table.toLowerCase()];
+            if (!table) {
+                throw new Error(`Unknown table "${source.table}" (tables: ${Object.keys(QUERY_TABLES).join(', ')})`);
+            }
+            return { ...source, alias: (source.alias || source.table).toLowerCase(), definition: table };
+        });
+
+        // Rows are arrays holding one record per source (null for an unmatched LEFT JOIN); without
+        // FROM there is one row with no records, as in SELECT 1 + 1
+        let rows = sources.length > 0 ? sources[0].definition.rows(this).map(record => [record]) : [[]];
+        for (let i = 1; i < sources.length; i++) {
+            rows = this.join(rows, sources, i);
+        }
+
+        if (statement.where) {
+            const where = this.compile(statement.where, sources, statement, false);
+            rows = rows.filter(row => TraceQuery.isTrue(where({ row })));
+        }
+
+        const items = this.expandSelectItems(statement, sources);
+        const grouped = statement.groupBy.length > 0 || TraceQuery.hasAggregate(items.map(item => item.expr)) ||
+            (statement.having && TraceQuery.hasAggregate([statement.having]));
+        const outputs = items.map(item => this.compile(item.expr, sources, statement, grouped));
+
+        // Each context is a row, or a group with its first row standing in for plain column references
+        let contexts;
+        if (grouped) {
+            const keys = statement.groupBy.map(expr => {
+                // GROUP BY 1 groups by the first select item, as ORDER BY 1 sorts by it
+                const position = expr.type === 'literal' && typeof expr.value === 'number' ? expr.value : null;
+                if (position !== null) {
+                    if (position < 1 || position > items.length) throw new Error(`GROUP BY position ${position} is out of range`);
+                    expr = items[position - 1].expr;
+                    if (TraceQuery.hasAggregate([expr])) throw new Error(`GROUP BY position ${position} refers to an aggregate`);
+                }
+                return this.compile(this.resolveAliases(expr, statement, false), sources, statement, false);
+            });
+            const groups = new Map();
+            rows.forEach(row => {
+                const key = JSON.stringify(keys.map(fn => fn({ row })));
+                if (!groups.has(key)) groups.set(key, { row, rows: [] });
+                groups.get(key).rows.push(row);
+            });
+            contexts = Array.from(groups.values());
+            // Aggregates without GROUP BY make one group, even over no rows
+            if (statement.groupBy.length === 0 && contexts.length === 0) contexts = [{ row: sources.map(() => null), rows: [] }];
+            if (statement.having) {
+                const having = this.compile(this.resolveAliases(statement.having, statement, false), sources, statement, true);
+                contexts = contexts.filter(context => TraceQuery.isTrue(having(context)));
+            }
+        } else {
+            contexts = rows.map(row => ({ row }));
+        }
+
+        let results = contexts.map(context => ({ context, values: outputs.map(fn => fn(context)) }));
+
+        if (statement.distinct) {
+            const seen = new Set();
+            results = results.filter(result => {
+                const key = JSON.stringify(result.values);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        if (statement.orderBy.length > 0) {
+            const orders = statement.orderBy.map(order => {
+                const position = order.expr.type === 'literal' && typeof order.expr.value === 'number' ? order.expr.value : null;
+                if (position !== null) {
+                    if (position < 1 || position > items.length) throw new Error(`ORDER BY position ${position} is out of range`);
+                    return { value: result => result.values[position - 1], descending: order.descending };
+                }
+                const fn = this.compile(this.resolveAliases(order.expr, statement, true), sources, statement, grouped);
+                return { value: result => fn(result.context), descending: order.descending };
+            });
+            // Sort keys are computed once per row
+            const keyed = results.map(result => ({ result, keys: orders.map(order => order.value(result)) }));
+            keyed.sort((a, b) => {
+                for (let i = 0; i < orders.length; i++) {
+                    const compared = TraceQuery.compare(a.keys[i], b.keys[i]);
+                    if (compared !== 0) return orders[i].descending ? -compared : compared;
+                }
+                return 0;
+            });
+            results = keyed.map(entry => entry.result);
+        }
+
+        if (statement.limit !== null) {
+            results = results.slice(statement.offset, statement.offset + statement.limit);
+        } else if (statement.offset > 0) {
+            results = results.slice(statement.offset);
+        }
+
+        const sliceColumn = items.findIndex(item => item.sliceId);
+        return {
+            columns: items.map(item => item.name),
+            rows: results.map(result => result.values),
+            sliceIds: sliceColumn >= 0
+                ? results.map(result => result.values[sliceColumn]).filter(id => id !== null)
+                : null
+        };
+    }
+
+    /**
+     * Join the rows so far with source i, hashing on an equality between the two sides when the
+     * ON condition is one, and comparing every pair otherwise
+     */
+    join(rows, sources, i) {
+        const source = sources[i];
+        const right = source.definition.rows(this);
+        const condition = this.compile(source.on, sources, null, false);
+        const joined = [];
+        const emit = (row, record) => {
+            const combined = row.slice();
+            combined[i] = record;
+            return combined;
+        };
+
+        const equality = this.getJoinEquality(source.on, sources, i);
+        if (equality) {
+            const index = new Map();
+            right.forEach(record => {
+                const key = TraceQuery.toHashKey(equality.right([...new Array(i), record]));
+                if (key === null) return;
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(record);
+            });
+            rows.forEach(row => {
+                const key = TraceQuery.toHashKey(equality.left(row));
+                const matches = (key !== null && index.get(key)) || [];
+                let matched = false;
+                matches.forEach(record => {
+                    const combined = emit(row, record);
+                    if (!TraceQuery.isTrue(condition({ row: combined }))) return;
+                    joined.push(combined);
+                    matched = true;
+                });
+                if (!matched && source.left) joined.push(emit(row, null));
+            });
+            return joined;
+        }
+
+        rows.forEach(row => {
+            let matched = false;
+            right.forEach(record => {
+                const combined = emit(row, record);
+                if (!TraceQuery.isTrue(condition({ row: combined }))) return;
+                joined.push(combined);
+                matched = true;
+            });
+            if (!matched && source.left) joined.push(emit(row, null));
+        });
+        return joined;
+    }
+
+    /**
+     * For an ON condition of the form <earlier sources> = <source i> (possibly within ANDs), row
+     * readers for the two sides
+     */
+    getJoinEquality(on, sources, i) {
+        if (on.type === 'binary' && on.op === 'AND') {
+            return this.getJoinEquality(on.left, sources, i) || this.getJoinEquality(on.right, sources, i);
+        }
+        if (on.type !== 'binary' || on.op !== '=') return null;
+
+        const sides = [on.left, on.right].map(expr => TraceQuery.getSourceIndices(expr, sources));
+        const [left, right] = sides[1].size === 1 && sides[1].has(i) && ![...sides[0]].some(index => index >= i)
+            ? [on.left, on.right]
+            : (sides[0].size === 1 && sides[0].has(i) && ![...sides[1]].some(index => index >= i) ? [on.right, on.left] : []);
+        if (!left || TraceQuery.getSourceIndices(left, sources).size === 0) return null;
+
+        const leftFn = this.compile(left, sources, null, false);
+        const rightFn = this.compile(right, sources, null, false);
+        return { left: row => leftFn({ row }), right: row => rightFn({ row }) };
+    }
+
+    /**
+     * Indices of the sources whose columns an expression reads
+     */
+    static getSourceIndices(expr, sources) {
+        const indices = new Set();
+        TraceQuery.walk(expr, node => {
+            if (node.type === 'column') indices.add(TraceQuery.resolveColumn(node, sources).index);
+        });
+        return indices;
+    }
+
+    /**
+     * Select list with * expanded; each item gets an output name and whether it holds slice ids
+     * Column names are unique: same-named columns from different sources (c.name, p.name) are named
+     * by their table alias, and other repeated names must be told apart with AS
+     */
+    expandSelectItems(statement, sources) {
+        const items = [];
+        statement.columns.forEach(column => {
+            if (column.star) {
+                if (sources.length === 0) throw new Error(`${column.table ? `${column.table}.` : ''}* needs a FROM clause`);
+                sources.forEach(source => {
+                    if (column.table && source.alias !== column.table.toLowerCase()) return;
+                    Object.keys(source.definition.columns).forEach(name => {
+                        items.push({ expr: { type: 'column', table: source.alias, name }, name });
+                    });
+                });
+                if (column.table && !sources.some(source => source.alias === column.table.toLowerCase())) {
+                    throw new Error(`Unknown table or alias "${column.table}"`);
+                }
+                return;
+            }
+            items.push({ expr: column.expr, name: column.alias || (column.expr.type === 'column' ? column.expr.name : column.text), aliased: !!column.alias });
+        });
+
+        const counts = new Map();
+        items.forEach(item => counts.set(item.name, (counts.get(item.name) || 0) + 1));
+        items.forEach(item => {
+            if (item.expr.type !== 'column') return;
+            const { source, name } = TraceQuery.resolveColumn(item.expr, sources);
+            const table = source.table.toLowerCase();
+            item.sliceId = (table === 'slices' && (name === 'id' || name === 'parent_id')) || (table === 'args' && name === 'slice_id');
+            if (!item.aliased && counts.get(item.name) > 1) item.name = `${item.expr.table || source.alias}.${item.expr.name}`;
+        });
+
+        const names = new Set();
+        items.forEach(item => {
+            if (names.has(item.name)) throw new Error(`Duplicate column "${item.name}" in the select list, name one with AS`);
+            names.add(item.name);
+        });
+        return items;
+    }
+
+    /**
+     * ORDER BY (preferring output aliases), GROUP BY and HAVING (preferring source columns) may name
+     * select items; replace those names with the items' expressions
+     */
+    resolveAliases(expr, statement, preferAlias) {
+        if (expr.type === 'column') {
+            if (expr.table) return expr;
+            const item = statement.columns.find(column => column.alias && column.alias.toLowerCase() === expr.name.toLowerCase());
+            if (!item) return expr;
+            if (preferAlias) return item.expr;
+            return this.isSourceColumn(expr.name, statement) ? expr : item.expr;
+        }
+
+        const resolve = child => this.resolveAliases(child, statement, preferAlias);
+        const resolved = { ...expr };
+        QUERY_CHILD_KEYS.forEach(key => {
+            if (expr[key]) resolved[key] = resolve(expr[key]);
+        });
+        if (expr.args) resolved.args = expr.args.map(resolve);
+        if (expr.list) resolved.list = expr.list.map(resolve);
+        if (expr.branches) resolved.branches = expr.branches.map(branch => ({ when: resolve(branch.when), then: resolve(branch.then) }));
+        return resolved;
+    }
+
+    isSourceColumn(name, statement) {
+        return statement.from.some(source => {
+            const table = QUERY_TABLES[source.table.toLowerCase()];
+            return table && Object.prototype.hasOwnProperty.call(table.columns, name.toLowerCase());
+        });
+    }
+
+    /**
+     * Turn an expression into a function of a context: { row } or, when grouped, { row, rows }
+     */
+    compile(node, sources, statement, grouped) {
+        switch (node.type) {
+            case 'literal':
+                return () => node.value;
+            case 'column': {
+                const { index, read } = TraceQuery.resolveColumn(node, sources);
+                return context => {
+                    const record = context.row[index];
+                    if (record === null || record === undefined) return null;
+                    return TraceQuery.normalizeValue(read(record, this));
+                };
+            }
+            case 'unary': {
+                const operand = this.compile(node.expr, sources, statement, grouped);
+                if (node.op === 'NOT') return context => TraceQuery.not(operand(context));
+                return context => {
+                    const value = operand(context);
+                    return value === null ? null : -value;
+                };
+            }
+            case 'binary': {
+                const left = this.compile(node.left, sources, statement, grouped);
+                const right = this.compile(node.right, sources, statement, grouped);
+                return TraceQuery.binaryOperator(node.op, left, right);
+            }
+            case 'is': {
+                const operand = this.compile(node.expr, sources, statement, grouped);
+                return context => ((operand(context) === null) !== node.not ? 1 : 0);
+            }
+            case 'in': {
+                const operand = this.compile(node.expr, sources, statement, grouped);
+                const list = node.list.map(item => this.compile(item, sources, statement, grouped));
+                return context => {
+                    const value = operand(context);
+                    if (value === null) return null;
+                    const found = list.some(fn => TraceQuery.compare(value, fn(context)) === 0);
+                    return found !== node.not ? 1 : 0;
+                };
+            }
+            case 'between': {
+                const operand = this.compile(node.expr, sources, statement, grouped);
+                const low = this.compile(node.low, sources, statement, grouped);
+                const high = this.compile(node.high, sources, statement, grouped);
+                return context => {
+                    const value = operand(context);
+                    if (value === null) return null;
+                    const inside = TraceQuery.compare(value, low(context)) >= 0 && TraceQuery.compare(value, high(context)) <= 0;
+                    return inside !== node.not ? 1 : 0;
+                };
+            }
+            case 'like': {
+                const operand = this.compile(node.expr, sources, statement, grouped);
+                const pattern = this.compile(node.pattern, sources, statement, grouped);
+                const cache = new Map();
+                return context => {
+                    const value = operand(context);
+                    const text = pattern(context);
+                    if (value === null || text === null) return null;
+                    if (!cache.has(text)) cache.set(text, TraceQuery.patternToRegExp(String(text), node.glob));
+                    return cache.get(text).test(String(value)) !== node.not ? 1 : 0;
+                };
+            }
+            case 'case': {
+                const operand = node.operand ? this.compile(node.operand, sources, statement, grouped) : null;
+                const branches = node.branches.map(branch => ({
+                    when: this.compile(branch.when, sources, statement, grouped),
+                    then: this.compile(branch.then, sources, statement, grouped)
+                }));
+                const otherwise = node.otherwise ? this.compile(node.otherwise, sources, statement, grouped) : () => null;
+                return context => {
+                    const value = operand ? operand(context) : null;
+                    const branch = branches.find(({ when }) => (operand
+                        ? value !== null && TraceQuery.compare(value, when(context)) === 0
+                        : TraceQuery.isTrue(when(context))));
+                    return branch ? branch.then(context) : otherwise(context);
+                };
+            }
+            case 'call':
+                return this.compileCall(node, sources, statement, grouped);
+            default:
+                throw new Error(`Unsupported expression ${node.type}`);
+        }
+    }
+
+    compileCall(node, sources, statement, grouped) {
+        if (QUERY_AGGREGATES.has(node.name)) {
+            if (!grouped) throw new Error(`${node.name}() is only allowed in the select list, HAVING or ORDER BY`);
+            const argument = node.star ? null : this.compile(node.args[0], sources, statement, false);
+            const separator = node.args[1] ? this.compile(node.args[1], sources, statement, false)({ row: [] }) : ',';
+            return context => {
+                let values = argument ? context.rows.map(row => argument({ row })).filter(value => value !== null) : context.rows;
+                if (node.distinct) values = Array.from(new Set(values));
+                return TraceQuery.aggregate(node.name, values, separator);
+            };
+        }
+
+        const fn = QUERY_FUNCTIONS[node.name];
+        if (!fn) throw new Error(`Unknown function ${node.name}()`);
+        const args = node.args.map(arg => this.compile(arg, sources, statement, grouped));
+        return context => TraceQuery.normalizeValue(fn(...args.map(arg => arg(context))));
+    }
+
+    static aggregate(name, values, separator) {
+        switch (name) {
+            case 'COUNT':
+                return values.length;
+            case 'SUM':
+                return values.length > 0 ? values.reduce((sum, value) => sum + Number(value), 0) : null;
+            case 'TOTAL':
+                return values.reduce((sum, value) => sum + Number(value), 0);
+            case 'AVG':
+                return values.length > 0 ? values.reduce((sum, value) => sum + Number(value), 0) / values.length : null;
+            case 'MIN':
+                return values.reduce((min, value) => (min === null || TraceQuery.compare(value, min) < 0 ? value : min), null);
+            case 'MAX':
+                return values.reduce((max, value) => (max === null || TraceQuery.compare(value, max) > 0 ? value : max), null);
+            case 'GROUP_CONCAT':
+                return values.length > 0 ? values.join(separator) : null;
+            default:
+                throw new Error(`Unknown aggregate ${name}()`);
+        }
+    }
+
+    static binaryOperator(op, left, right) {
+        switch (op) {
+            case 'AND':
+                return context => {
+                    const a = left(context);
+                    if (a !== null && !TraceQuery.isTrue(a)) return 0;
+                    const b = right(context);
+                    if (b !== null && !TraceQuery.isTrue(b)) return 0;
+                    return a === null || b === null ? null : 1;
+                };
+            case 'OR':
+                return context => {
+                    const a = left(context);
+                    if (TraceQuery.isTrue(a)) return 1;
+                    const b = right(context);
+                    if (TraceQuery.isTrue(b)) return 1;
+                    return a === null || b === null ? null : 0;
+                };
+            case '||':
+                return context => {
+                    const a = left(context);
+                    const b = right(context);
+                    return a === null || b === null ? null : `${a}${b}`;
+                };
+        }
+
+        const comparisons = {
+            '=': c => c === 0, '==': c => c === 0, '!=': c => c !== 0, '<>': c => c !== 0,
+            '<': c => c < 0, '<=': c => c <= 0, '>': c => c > 0, '>=': c => c >= 0
+        };
+        if (comparisons[op]) {
+            const test = comparisons[op];
+            return context => {
+                const a = left(context);
+                const b = right(context);
+                if (a === null || b === null) return null;
+                return test(TraceQuery.compare(a, b)) ? 1 : 0;
+            };
+        }
+
+        const arithmetic = {
+            '+': (a, b) => a + b,
+            '-': (a, b) => a - b,
+            '*': (a, b) => a * b,
+            '/': (a, b) => (b === 0 ? null : a / b),
+            '%': (a, b) => (b === 0 ? null : a % b)
+        };
+        const apply = arithmetic[op];
+        return context => {
+            const a = left(context);
+            const b = right(context);
+            if (a === null || b === null) return null;
+            return apply(Number(a), Number(b));
+        };
+    }
+
+    /**
+     * Locate a column reference among the sources
+     * @returns {{index: number, source: Object, name: string, read: Function}}
+     */
+    static resolveColumn(node, sources) {
+        const name = node.name.toLowerCase();
+        const candidates = node.table
+            ? sources.filter(source => source.alias === node.table.toLowerCase())
+            : sources.filter(source => Object.prototype.hasOwnProperty.call(source.definition.columns, name));
+
+        if (sources.length === 0) throw new Error(`Column "${node.table ? `${node.table}.` : ''}${node.name}" needs a FROM clause`);
+        if (node.table && candidates.length === 0) throw new Error(`Unknown table or alias "${node.table}"`);
+        if (candidates.length === 0) throw new Error(`Unknown column "${node.name}"`);
+        if (candidates.length > 1) throw new Error(`Ambiguous column "${node.name}", qualify it with a table alias`);
+
+        const source = candidates[0];
+        const read = source.definition.columns[name];
+        if (!read || !Object.prototype.hasOwnProperty.call(source.definition.columns, name)) {
+            throw new Error(`Unknown column "${node.table}.${node.name}"`);
+        }
+        return { index: sources.indexOf(source), source, name, read };
+    }
+
+    getSliceIds() {
+        return Array.from({ length: this.slices.length }, (_, id) => id);
+    }
+
+    /**
+     * One row per slice argument; nested objects and arrays become dotted keys (a.b, a[0])
+     */
+    getArgRows() {
+        if (!this.argRows) {
+            this.argRows = [];
+            const add = (sliceId, key, value) => {
+                if (value !== null && typeof value === 'object') {
+                    Object.entries(value).forEach(([child, childValue]) => {
+                        add(sliceId, Array.isArray(value) ? `${key}[${child}]` : `${key}.${child}`, childValue);
+                    });
+                } else {
+                    this.argRows.push({ sliceId, key, value });
+                }
+            };
+            this.slices.args.forEach((args, sliceId) => {
+                Object.entries(args).forEach(([key, value]) => add(sliceId, key, value));
+            });
+        }
+        return this.argRows;
+    }
+
+    getCounterRows() {
+        if (!this.counterRows) {
+            this.counterRows = [];
+            this.data.tracks.forEach(track => {
+                if (!track.counter) return;
+                track.counter.samples.forEach(sample => this.counterRows.push({ track, sample }));
+            });
+        }
+        return this.counterRows;
+    }
+
+    /**
+     * Column values are numbers, strings or null
+     */
+    static normalizeValue(value) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'bigint') return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+        if (typeof value === 'number' && !Number.isFinite(value)) return null;
+        return value;
+    }
+
+    /**
+     * Join hash key that matches as = does: numeric strings equal their numbers
+     */
+    static toHashKey(value) {
+        return typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value;
+    }
+
+    /**
+     * Order of two non-null values: numbers before strings, numeric strings compare as numbers
+     */
+    static compare(a, b) {
+        if (a === null || b === null) return (a === null ? 0 : 1) - (b === null ? 0 : 1);
+        if (typeof a === 'number' && typeof b === 'string' && b.trim() !== '' && !isNaN(b)) b = Number(b);
+        if (typeof b === 'number' && typeof a === 'string' && a.trim() !== '' && !isNaN(a)) a = Number(a);
+        if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    static isTrue(value) {
+        return value !== null && value !== 0 && value !== '';
+    }
+
+    static not(value) {
+        return value === null ? null : (TraceQuery.isTrue(value) ? 0 : 1);
+    }
+
+    /**
+     * LIKE (% and _, case-insensitive) or GLOB (* and ?, case-sensitive) pattern as a RegExp
+     */
+    static patternToRegExp(pattern, glob) {
+        const any = glob ? '*' : '%';
+        const one = glob ? '?' : '_';
+        const body = Array.from(pattern, char => {
+            if (char === any) return '.*';
+            if (char === one) return '.';
+            return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${body}$`, glob ? 's' : 'is');
+    }
+
+    static hasAggregate(exprs) {
+        let found = false;
+        exprs.forEach(expr => TraceQuery.walk(expr, node => {
+            if (node.type === 'call' && QUERY_AGGREGATES.has(node.name)) found = true;
+        }));
+        return found;
+    }
+
+    /**
+     * Visit an expression and all its subexpressions
+     */
+    static walk(node, visit) {
+        if (!node) return;
+        visit(node);
+        QUERY_CHILD_KEYS.forEach(key => {
+            if (node[key]) TraceQuery.walk(node[key], visit);
+        });
+        (node.args || []).forEach(arg => TraceQuery.walk(arg, visit));
+        (node.list || []).forEach(item => TraceQuery.walk(item, visit));
+        (node.branches || []).forEach(branch => {
+            TraceQuery.walk(branch.when, visit);
+            TraceQuery.walk(branch.then, visit);
+        });
+    }
+
+    /**
+     * Split a query into tokens: { type: 'number'|'string'|'identifier'|'keyword'|'operator'|'end', value, start, end }
+     */
+    static tokenize(sql) {
+        const tokens = [];
+        QUERY_TOKEN_REGEX.lastIndex = 0;
+        while (QUERY_TOKEN_REGEX.lastIndex < sql.length) {
+            const start = QUERY_TOKEN_REGEX.lastIndex;
+            const match = QUERY_TOKEN_REGEX.exec(sql);
+            if (!match) throw new Error(`Unexpected character "${sql[start]}" at position ${start + 1}`);
+
+            const end = QUERY_TOKEN_REGEX.lastIndex;
+            if (match[1] !== undefined) {
+                const value = parseFloat(match[1]) * (match[2] ? QUERY_TIME_UNITS[match[2]] : 1);
+                tokens.push({ type: 'number', value: match[2] ? Math.round(value) : value, start, end });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'string', value: match[3].replace(/''/g, "'"), start, end });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'identifier', value: match[4].replace(/""/g, '"'), start, end });
+            } else if (match[5] !== undefined) {
+                const upper = match[5].toUpperCase();
+                tokens.push(QUERY_KEYWORDS.has(upper)
+                    ? { type: 'keyword', value: upper, start, end }
+                    : { type: 'identifier', value: match[5], start, end });
+            } else if (match[6] !== undefined) {
+                tokens.push({ type: 'operator', value: match[6], start, end });
+            }
+        }
+        tokens.push({ type: 'end', value: null, start: sql.length, end: sql.length });
+        return tokens;
+    }
+
+    /**
+     * Parse a SELECT statement
+     * @returns {Object} { distinct, columns, from: [{ table, alias, on, left }], where, groupBy, having, orderBy, limit, offset }
+     */
+    static parse(sql) {
+        const tokens = TraceQuery.tokenize(sql);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const describe = token => (token.type === 'end' ? 'end of query' : `"${sql.slice(token.start, token.end)}"`);
+        const isKeyword = (...words) => peek().type === 'keyword' && words.includes(peek().value);
+        const isOperator = (...ops) => peek().type === 'operator' && ops.includes(peek().value);
+        const acceptKeyword = (...words) => (isKeyword(...words) ? tokens[pos++].value : null);
+        const acceptOperator = (...ops) => (isOperator(...ops) ? tokens[pos++].value : null);
+        const fail = expected => {
+            throw new Error(`Expected ${expected} but found ${describe(peek())} at position ${peek().start + 1}`);
+        };
+        const expectKeyword = word => acceptKeyword(word) || fail(word);
+        const expectOperator = op => acceptOperator(op) || fail(`"${op}"`);
+        const expectIdentifier = () => (peek().type === 'identifier' ? tokens[pos++].value : fail('a name'));
+
+        const parseExpression = () => parseOr();
+        const parseOr = () => {
+            let left = parseAnd();
+            while (acceptKeyword('OR')) left = { type: 'binary', op: 'OR', left, right: parseAnd() };
+            return left;
+        };
+        const parseAnd = () => {
+            let left = parseNot();
+            while (acceptKeyword('AND')) left = { type: 'binary', op: 'AND', left, right: parseNot() };
+            return left;
+        };
+        const parseNot = () => (acceptKeyword('NOT') ? { type: 'unary', op: 'NOT', expr: parseNot() } : parseComparison());
+        const parseComparison = () => {
+            const left = parseConcat();
+            const op = acceptOperator('=', '==', '!=', '<>', '<', '<=', '>', '>=');
+            if (op) return { type: 'binary', op, left, right: parseConcat() };
+
+            if (acceptKeyword('IS')) {
+                const not = !!acceptKeyword('NOT');
+                expectKeyword('NULL');
+                return { type: 'is', expr: left, not };
+            }
+            const not = !!acceptKeyword('NOT');
+            if (acceptKeyword('IN')) {
+                expectOperator('(');
+                const list = [parseExpression()];
+                while (acceptOperator(',')) list.push(parseExpression());
+                expectOperator(')');
+                return { type: 'in', expr: left, list, not };
+            }
+            const like = acceptKeyword('LIKE', 'GLOB');
+            if (like) return { type: 'like', expr: left, pattern: parseConcat(), not, glob: like === 'GLOB' };
+            if (acceptKeyword('BETWEEN')) {
+                const low = parseConcat();
+                expectKeyword('AND');
+                return { type: 'between', expr: left, low, high: parseConcat(), not };
+            }
+            if (not) fail('IN, LIKE, GLOB or BETWEEN after NOT');
+            return left;
+        };
+        const parseConcat = () => {
+            let left = parseAdditive();
+            while (acceptOperator('||')) left = { type: 'binary', op: '||', left, right: parseAdditive() };
+            return left;
+        };
+        const parseAdditive = () => {
+            let left = parseMultiplicative();
+            let op;
+            while ((op = acceptOperator('+', '-'))) left = { type: 'binary', op, left, right: parseMultiplicative() };
+            return left;
+        };
+        const parseMultiplicative = () => {
+            let left = parseUnary();
+            let op;
+            while ((op = acceptOperator('*', '/', '%'))) left = { type: 'binary', op, left, right: parseUnary() };
+            return left;
+        };
+        const parseUnary = () => {
+            if (acceptOperator('-')) return { type: 'unary', op: '-', expr: parseUnary() };
+            if (acceptOperator('+')) return parseUnary();
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = peek();
+            if (token.type === 'number' || token.type === 'string') {
+                pos++;
+                return { type: 'literal', value: token.value };
+            }
+            if (acceptKeyword('NULL')) return { type: 'literal', value: null };
+            if (acceptKeyword('TRUE')) return { type: 'literal', value: 1 };
+            if (acceptKeyword('FALSE')) return { type: 'literal', value: 0 };
+            if (acceptOperator('(')) {
+                const expr = parseExpression();
+                expectOperator(')');
+                return expr;
+            }
+            if (acceptKeyword('CASE')) {
+                const operand = isKeyword('WHEN') ? null : parseExpression();
+                const branches = [];
+                while (acceptKeyword('WHEN')) {
+                    const when = parseExpression();
+                    expectKeyword('THEN');
+                    branches.push({ when, then: parseExpression() });
+                }
+                if (branches.length === 0) fail('WHEN');
+                const otherwise = acceptKeyword('ELSE') ? parseExpression() : null;
+                expectKeyword('END');
+                return { type: 'case', operand, branches, otherwise };
+            }
+            if (token.type === 'identifier') {
+                pos++;
+                if (acceptOperator('(')) {
+                    const call = { type: 'call', name: token.value.toUpperCase(), args: [], distinct: false, star: false };
+                    if (acceptOperator('*')) {
+                        if (call.name !== 'COUNT') fail('an argument');
+                        call.star = true;
+                    } else if (!isOperator(')')) {
+                        call.distinct = !!acceptKeyword('DISTINCT');
+                        call.args.push(parseExpression());
+                        while (acceptOperator(',')) call.args.push(parseExpression());
+                    }
+                    expectOperator(')');
+                    if (QUERY_AGGREGATES.has(call.name) && !call.star && call.args.length === 0) {
+                        throw new Error(`${call.name}() needs an argument`);
+                    }
+                    return call;
+                }
+                if (acceptOperator('.')) return { type: 'column', table: token.value, name: expectIdentifier() };
+                return { type: 'column', table: null, name: token.value };
+            }
+            return fail('an expression');
+        };
+
+        const parseSource = () => {
+            const table = expectIdentifier();
+            acceptKeyword('AS');
+            const alias = peek().type === 'identifier' ? tokens[pos++].value : null;
+            return { table, alias, on: null, left: false };
+        };
+
+        expectKeyword('SELECT');
+        const statement = { distinct: !!acceptKeyword('DISTINCT'), columns: [], from: [], where: null, groupBy: [], having: null, orderBy: [], limit: null, offset: 0 };
+
+        do {
+            if (acceptOperator('*')) {
+                statement.columns.push({ star: true, table: null });
+                continue;
+            }
+            // table.* needs a lookahead past the dot
+            if (peek().type === 'identifier' && tokens[pos + 1].value === '.' && tokens[pos + 2].value === '*' && tokens[pos + 2].type === 'operator') {
+                statement.columns.push({ star: true, table: tokens[pos].value });
+                pos += 3;
+                continue;
+            }
+            const start = peek().start;
+            const expr = parseExpression();
+            const text = sql.slice(start, tokens[pos - 1].end);
+            const alias = acceptKeyword('AS') ? expectIdentifier() : (peek().type === 'identifier' ? tokens[pos++].value : null);
+            statement.columns.push({ expr, alias, text });
+        } while (acceptOperator(','));
+
+        // Cross products of whole tables get too large, so sources are only combined with JOIN ... ON
+        const rejectCommaJoin = () => {
+            if (isOperator(',')) throw new Error(`Comma joins are not supported, use JOIN ... ON (at position ${peek().start + 1})`);
+        };
+
+        if (acceptKeyword('FROM')) {
+            statement.from.push(parseSource());
+            rejectCommaJoin();
+        }
+        while (statement.from.length > 0 && isKeyword('JOIN', 'LEFT', 'INNER')) {
+            const left = !!acceptKeyword('LEFT');
+            if (left) acceptKeyword('OUTER');
+            else acceptKeyword('INNER');
+            expectKeyword('JOIN');
+            const source = parseSource();
+            expectKeyword('ON');
+            source.on = parseExpression();
+            source.left = left;
+            statement.from.push(source);
+            rejectCommaJoin();
+        }
+
+        if (acceptKeyword('WHERE')) statement.where = parseExpression();
+        if (acceptKeyword('GROUP')) {
+            expectKeyword('BY');
+            do { statement.groupBy.push(parseExpression()); } while (acceptOperator(','));
+        }
+        if (acceptKeyword('HAVING')) statement.having = parseExpression();
+        if (acceptKeyword('ORDER')) {
+            expectKeyword('BY');
+            do {
+                const expr = parseExpression();
+                const descending = acceptKeyword('ASC', 'DESC') === 'DESC';
+                statement.orderBy.push({ expr, descending });
+            } while (acceptOperator(','));
+        }
+        if (acceptKeyword('LIMIT')) {
+            statement.limit = peek().type === 'number' ? tokens[pos++].value : fail('a row count');
+            if (acceptKeyword('OFFSET')) statement.offset = peek().type === 'number' ? tokens[pos++].value : fail('a row count');
+        }
+        acceptOperator(';');
+        if (peek().type !== 'end') fail('end of query');
+
+        if (TraceQuery.hasAggregate([statement.where].filter(Boolean))) {
+            throw new Error('Aggregate functions are not allowed in WHERE, use HAVING');
+        }
+        return statement;
+    }
+}
+
+// Export for use in other files
+window.TraceQuery = TraceQuery;
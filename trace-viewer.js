@@ -18,6 +18,10 @@ if (!CanvasRenderingContext2D.prototype.roundRect) {
     };
 }
 
+// Grid and ruler tick spacings, 1-2-5 steps from 1 ns to 5 s
+const GRID_INTERVALS = [1, 10, 100, 1000, 10000, 100000, 1000000, 10000000, 100000000, 1000000000]
+    .flatMap(decade => [decade, decade * 2, decade * 5]);
+
 class TraceViewer {
     constructor(canvasContainer, trackLabelsContainer, rulerCanvas) {
         this.canvasContainer = canvasContainer;
@@ -29,16 +33,34 @@ class TraceViewer {
 
         // Data
         this.tracks = [];
-        this.slices = [];
-        this.timeRange = { start: 0, end: 1000000 };
+        this.slices = new SliceStore(0);
+        this.instants = []; // Ids of instant events, sorted by time
+        this.flows = [];
+        this.flowsBySlice = new Map(); // slice id -> { incoming, outgoing }
+        this.trackById = new Map();
+        this.processGroups = []; // Tracks grouped under their process, see buildProcessGroups
+        this.timeRange = { start: 0, end: 1000000000 };
+        this.metadata = {};
+        this.timeMode = 'relative'; // Ruler and marker time base, see TraceParser.formatTraceTime
 
         // View state
         this.viewStart = 0;
-        this.viewEnd = 1000000;
+        this.viewEnd = 1000000000;
         this.zoom = 1;
         this.trackHeight = 40;
         this.sliceHeight = 24;
         this.trackPadding = 8;
+        this.counterTrackHeight = 48;
+        this.instantMarkerSize = 5;
+        this.threadStateColors = {
+            Running: '#34a853',
+            Runnable: '#4285f4',
+            Uninterruptible: '#ff6d01',
+            Sleeping: '#cfd8dc'
+        };
+        this.collapsedTrackHeight = 28;
+        this.processHeaderHeight = 28;
+        this.collapsedProcessHeight = 40; // Header plus aggregate activity lane
 
         // Interaction mode: 'pan' or 'select'
         this.interactionMode = 'select';
@@ -57,13 +79,20 @@ class TraceViewer {
         this.selectedSlices = new Set();
         this.hoveredSlice = null;
         this.clickedSlice = null;
+        this.hoveredCounter = null; // { track, sample }
+        this.hoveredThreadState = null; // { track, state }
 
         // Hidden tracks
         this.hiddenTracks = new Set();
 
+        // Collapsed processes, by getProcessKey
+        this.collapsedProcesses = new Set();
+
         // Rendering State (Optimization)
         this.rafId = null;
         this.isDirty = false;
+        this.renderer = 'canvas'; // How slices are drawn: 'canvas' or 'webgl', see setRenderer
+        this.glRenderer = null; // WebGLSliceRenderer while renderer is 'webgl'
 
         // Colors
         this.baseSliceColors = [
@@ -84,9 +113,14 @@ class TraceViewer {
         // Callbacks
         this.onSliceClick = null;
         this.onSliceHover = null;
+        this.onCounterHover = null;
+        this.onThreadStateHover = null;
         this.onSelectionChange = null;
         this.onViewChange = null;
         this.onModeChange = null;
+        this.onTrackVisibilityChange = null;
+        this.onProcessCollapseChange = null;
+        this.onRendererChange = null;
 
         // Initialize
         this.dpr = window.devicePixelRatio || 1;
@@ -168,63 +202,168 @@ class TraceViewer {
 
     loadTrace(data) {
         this.tracks = data.tracks || [];
-        this.slices = data.slices || [];
-        this.timeRange = data.timeRange || { start: 0, end: 1000000 };
+        this.slices = data.slices || new SliceStore(0);
+        this.timeRange = data.timeRange || { start: 0, end: 1000000000 };
+        this.metadata = data.metadata || {};
         this.viewStart = this.timeRange.start;
         this.viewEnd = this.timeRange.end;
         this.zoom = 1;
 
-        // 1. Sort slices by startTime
-        // 2. Calculate max duration per track (Critical for optimization)
+        // Track slice ids come sorted by start time; the max duration per track bounds how far
+        // back a slice overlapping the view can start (Critical for optimization)
+        const { startTimes, durations, scopes } = this.slices;
         this.tracks.forEach(track => {
-            track.slices.sort((a, b) => a.startTime - b.startTime);
-            
             let maxDur = 0;
-            for (const s of track.slices) {
-                const dur = s.endTime - s.startTime;
-                if (dur > maxDur) maxDur = dur;
+            for (const id of track.sliceIds) {
+                if (durations[id] > maxDur) maxDur = durations[id];
             }
             track.maxItemDuration = maxDur;
         });
 
+        this.trackById = new Map(this.tracks.map(track => [track.id, track]));
+        this.buildProcessGroups();
+        const instants = [];
+        for (let id = 0; id < this.slices.length; id++) {
+            if (scopes[id] !== 0) instants.push(id);
+        }
+        this.instants = Int32Array.from(instants).sort((a, b) => (startTimes[a] - startTimes[b]) || (a - b));
+
+        this.flows = data.flows || [];
+        this.flowsBySlice = new Map();
+        const flowEntry = (sliceId) => {
+            if (!this.flowsBySlice.has(sliceId)) this.flowsBySlice.set(sliceId, { incoming: [], outgoing: [] });
+            return this.flowsBySlice.get(sliceId);
+        };
+        this.flows.forEach(flow => {
+            flowEntry(flow.sourceSliceId).outgoing.push(flow);
+            flowEntry(flow.targetSliceId).incoming.push(flow);
+        });
+
         this.selectedSlices.clear();
         this.hoveredSlice = null;
+        this.hoveredCounter = null;
+        this.hoveredThreadState = null;
         this.clickedSlice = null;
         this.hiddenTracks.clear();
+        this.collapsedProcesses.clear();
         this.renderTrackLabels();
         this.scheduleRender();
     }
 
+    /**
+     * Group tracks under their process (per source when traces are merged), in order of first appearance
+     * Counter tracks, which parsers append after the thread tracks, join their process's group
+     */
+    buildProcessGroups() {
+        const groups = new Map();
+        for (const track of this.tracks) {
+            const key = this.getProcessKey(track);
+            if (!groups.has(key)) {
+                groups.set(key, { key, pid: track.pid, name: track.processName, source: track.source, labels: track.processLabels, tracks: [] });
+            }
+            groups.get(key).tracks.push(track);
+        }
+
+        this.processGroups = Array.from(groups.values());
+        this.processGroups.forEach(group => {
+            const threads = group.tracks.filter(track => !track.counter && track.tid !== null && track.tid !== undefined);
+            group.threadCount = new Set(threads.map(track => track.tid)).size;
+        });
+    }
+
+    getProcessKey(track) {
+        return `${track.source || ''}:${track.pid}`;
+    }
+
     renderTrackLabels() {
-        // (Same as original implementation)
         this.trackLabelsContainer.innerHTML = '';
-        this.tracks.forEach(track => {
-            const isHidden = this.hiddenTracks.has(track.id);
-            const trackHeight = isHidden ? 28 : (track.maxDepth || 1) * this.sliceHeight + this.trackPadding * 2;
-            
-            const label = document.createElement('div');
-            label.className = `track-label ${isHidden ? 'hidden-track' : ''}`;
-            label.style.height = `${trackHeight}px`;
-            label.dataset.trackId = track.id;
-            
-            label.innerHTML = `
-                <button class="track-visibility-btn" data-track-id="${track.id}">
-                    <i class="fa-solid fa-eye${isHidden ? '-slash' : ''}" style="font-size: 12px; color: ${isHidden ? '#90A4AE' : '#1565c0'};"></i>
-                </button>
-                <div class="track-info">
-                    <div class="track-name">${track.name}</div>
-                    <div class="track-process">${track.processName} ${isHidden ? '(hidden)' : `(${track.slices.length} slices)`}</div>
-                </div>
-            `;
-            
-            label.querySelector('.track-visibility-btn').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleTrackVisibility(track.id);
-            });
-            this.trackLabelsContainer.appendChild(label);
+        this.processGroups.forEach(group => {
+            this.trackLabelsContainer.appendChild(this.createProcessHeader(group));
+            if (this.collapsedProcesses.has(group.key)) return;
+            group.tracks.forEach(track => this.trackLabelsContainer.appendChild(this.createTrackLabel(track)));
         });
     }
 
+    /**
+     * Process header label: pid, name and thread count, a collapse toggle and "collapse all except this process"
+     */
+    createProcessHeader(group) {
+        const isCollapsed = this.collapsedProcesses.has(group.key);
+        const labels = group.labels ? ` [${group.labels.join(', ')}]` : '';
+        const source = group.source ? `${group.source}: ` : '';
+        const pid = group.pid !== null && group.pid !== undefined ? `pid ${group.pid}` : '';
+        const count = group.threadCount > 0
+            ? `${group.threadCount} thread${group.threadCount === 1 ? '' : 's'}`
+            : `${group.tracks.length} track${group.tracks.length === 1 ? '' : 's'}`;
+        const details = pid ? `${pid}, ${count}` : count;
+
+        const header = document.createElement('div');
+        header.className = `track-label process-header ${isCollapsed ? 'collapsed' : ''}`;
+        header.style.height = `${isCollapsed ? this.collapsedProcessHeight : this.processHeaderHeight}px`;
+        header.dataset.processKey = group.key;
+        header.title = `${source}${group.name}${labels} (${details}) - click to ${isCollapsed ? 'expand' : 'collapse'}`;
+
+        header.innerHTML = `
+            <i class="fa-solid fa-chevron-${isCollapsed ? 'right' : 'down'} process-toggle-icon"></i>
+            <div class="track-info">
+                <div class="process-name"><span class="process-title"></span> <span class="process-details"></span></div>
+            </div>
+            <button class="process-solo-btn" title="Collapse all other processes">
+                <i class="fa-solid fa-compress"></i>
+            </button>
+        `;
+        // Names and labels come from the trace, so they are set as text
+        header.querySelector('.process-title').textContent = `${source}${group.name}${labels}`;
+        header.querySelector('.process-details').textContent = `(${details})`;
+
+        header.addEventListener('click', () => this.toggleProcessCollapsed(group.key));
+        header.querySelector('.process-solo-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.collapseOtherProcesses(group.key);
+        });
+        return header;
+    }
+
+    createTrackLabel(track) {
+        const isHidden = this.hiddenTracks.has(track.id);
+        const trackHeight = this.getTrackHeight(track);
+        let summary = track.counter ? `${track.counter.samples.length} samples` : `${track.sliceIds.length} slices`;
+        if (track.type === 'async') summary = `async, ${summary}`;
+        const labels = track.processLabels ? ` [${track.processLabels.join(', ')}]` : '';
+        const source = track.source ? `${track.source}: ` : '';
+
+        const label = document.createElement('div');
+        label.className = `track-label ${isHidden ? 'hidden-track' : ''}`;
+        label.style.height = `${trackHeight}px`;
+        label.dataset.trackId = track.id;
+        label.title = `${source}${track.processName} (pid ${track.pid})${labels}${track.tid !== null && track.tid !== undefined ? ` > ${track.name} (tid ${track.tid})` : ''}`;
+
+        label.innerHTML = `
+            <button class="track-visibility-btn" data-track-id="${track.id}">
+                <i class="fa-solid fa-eye${isHidden ? '-slash' : ''}" style="font-size: 12px; color: ${isHidden ? '#90A4AE' : '#1565c0'};"></i>
+            </button>
+            <div class="track-info">
+                <div class="track-name">${track.name}</div>
+                <div class="track-process">${isHidden ? '(hidden)' : `(${summary})`}</div>
+            </div>
+        `;
+
+        label.querySelector('.track-visibility-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleTrackVisibility(track.id);
+        });
+        return label;
+    }
+
+    /**
+     * Height in pixels of a track row, honouring hidden state and track type
+     */
+    getTrackHeight(track) {
+        if (this.hiddenTracks.has(track.id)) return this.collapsedTrackHeight;
+        if (track.counter) return this.counterTrackHeight;
+        return (track.maxDepth || 1) * this.sliceHeight + this.trackPadding * 2;
+    }
+
     toggleTrackVisibility(trackId) {
         if (this.hiddenTracks.has(trackId)) {
             this.hiddenTracks.delete(trackId);
@@ -236,6 +375,75 @@ class TraceViewer {
         if (this.onTrackVisibilityChange) this.onTrackVisibilityChange(trackId, !this.hiddenTracks.has(trackId));
     }
 
+    showAllTracks() {
+        this.hiddenTracks.clear();
+        this.collapsedProcesses.clear();
+        this.renderTrackLabels();
+        this.scheduleRender();
+        if (this.onTrackVisibilityChange) this.onTrackVisibilityChange(null, true);
+    }
+
+    hideAllTracks() {
+        this.tracks.forEach(track => this.hiddenTracks.add(track.id));
+        this.renderTrackLabels();
+        this.scheduleRender();
+        if (this.onTrackVisibilityChange) this.onTrackVisibilityChange(null, false);
+    }
+
+    toggleProcessCollapsed(key) {
+        if (this.collapsedProcesses.has(key)) {
+            this.collapsedProcesses.delete(key);
+        } else {
+            this.collapsedProcesses.add(key);
+        }
+        this.processCollapseChanged();
+    }
+
+    /**
+     * Collapse every process except the given one, which is expanded
+     */
+    collapseOtherProcesses(key) {
+        this.collapsedProcesses = new Set(this.processGroups.map(group => group.key).filter(other => other !== key));
+        this.processCollapseChanged();
+    }
+
+    processCollapseChanged() {
+        this.renderTrackLabels();
+        this.scheduleRender();
+        if (this.onProcessCollapseChange) this.onProcessCollapseChange(this.collapsedProcesses);
+    }
+
+    /**
+     * Whether a track is drawn: not hidden and not inside a collapsed process
+     */
+    isTrackShown(trackId) {
+        if (this.hiddenTracks.has(trackId)) return false;
+        const track = this.trackById.get(trackId);
+        return !track || !this.collapsedProcesses.has(this.getProcessKey(track));
+    }
+
+    /**
+     * Choose how slices are drawn: 'webgl' batches them on the GPU, 'canvas' draws them with Canvas2D.
+     * WebGL falls back to Canvas2D where it is unavailable, and if its context is lost later.
+     * @returns {string} The renderer now in use
+     */
+    setRenderer(renderer) {
+        if (this.glRenderer) {
+            this.glRenderer.destroy();
+            this.glRenderer = null;
+        }
+        if (renderer === 'webgl') {
+            this.glRenderer = WebGLSliceRenderer.create(() => {
+                console.warn('WebGL context lost, using Canvas2D');
+                this.setRenderer('canvas');
+                if (this.onRendererChange) this.onRendererChange(this.renderer);
+            });
+        }
+        this.renderer = this.glRenderer ? 'webgl' : 'canvas';
+        this.scheduleRender();
+        return this.renderer;
+    }
+
     /**
      * Optimization: Schedule render on next animation frame
      */
@@ -282,16 +490,9 @@ class TraceViewer {
         // OPTIMIZED: Iterate the Set directly instead of filtering the main array
         if (this.selectedSlices.size === 0) return;
 
-        let minStart = Infinity;
-        let maxEnd = -Infinity;
-        
-        // Since selectedSlices now holds objects, we can iterate it directly
         // This is O(K) (number of selected items) instead of O(N) (total items)
-        for (const s of this.getSelectedSlices()) {
-            if (s.startTime < minStart) minStart = s.startTime;
-            if (s.endTime > maxEnd) maxEnd = s.endTime;
-        }
-        
+        const { start: minStart, end: maxEnd } = this.getSliceSpan(this.selectedSlices);
+
         const x1 = this.timeToX(minStart);
         const x2 = this.timeToX(maxEnd);
         
@@ -325,15 +526,9 @@ class TraceViewer {
             return;
         }
 
-        let minStart = Infinity;
-        let maxEnd = -Infinity;
-        
         // OPTIMIZED: Direct Set iteration
-        for (const s of this.getSelectedSlices()) {
-            if (s.startTime < minStart) minStart = s.startTime;
-            if (s.endTime > maxEnd) maxEnd = s.endTime;
-        }
-        
+        const { start: minStart, end: maxEnd } = this.getSliceSpan(this.selectedSlices);
+
         // ... (Keep the rest of the drawing logic exactly the same)
         const x1 = this.timeToX(minStart);
         const x2 = this.timeToX(maxEnd);
@@ -341,9 +536,9 @@ class TraceViewer {
         const x2Pct = (x2 / this.width) * 100;
         const centerPct = (x1Pct + x2Pct) / 2;
         
-        const startTimeText = (typeof TraceParser !== 'undefined') ? TraceParser.formatTimestamp(minStart) : minStart;
-        const endTimeText = (typeof TraceParser !== 'undefined') ? TraceParser.formatTimestamp(maxEnd) : maxEnd;
-        const deltaText = (typeof TraceParser !== 'undefined') ? TraceParser.formatDuration(maxEnd - minStart) : (maxEnd - minStart);
+        const startTimeText = this.formatTime(minStart);
+        const endTimeText = this.formatTime(maxEnd);
+        const deltaText = this.formatDuration(maxEnd - minStart);
 
         let html = '';
         if (x1 >= -10 && x1 <= this.width + 10) html += `<div class="time-marker start" style="left: ${Math.max(0, x1Pct)}%;" data-time="${startTimeText}"></div>`;
@@ -400,16 +595,17 @@ class TraceViewer {
         ruler.innerHTML = html;
     }
 
-    formatRulerTime(timeUs, interval) {
-        if (interval >= 1000000) return (timeUs / 1000000).toFixed(interval >= 10000000 ? 0 : 1) + 's';
-        if (interval >= 1000) return (timeUs / 1000).toFixed(interval >= 10000 ? 0 : 1) + 'ms';
-        return timeUs.toFixed(0) + 'µs';
+    formatRulerTime(time, interval) {
+        if (this.timeMode !== 'relative') return this.formatTime(time, true);
+        if (interval >= 1000000000) return (time / 1000000000).toFixed(interval >= 10000000000 ? 0 : 1) + 's';
+        if (interval >= 1000000) return (time / 1000000).toFixed(interval >= 10000000 ? 0 : 1) + 'ms';
+        if (interval >= 1000) return (time / 1000).toFixed(interval >= 10000 ? 0 : 1) + 'µs';
+        return time.toFixed(0) + 'ns';
     }
 
     drawGrid() {
         const viewDuration = this.viewEnd - this.viewStart;
-        const intervals = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000, 200000, 500000, 1000000];
-        let gridInterval = intervals.find(i => viewDuration / i < 20) || 1000000;
+        const gridInterval = GRID_INTERVALS.find(i => viewDuration / i < 20) || GRID_INTERVALS[GRID_INTERVALS.length - 1];
 
         this.ctx.beginPath();
         this.ctx.strokeStyle = this.gridColor;
@@ -427,13 +623,9 @@ class TraceViewer {
 
         // Draw track separators
         this.ctx.beginPath();
-        let y = 0;
-        for (const track of this.tracks) {
-            if (this.hiddenTracks.has(track.id)) continue;
-            const trackHeight = (track.maxDepth || 1) * this.sliceHeight + this.trackPadding * 2;
-            y += trackHeight;
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(this.width, y);
+        for (const row of this.getRowLayout()) {
+            this.ctx.moveTo(0, row.y + row.height);
+            this.ctx.lineTo(this.width, row.y + row.height);
         }
         this.ctx.stroke(); // Batch stroke
     }
@@ -441,10 +633,12 @@ class TraceViewer {
     /**
      * Correctly finds visible slices including those starting before the view
      * but ending within it (overlapping).
+     * @returns {Array<number>} Slice ids
      */
     findVisibleSlices(track, viewStart, viewEnd) {
-        const slices = track.slices;
-        if (slices.length === 0) return [];
+        const ids = track.sliceIds;
+        if (ids.length === 0) return [];
+        const { startTimes, durations } = this.slices;
         
         // 1. Find the "Safe Start Time"
         // Any slice ending inside the view MUST have started after (viewStart - maxDuration)
@@ -453,13 +647,13 @@ class TraceViewer {
         const safeStartTime = viewStart - maxDur;
 
         // 2. Binary Search for the first index where startTime >= safeStartTime
-        let startIdx = 0;
+        let startIdx = ids.length;
         let left = 0;
-        let right = slices.length - 1;
+        let right = ids.length - 1;
         
         while (left <= right) {
             const mid = (left + right) >>> 1; // Bitwise divide by 2
-            if (slices[mid].startTime < safeStartTime) {
+            if (startTimes[ids[mid]] < safeStartTime) {
                 left = mid + 1;
             } else {
                 startIdx = mid;
@@ -469,13 +663,13 @@ class TraceViewer {
 
         // 3. Binary Search for the cut-off point where startTime > viewEnd
         // We don't need to look at anything that starts after the view ends
-        let endIdx = slices.length;
+        let endIdx = ids.length;
         left = startIdx; // Optimization: start searching from where we left off
-        right = slices.length - 1;
+        right = ids.length - 1;
 
         while (left <= right) {
             const mid = (left + right) >>> 1;
-            if (slices[mid].startTime > viewEnd) {
+            if (startTimes[ids[mid]] > viewEnd) {
                 endIdx = mid;
                 right = mid - 1;
             } else {
@@ -487,10 +681,10 @@ class TraceViewer {
         // Iterate only the relevant subset and check for overlap
         const visible = [];
         for (let i = startIdx; i < endIdx; i++) {
-            const slice = slices[i];
+            const id = ids[i];
             // Overlap logic: Start is before ViewEnd (guaranteed by loop) AND End is after ViewStart
-            if (slice.endTime > viewStart) {
-                visible.push(slice);
+            if (startTimes[id] + durations[id] > viewStart) {
+                visible.push(id);
             }
         }
         
@@ -514,62 +708,602 @@ class TraceViewer {
         return result;
     }
 
+    /**
+     * Like findFirstSliceStartingAfter, for a list of slice ids
+     */
+    findFirstIdStartingAfter(ids, time) {
+        const startTimes = this.slices.startTimes;
+        let left = 0;
+        let right = ids.length;
+        while (left < right) {
+            const mid = (left + right) >>> 1;
+            if (startTimes[ids[mid]] >= time) {
+                right = mid;
+            } else {
+                left = mid + 1;
+            }
+        }
+        return left;
+    }
+
+    /**
+     * Earliest start and latest end of the given slices
+     * @param {Iterable<number>} ids - Slice ids
+     */
+    getSliceSpan(ids) {
+        const { startTimes, durations } = this.slices;
+        let start = Infinity;
+        let end = -Infinity;
+        for (const id of ids) {
+            if (startTimes[id] < start) start = startTimes[id];
+            if (startTimes[id] + durations[id] > end) end = startTimes[id] + durations[id];
+        }
+        return { start, end };
+    }
+
+    /**
+     * Whether a slice object (e.g. the hovered one, or null) is the slice with the given id
+     */
+    isSliceId(slice, id) {
+        return !!slice && slice.id === id;
+    }
+
     drawSlicesOptimized() {
-        let trackY = 0;
         const minSliceWidth = 0.5; 
-        const collapsedHeight = 28;
         const viewDuration = this.viewEnd - this.viewStart;
         const widthPerTime = this.width / viewDuration;
+        const { startTimes, durations, depths, colors } = this.slices;
 
     this.ctx.font = '11px system-ui, -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Arial, sans-serif';
         this.ctx.textBaseline = 'middle';
+        // With WebGL, drawSliceFast queues slices and they are composited once every row is drawn
+        if (this.glRenderer) this.glRenderer.begin(this.width, this.height, this.dpr);
 
-        for (const track of this.tracks) {
-            const isHidden = this.hiddenTracks.has(track.id);
-            const trackHeight = isHidden ? collapsedHeight : (track.maxDepth || 1) * this.sliceHeight + this.trackPadding * 2;
+        for (const row of this.getRowLayout()) {
+            const { track, y: trackY, height: trackHeight } = row;
 
             if (trackY > this.height) break;
-            if (trackY + trackHeight < 0) {
-                trackY += trackHeight;
+            if (trackY + trackHeight < 0) continue;
+
+            if (row.process) {
+                this.drawProcessHeader(row);
                 continue;
             }
 
-            if (isHidden) {
+            if (row.hidden) {
                 this.ctx.fillStyle = 'rgba(128, 128, 128, 0.1)';
                 this.ctx.fillRect(0, trackY, this.width, trackHeight);
-                trackY += trackHeight;
                 continue;
             }
 
-            // CHANGE HERE: Pass the whole track object, not just slices
-            const visibleSlices = this.findVisibleSlices(track, this.viewStart, this.viewEnd);
+            if (track.counter) {
+                this.drawCounterTrack(track, trackY, trackHeight);
+                continue;
+            }
 
-            // Pre-calculate color indices
-            const sliceColorIdx = {};
-            for (const slice of visibleSlices) {
-                 let baseIdx = (slice.depth + (track.id || 0) * 3) % this.baseSliceColors.length;
-                 sliceColorIdx[slice.id] = baseIdx;
+            if (track.threadStates) {
+                this.drawThreadStates(track, trackY);
             }
 
-            for (const slice of visibleSlices) {
-                const x1 = (slice.startTime - this.viewStart) * widthPerTime;
-                const width = (slice.endTime - slice.startTime) * widthPerTime;
+            // CHANGE HERE: Pass the whole track object, not just slices
+            const visibleSlices = this.findVisibleSlices(track, this.viewStart, this.viewEnd);
+
+            for (const id of visibleSlices) {
+                const x1 = (startTimes[id] - this.viewStart) * widthPerTime;
+                const width = durations[id] * widthPerTime;
                 
                 if (width < minSliceWidth) continue;
 
                 // Extra check: only draw if actually on screen (x1 + width > 0)
                 if (x1 + width < 0 || x1 > this.width) continue;
 
-                const colorIdx = sliceColorIdx[slice.id] || 0;
-                this.drawSliceFast(slice, trackY, x1, width, colorIdx);
+                // CPU tracks color each run by its thread so the same thread reads the same across CPUs
+                const colorIdx = track.type === 'cpu'
+                    ? (colors[id] * 3) % this.baseSliceColors.length
+                    : (depths[id] + (track.id || 0) * 3) % this.baseSliceColors.length;
+                this.drawSliceFast(id, trackY, x1, width, colorIdx);
             }
+        }
 
-            trackY += trackHeight;
+        // Rows do not overlap, so compositing all queued slices here matches drawing them row by row
+        if (this.glRenderer) this.glRenderer.flush(this.ctx);
+
+        this.drawInstants();
+        this.drawFlows();
+    }
+
+    /**
+     * Draw a thread's scheduling states as a thin band in the track's top padding
+     */
+    drawThreadStates(track, trackY) {
+        const states = track.threadStates;
+        const first = Math.max(0, this.findFirstSliceStartingAfter(states, this.viewStart) - 1);
+        const y = trackY + 1;
+        const height = this.trackPadding - 2;
+
+        for (let i = first; i < states.length && states[i].startTime <= this.viewEnd; i++) {
+            const state = states[i];
+            const x1 = Math.max(0, this.timeToX(state.startTime));
+            const x2 = Math.min(this.width, this.timeToX(state.endTime));
+            if (x2 - x1 < 0.5) continue;
+
+            this.ctx.fillStyle = this.threadStateColors[state.state] || '#90a4ae';
+            this.ctx.fillRect(x1, y, x2 - x1, height);
+        }
+
+        const hovered = this.hoveredThreadState;
+        if (hovered && hovered.track === track) {
+            const x1 = Math.max(0, this.timeToX(hovered.state.startTime));
+            const x2 = Math.min(this.width, this.timeToX(hovered.state.endTime));
+            this.ctx.strokeStyle = '#222';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(x1, y, Math.max(1, x2 - x1), height);
+        }
+    }
+
+    /**
+     * Find the thread state under the cursor (only within the state band)
+     * @returns {{track: Object, state: Object}|null}
+     */
+    getThreadStateAtPosition(x, y) {
+        const row = this.getTrackLayout().find(r => y >= r.y && y < r.y + r.height);
+        if (!row || !row.track.threadStates || y >= row.y + this.trackPadding) return null;
+
+        const states = row.track.threadStates;
+        const time = this.xToTime(x);
+        const index = this.findFirstSliceStartingAfter(states, time) - 1;
+        if (index < 0 || states[index].endTime < time) return null;
+        return { track: row.track, state: states[index] };
+    }
+
+    /**
+     * Thread states of tracks with selected slices, clipped to the selection's time span
+     * @returns {Array<{track: Object, states: Array}>}
+     */
+    getThreadStatesForExport() {
+        const ids = this.getSelectedIdsForExport();
+        if (ids.length === 0) return [];
+
+        const { start, end } = this.getSliceSpan(ids);
+        const trackIds = new Set(Array.from(ids, id => this.slices.trackIds[id]));
+
+        const result = [];
+        for (const trackId of trackIds) {
+            const track = this.trackById.get(trackId);
+            if (!track || !track.threadStates) continue;
+
+            const states = [];
+            const first = Math.max(0, this.findFirstSliceStartingAfter(track.threadStates, start) - 1);
+            for (let i = first; i < track.threadStates.length && track.threadStates[i].startTime < end; i++) {
+                const state = track.threadStates[i];
+                if (state.endTime <= start) continue;
+                const clippedStart = Math.max(start, state.startTime);
+                const clippedEnd = Math.min(end, state.endTime);
+                states.push({ ...state, startTime: clippedStart, endTime: clippedEnd, duration: clippedEnd - clippedStart });
+            }
+            if (states.length > 0) result.push({ track, states });
         }
+        return result;
+    }
+
+    /**
+     * Vertical layout of every row: each process header (a summary lane when collapsed) followed,
+     * unless collapsed, by its tracks
+     * @returns {Array<{process: Object, collapsed: boolean, y: number, height: number}|{track: Object, hidden: boolean, y: number, height: number}>}
+     */
+    getRowLayout() {
+        const rows = [];
+        let y = 0;
+        for (const group of this.processGroups) {
+            const collapsed = this.collapsedProcesses.has(group.key);
+            const headerHeight = collapsed ? this.collapsedProcessHeight : this.processHeaderHeight;
+            rows.push({ process: group, collapsed, y, height: headerHeight });
+            y += headerHeight;
+            if (collapsed) continue;
+
+            for (const track of group.tracks) {
+                const height = this.getTrackHeight(track);
+                rows.push({ track, hidden: this.hiddenTracks.has(track.id), y, height });
+                y += height;
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Vertical layout of the tracks that are drawn (not hidden, not in a collapsed process)
+     * @returns {Array<{track: Object, y: number, height: number}>}
+     */
+    getTrackLayout() {
+        return this.getRowLayout().filter(row => row.track && !row.hidden);
+    }
+
+    /**
+     * Process header band; a collapsed process also gets its aggregate activity
+     */
+    drawProcessHeader(row) {
+        this.ctx.fillStyle = row.collapsed ? '#e8ebf3' : '#eef0f5';
+        this.ctx.fillRect(0, row.y, this.width, row.height);
+        if (row.collapsed) this.drawProcessSummary(row.process, row.y, row.height);
+    }
+
+    /**
+     * Summary lane of a collapsed process: per pixel column, the share of its slice tracks with a slice running
+     */
+    drawProcessSummary(group, rowY, rowHeight) {
+        const tracks = group.tracks.filter(track => !track.counter && !this.hiddenTracks.has(track.id));
+        if (tracks.length === 0) return;
+
+        const columns = Math.max(0, Math.ceil(this.width));
+        const busy = new Uint16Array(columns);
+        const covered = new Uint8Array(columns);
+        const { depths, startTimes } = this.slices;
+        for (const track of tracks) {
+            covered.fill(0);
+            for (const id of this.findVisibleSlices(track, this.viewStart, this.viewEnd)) {
+                // Nested slices lie within their parent; async lanes can run concurrently
+                if (depths[id] > 0 && track.type !== 'async') continue;
+                const first = Math.max(0, Math.floor(this.timeToX(startTimes[id])));
+                const last = Math.min(columns - 1, Math.max(first, Math.ceil(this.timeToX(this.slices.getEndTime(id))) - 1));
+                for (let x = first; x <= last; x++) covered[x] = 1;
+            }
+            for (let x = 0; x < columns; x++) busy[x] += covered[x];
+        }
+
+        // One rectangle per run of columns with the same count
+        const laneBottom = rowY + rowHeight - 3;
+        const laneHeight = rowHeight - 6;
+        this.ctx.fillStyle = 'rgba(92, 107, 192, 0.75)';
+        let runStart = 0;
+        for (let x = 1; x <= columns; x++) {
+            if (x < columns && busy[x] === busy[runStart]) continue;
+            if (busy[runStart] > 0) {
+                const height = Math.max(1, laneHeight * busy[runStart] / tracks.length);
+                this.ctx.fillRect(runStart, laneBottom - height, x - runStart, height);
+            }
+            runStart = x;
+        }
+    }
+
+    /**
+     * Rows an instant marker is drawn on, based on its scope
+     * @param {number} id - The instant's slice id
+     */
+    getInstantRows(id, layout) {
+        const scope = this.slices.getScope(id);
+        const trackId = this.slices.trackIds[id];
+        if (scope === 'global') {
+            return layout.filter(row => !row.track.counter);
+        }
+        if (scope === 'process') {
+            const owner = this.trackById.get(trackId);
+            const pid = owner ? owner.pid : null;
+            return layout.filter(row => !row.track.counter && row.track.pid === pid);
+        }
+        return layout.filter(row => row.track.id === trackId);
+    }
+
+    /**
+     * Index range of instants within [startTime, endTime]
+     */
+    findInstantRange(startTime, endTime) {
+        const first = this.findFirstIdStartingAfter(this.instants, startTime);
+        let last = first;
+        while (last < this.instants.length && this.slices.startTimes[this.instants[last]] <= endTime) last++;
+        return { first, last };
+    }
+
+    /**
+     * Draw instant events as diamond markers; global instants also get a line across all tracks
+     */
+    drawInstants() {
+        if (this.instants.length === 0) return;
+
+        const layout = this.getTrackLayout();
+        const timePerPixel = (this.viewEnd - this.viewStart) / this.width;
+        const pad = this.instantMarkerSize * timePerPixel;
+        const { first, last } = this.findInstantRange(this.viewStart - pad, this.viewEnd + pad);
+
+        for (let i = first; i < last; i++) {
+            const id = this.instants[i];
+            const x = this.timeToX(this.slices.startTimes[id]);
+            const isSelected = this.selectedSlices.has(id);
+            const isHovered = this.isSliceId(this.hoveredSlice, id);
+            const colors = this.colorCache[this.slices.colors[id] % this.colorCache.length];
+
+            if (this.slices.getScope(id) === 'global') {
+                this.ctx.save();
+                this.ctx.strokeStyle = isSelected ? '#e94560' : colors.border;
+                this.ctx.lineWidth = 1;
+                this.ctx.setLineDash([3, 3]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, 0);
+                this.ctx.lineTo(x, this.height);
+                this.ctx.stroke();
+                this.ctx.restore();
+            }
+
+            for (const row of this.getInstantRows(id, layout)) {
+                if (row.y > this.height || row.y + row.height < 0) continue;
+                this.drawInstantMarker(x, row.y + this.trackPadding, colors, isSelected, isHovered);
+            }
+        }
+    }
+
+    drawInstantMarker(x, y, colors, isSelected, isHovered) {
+        const size = this.instantMarkerSize;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y - size);
+        this.ctx.lineTo(x + size, y);
+        this.ctx.lineTo(x, y + size);
+        this.ctx.lineTo(x - size, y);
+        this.ctx.closePath();
+        this.ctx.fillStyle = isSelected ? colors.selected : isHovered ? colors.hover : colors.normal;
+        this.ctx.fill();
+        this.ctx.strokeStyle = isSelected ? '#e94560' : isHovered ? '#fff' : colors.border;
+        this.ctx.lineWidth = isSelected ? 2 : 1;
+        this.ctx.stroke();
     }
 
-    drawSliceFast(slice, trackY, x1, width, colorIdx) {
-        const y = trackY + this.trackPadding + slice.depth * this.sliceHeight;
+    /**
+     * Draw flow arrows from source to target slice
+     * Flows touching the clicked slice, or with both ends selected, are highlighted
+     */
+    drawFlows() {
+        if (this.flows.length === 0) return;
+
+        const rowByTrack = new Map(this.getTrackLayout().map(row => [row.track.id, row]));
+        const normal = [];
+        const highlighted = [];
+
+        for (const flow of this.flows) {
+            if (flow.endTime < this.viewStart || flow.startTime > this.viewEnd) continue;
+
+            const source = flow.sourceSliceId;
+            const target = flow.targetSliceId;
+            const sourceRow = rowByTrack.get(this.slices.trackIds[source]);
+            const targetRow = rowByTrack.get(this.slices.trackIds[target]);
+            if (!sourceRow || !targetRow) continue;
+
+            const arrow = {
+                x1: this.timeToX(flow.startTime),
+                y1: this.getSliceCenterY(source, sourceRow),
+                x2: this.timeToX(flow.endTime),
+                y2: this.getSliceCenterY(target, targetRow)
+            };
+            const isHighlighted = this.isSliceId(this.clickedSlice, source) || this.isSliceId(this.clickedSlice, target) ||
+                (this.selectedSlices.has(source) && this.selectedSlices.has(target));
+            (isHighlighted ? highlighted : normal).push(arrow);
+        }
+
+        this.drawFlowArrows(normal, 'rgba(60, 60, 90, 0.35)', 1);
+        this.drawFlowArrows(highlighted, '#e94560', 2);
+    }
+
+    drawFlowArrows(arrows, color, lineWidth) {
+        if (arrows.length === 0) return;
+        const head = 5;
+
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = lineWidth;
+
+        this.ctx.beginPath();
+        for (const arrow of arrows) {
+            const bend = Math.max(15, Math.abs(arrow.x2 - arrow.x1) / 2);
+            this.ctx.moveTo(arrow.x1, arrow.y1);
+            this.ctx.bezierCurveTo(arrow.x1 + bend, arrow.y1, arrow.x2 - bend, arrow.y2, arrow.x2, arrow.y2);
+        }
+        this.ctx.stroke();
+
+        this.ctx.beginPath();
+        for (const arrow of arrows) {
+            this.ctx.moveTo(arrow.x2, arrow.y2);
+            this.ctx.lineTo(arrow.x2 - head * 1.6, arrow.y2 - head);
+            this.ctx.lineTo(arrow.x2 - head * 1.6, arrow.y2 + head);
+            this.ctx.closePath();
+        }
+        this.ctx.fill();
+    }
+
+    getSliceCenterY(id, row) {
+        return row.y + this.trackPadding + this.slices.depths[id] * this.sliceHeight + (this.sliceHeight - 2) / 2;
+    }
+
+    /**
+     * Incoming and outgoing flows of a slice
+     * @returns {{incoming: Array, outgoing: Array}}
+     */
+    getFlowsForSlice(slice) {
+        return this.flowsBySlice.get(slice.id) || { incoming: [], outgoing: [] };
+    }
+
+    /**
+     * All slices connected to the given slice through flows, in time order
+     */
+    getFlowChain(slice) {
+        const visited = new Set([slice.id]);
+        const queue = [slice.id];
+        while (queue.length > 0) {
+            const { incoming, outgoing } = this.flowsBySlice.get(queue.shift()) || { incoming: [], outgoing: [] };
+            for (const flow of incoming) {
+                if (!visited.has(flow.sourceSliceId)) {
+                    visited.add(flow.sourceSliceId);
+                    queue.push(flow.sourceSliceId);
+                }
+            }
+            for (const flow of outgoing) {
+                if (!visited.has(flow.targetSliceId)) {
+                    visited.add(flow.targetSliceId);
+                    queue.push(flow.targetSliceId);
+                }
+            }
+        }
+        return Array.from(visited, id => this.slices.get(id)).sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * Replace the selection with the whole flow chain through a slice
+     */
+    selectFlowChain(slice) {
+        const chain = this.getFlowChain(slice);
+        this.selectedSlices = new Set(chain.map(s => s.id));
+        this.clickedSlice = slice;
+        if (this.onSelectionChange) this.onSelectionChange(this.getSelectedSlices());
+        this.scheduleRender();
+        return chain;
+    }
+
+    /**
+     * Find the instant marker under the cursor
+     */
+    getInstantAtPosition(x, y) {
+        if (this.instants.length === 0) return null;
+
+        const row = this.getTrackLayout().find(r => y >= r.y && y < r.y + r.height);
+        if (!row || Math.abs(y - (row.y + this.trackPadding)) > this.instantMarkerSize + 1) return null;
+
+        const tolerance = this.instantMarkerSize + 1;
+        const { first, last } = this.findInstantRange(this.xToTime(x - tolerance), this.xToTime(x + tolerance));
+        let best = null;
+        let bestDistance = Infinity;
+        for (let i = first; i < last; i++) {
+            const id = this.instants[i];
+            const distance = Math.abs(this.timeToX(this.slices.startTimes[id]) - x);
+            if (distance < bestDistance && this.getInstantRows(id, [row]).length > 0) {
+                best = id;
+                bestDistance = distance;
+            }
+        }
+        return best === null ? null : this.slices.get(best);
+    }
+
+    /**
+     * Index of the last counter sample at or before the given time (-1 if none)
+     */
+    findCounterSampleIndex(samples, time) {
+        let left = 0;
+        let right = samples.length - 1;
+        let result = -1;
+
+        while (left <= right) {
+            const mid = (left + right) >>> 1;
+            if (samples[mid].time <= time) {
+                result = mid;
+                left = mid + 1;
+            } else {
+                right = mid - 1;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Draw a counter track as a filled step chart
+     */
+    drawCounterTrack(track, trackY, trackHeight) {
+        const samples = track.counter.samples;
+        if (samples.length === 0) return;
+
+        const top = trackY + this.trackPadding;
+        const chartHeight = trackHeight - this.trackPadding * 2;
+        const bottom = top + chartHeight;
+        // Baseline at zero unless every value is negative
+        const min = Math.min(0, track.counter.min);
+        const max = Math.max(0, track.counter.max);
+        const range = max - min || 1;
+        const valueToY = value => bottom - ((value - min) / range) * chartHeight;
+
+        const colors = this.colorCache[(track.color || 0) % this.colorCache.length];
+        const firstIdx = Math.max(0, this.findCounterSampleIndex(samples, this.viewStart));
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(Math.max(0, this.timeToX(samples[firstIdx].time)), valueToY(min));
+
+        let lastY = valueToY(min);
+        for (let i = firstIdx; i < samples.length; i++) {
+            const sample = samples[i];
+            const x = Math.max(0, this.timeToX(sample.time));
+            if (x > this.width) break;
+            const y = valueToY(sample.value);
+            this.ctx.lineTo(x, lastY);
+            this.ctx.lineTo(x, y);
+            lastY = y;
+        }
+
+        // Hold the last value until the end of the trace
+        const endX = Math.min(this.width, this.timeToX(this.timeRange.end));
+        this.ctx.lineTo(endX, lastY);
+        this.ctx.lineTo(endX, valueToY(min));
+        this.ctx.closePath();
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.fillStyle = colors.normal;
+        this.ctx.fill();
+        this.ctx.restore();
+        this.ctx.strokeStyle = colors.border;
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+
+        // Scale label
+        this.ctx.fillStyle = '#666';
+        this.ctx.fillText(`max ${TraceParser.formatCounterValue(track.counter.max)}`, 4, top + 6);
+
+        // Hover marker
+        if (this.hoveredCounter && this.hoveredCounter.track === track) {
+            const sample = this.hoveredCounter.sample;
+            const x = Math.max(0, this.timeToX(sample.time));
+            const y = valueToY(sample.value);
+            this.ctx.fillStyle = colors.border;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    /**
+     * Find the counter sample in effect under the cursor
+     * @returns {{track: Object, sample: Object}|null}
+     */
+    getCounterAtPosition(x, y) {
+        if (x < 0 || x > this.width || y < 0 || y > this.height) return null;
+
+        const row = this.getTrackLayout().find(r => y >= r.y && y < r.y + r.height);
+        if (!row || !row.track.counter) return null;
+
+        const track = row.track;
+        const idx = this.findCounterSampleIndex(track.counter.samples, this.xToTime(x));
+        return idx >= 0 ? { track, sample: track.counter.samples[idx] } : null;
+    }
+
+    /**
+     * Counter series of visible counter tracks over the time span of the current selection
+     * @returns {Array<{track: Object, samples: Array}>}
+     */
+    getCounterSeriesForExport() {
+        const ids = this.getSelectedIdsForExport();
+        if (ids.length === 0) return [];
+
+        const { start, end } = this.getSliceSpan(ids);
+
+        const series = [];
+        for (const track of this.tracks) {
+            if (!track.counter || !this.isTrackShown(track.id)) continue;
+            const samples = track.counter.samples;
+            // Include the sample in effect at the start of the range
+            const firstIdx = Math.max(0, this.findCounterSampleIndex(samples, start));
+            const inRange = [];
+            for (let i = firstIdx; i < samples.length && samples[i].time <= end; i++) {
+                inRange.push(samples[i]);
+            }
+            if (inRange.length > 0) series.push({ track, samples: inRange });
+        }
+        return series;
+    }
+
+    drawSliceFast(id, trackY, x1, width, colorIdx) {
+        const y = trackY + this.trackPadding + this.slices.depths[id] * this.sliceHeight;
         const height = this.sliceHeight - 2;
 
         const visibleX1 = Math.max(0, x1);
@@ -578,35 +1312,49 @@ class TraceViewer {
 
         if (visibleWidth <= 0) return;
 
-        const isSelected = this.selectedSlices.has(slice.id);
-        const isHovered = this.hoveredSlice === slice;
-        const isClicked = this.clickedSlice === slice;
+        const isSelected = this.selectedSlices.has(id);
+        const isHovered = this.isSliceId(this.hoveredSlice, id);
+        const isClicked = this.isSliceId(this.clickedSlice, id);
 
         // Use cached colors
         const colors = this.colorCache[colorIdx % this.colorCache.length];
 
+        let fill = colors.normal;
+        let stroke = null;
+        let lineWidth = 0;
         if (isSelected) {
-            this.ctx.fillStyle = colors.selected;
-            this.ctx.fillRect(visibleX1, y, visibleWidth, height);
-            this.ctx.strokeStyle = '#e94560';
-            this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(visibleX1, y, visibleWidth, height);
+            fill = colors.selected;
+            stroke = '#e94560';
+            lineWidth = 2;
         } else if (isHovered) {
-            this.ctx.fillStyle = colors.hover;
-            this.ctx.fillRect(visibleX1, y, visibleWidth, height);
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 1;
-            this.ctx.strokeRect(visibleX1, y, visibleWidth, height);
+            fill = colors.hover;
+            stroke = '#fff';
+            lineWidth = 1;
         } else if (isClicked) {
-            this.ctx.fillStyle = colors.clicked;
-            this.ctx.fillRect(visibleX1, y, visibleWidth, height);
-            this.ctx.strokeStyle = '#e94560';
-            this.ctx.lineWidth = 3;
+            fill = colors.clicked;
+            stroke = '#e94560';
+            lineWidth = 3;
+        }
+        // Change text color if selected
+        const textColor = isSelected ? '#111' : '#fff';
+        const textPadding = 4;
+        const textX = Math.max(visibleX1 + textPadding, x1 + textPadding);
+
+        if (this.glRenderer) {
+            this.glRenderer.addRect(visibleX1, y, visibleWidth, height, fill, stroke, lineWidth);
+            if (visibleWidth > 10) {
+                this.glRenderer.addText(this.slices.getName(id), textX, y + height / 2, visibleX1, visibleX2, textColor);
+            }
+            return;
+        }
+
+        // Optimization: FAST PATH - No stroke, just fill
+        this.ctx.fillStyle = fill;
+        this.ctx.fillRect(visibleX1, y, visibleWidth, height);
+        if (stroke) {
+            this.ctx.strokeStyle = stroke;
+            this.ctx.lineWidth = lineWidth;
             this.ctx.strokeRect(visibleX1, y, visibleWidth, height);
-        } else {
-            // Optimization: FAST PATH - No stroke, just fill
-            this.ctx.fillStyle = colors.normal;
-            this.ctx.fillRect(visibleX1, y, visibleWidth, height);
         }
 
         // Text Optimization: Only draw if wide enough
@@ -616,15 +1364,8 @@ class TraceViewer {
             this.ctx.rect(visibleX1, y, visibleWidth, height);
             this.ctx.clip();
             // Font is set once in drawSlicesOptimized
-            const textPadding = 4;
-            const textX = Math.max(visibleX1 + textPadding, x1 + textPadding);
-            // Change text color if selected
-            if (isSelected) {
-                this.ctx.fillStyle = '#111';
-            } else {
-                this.ctx.fillStyle = '#fff';
-            }
-            this.ctx.fillText(slice.name, textX, y + height / 2);
+            this.ctx.fillStyle = textColor;
+            this.ctx.fillText(this.slices.getName(id), textX, y + height / 2);
             this.ctx.restore();
         }
     }
@@ -648,8 +1389,7 @@ class TraceViewer {
         this.rulerCtx.fillRect(0, 0, this.rulerWidth, this.rulerHeight);
 
         const viewDuration = this.viewEnd - this.viewStart;
-        const intervals = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000, 200000, 500000, 1000000];
-        let gridInterval = intervals.find(i => viewDuration / i < 10) || 1000000;
+        const gridInterval = GRID_INTERVALS.find(i => viewDuration / i < 10) || GRID_INTERVALS[GRID_INTERVALS.length - 1];
 
         const startGrid = Math.floor(this.viewStart / gridInterval) * gridInterval;
 
@@ -665,13 +1405,38 @@ class TraceViewer {
                 this.rulerCtx.moveTo(x, 0);
                 this.rulerCtx.lineTo(x, 8);
                 // Draw text immediately as it's separate from path
-                const label = (typeof TraceParser !== 'undefined') ? TraceParser.formatTimestamp(t) : t.toFixed(0);
+                const label = this.formatTime(t, true);
                 this.rulerCtx.fillText(label, x + 3, 10);
             }
         }
         this.rulerCtx.stroke();
     }
 
+    /**
+     * Format a time in the current time base
+     * @param {boolean} [compact] - Shorter wall-clock labels for the ruler
+     */
+    formatTime(time, compact = false) {
+        if (typeof TraceParser === 'undefined') return time.toFixed(0);
+        return TraceParser.formatTraceTime(time, this.metadata, this.timeMode, compact);
+    }
+
+    /**
+     * Format a duration in the trace's display unit
+     */
+    formatDuration(duration) {
+        if (typeof TraceParser === 'undefined') return duration;
+        return TraceParser.formatDuration(duration, this.metadata.displayTimeUnit);
+    }
+
+    /**
+     * Switch the time base of the ruler and selection markers
+     */
+    setTimeMode(mode) {
+        this.timeMode = mode;
+        this.scheduleRender();
+    }
+
     timeToX(time) {
         return ((time - this.viewStart) / (this.viewEnd - this.viewStart)) * this.width;
     }
@@ -684,68 +1449,64 @@ class TraceViewer {
         // Optimization: Early bounds check
         if (x < 0 || x > this.width || y < 0 || y > this.height) return null;
 
-        let trackY = 0;
-        const collapsedHeight = 28;
-        const time = this.xToTime(x);
+        // Instant markers are drawn on top of slices
+        const instant = this.getInstantAtPosition(x, y);
+        if (instant) return instant;
 
-        for (const track of this.tracks) {
-            const isHidden = this.hiddenTracks.has(track.id);
-            const trackHeight = isHidden ? collapsedHeight : (track.maxDepth || 1) * this.sliceHeight + this.trackPadding * 2;
+        // Only the track row that vertically contains the mouse
+        const row = this.getTrackLayout().find(r => y >= r.y && y < r.y + r.height);
+        if (!row || row.track.counter) return null;
 
-            if (isHidden) {
-                trackY += trackHeight;
-                continue;
-            }
+        const track = row.track;
+        const trackY = row.y;
+        const time = this.xToTime(x);
 
-            // Optimization: Only check tracks that vertically contain the mouse
-            if (y >= trackY && y < trackY + trackHeight) {
-                // Optimization: limit search range logic
-                // Find where this time would be inserted
-                const insertIdx = this.findFirstSliceStartingAfter(track.slices, time);
-                
-                // Scan backwards from insertion point
-                // Check max 50 items or until time gap is too large
-                // This covers parent slices without scanning the whole array
-                let foundSlice = null;
-                let maxDepth = -1;
-                
-                let count = 0;
-                for (let i = insertIdx - 1; i >= 0; i--) {
-                    const slice = track.slices[i];
-                    count++;
-                    
-                    // Heuristic: If we've checked 100 items and the slice ends way before our time, stop.
-                    // However, root slices can be very long, so we must be careful.
-                    // Safest is to rely on the fact that if slice.endTime < time, it's not it.
-                    if (slice.endTime < time) {
-                         // Optimization: If this slice ends significantly before our time, 
-                         // and it's not a root slice (depth 0), we might be able to break early?
-                         // For now, just continue, linear scan backwards is usually fast enough 
-                         // unless track has millions of slices.
-                         continue;
-                    }
+        // Optimization: limit search range logic
+        // Find where this time would be inserted
+        const insertIdx = this.findFirstIdStartingAfter(track.sliceIds, time);
+        const { startTimes, depths } = this.slices;
+        
+        // Scan backwards from insertion point
+        // Check max 50 items or until time gap is too large
+        // This covers parent slices without scanning the whole array
+        let foundSlice = -1;
+        let maxDepth = -1;
+        
+        let count = 0;
+        for (let i = insertIdx - 1; i >= 0; i--) {
+            const id = track.sliceIds[i];
+            const endTime = this.slices.getEndTime(id);
+            count++;
+            
+            // Heuristic: If we've checked 100 items and the slice ends way before our time, stop.
+            // However, root slices can be very long, so we must be careful.
+            // Safest is to rely on the fact that if slice.endTime < time, it's not it.
+            if (endTime < time) {
+                 // Optimization: If this slice ends significantly before our time, 
+                 // and it's not a root slice (depth 0), we might be able to break early?
+                 // For now, just continue, linear scan backwards is usually fast enough 
+                 // unless track has millions of slices.
+                 continue;
+            }
 
-                    if (time >= slice.startTime && time <= slice.endTime) {
-                        const sliceY = trackY + this.trackPadding + slice.depth * this.sliceHeight;
-                        if (y >= sliceY && y < sliceY + this.sliceHeight - 2) {
-                            if (slice.depth > maxDepth) {
-                                maxDepth = slice.depth;
-                                foundSlice = slice;
-                            }
-                        }
+            if (time >= startTimes[id] && time <= endTime) {
+                const sliceY = trackY + this.trackPadding + depths[id] * this.sliceHeight;
+                if (y >= sliceY && y < sliceY + this.sliceHeight - 2) {
+                    if (depths[id] > maxDepth) {
+                        maxDepth = depths[id];
+                        foundSlice = id;
                     }
                 }
-                return foundSlice;
             }
-            trackY += trackHeight;
         }
-        return null;
+        return foundSlice === -1 ? null : this.slices.get(foundSlice);
     }
 
     // ... (getSlicesInSelection kept similar but using scheduleRender)
 
     /**
      * Get slices in selection rectangle (Fix: passes track object to findVisibleSlices)
+     * @returns {Array<number>} Slice ids
      */
     getSlicesInSelection() {
         const x1 = Math.min(this.selectionStart.x, this.selectionEnd.x);
@@ -757,42 +1518,48 @@ class TraceViewer {
         const t2 = this.xToTime(x2);
 
         const selected = [];
-        let trackY = 0;
-        const collapsedHeight = 28;
+        const layout = this.getTrackLayout();
+        const { startTimes, depths } = this.slices;
 
-        for (const track of this.tracks) {
-            const isHidden = this.hiddenTracks.has(track.id);
-            const trackHeight = isHidden ? collapsedHeight : (track.maxDepth || 1) * this.sliceHeight + this.trackPadding * 2;
+        for (const { track, y: trackY, height: trackHeight } of layout) {
+            if (track.counter) continue;
 
-            if (isHidden) {
-                trackY += trackHeight;
-                continue;
-            }
-            
             // Check intersection of track rect and selection rect
             if (y2 >= trackY && y1 < trackY + trackHeight) {
                 // FIX: Pass 'track' object, NOT 'track.slices'
                 const visibleSlices = this.findVisibleSlices(track, t1, t2);
                 
-                for (const slice of visibleSlices) {
-                    const sliceY = trackY + this.trackPadding + slice.depth * this.sliceHeight;
+                for (const id of visibleSlices) {
+                    const sliceY = trackY + this.trackPadding + depths[id] * this.sliceHeight;
                     
                     // Check Y overlap & X overlap
                     // (findVisibleSlices checks time/X, but we verify exact bounds here)
                     if (y2 >= sliceY && y1 < sliceY + this.sliceHeight - 2) {
                         // Double check time overlap for strict selection
                         // (Optional, but good for precision)
-                        const sliceStart = slice.startTime;
-                        const sliceEnd = slice.endTime;
+                        const sliceStart = startTimes[id];
+                        const sliceEnd = this.slices.getEndTime(id);
                         
                         // Overlap logic: max(start1, start2) < min(end1, end2)
                         if (Math.max(t1, sliceStart) < Math.min(t2, sliceEnd)) {
-                            selected.push(slice);
+                            selected.push(id);
                         }
                     }
                 }
             }
-            trackY += trackHeight;
+        }
+
+        // Instants whose marker falls inside the rectangle
+        if (this.instants.length > 0) {
+            const { first, last } = this.findInstantRange(t1, t2);
+            for (let i = first; i < last; i++) {
+                const id = this.instants[i];
+                const hit = this.getInstantRows(id, layout).some(row => {
+                    const markerY = row.y + this.trackPadding;
+                    return markerY + this.instantMarkerSize >= y1 && markerY - this.instantMarkerSize <= y2;
+                });
+                if (hit) selected.push(id);
+            }
         }
 
         return selected;
@@ -865,11 +1632,32 @@ class TraceViewer {
         } else {
             // Hover logic
             const slice = this.getSliceAtPosition(pos.x, pos.y);
-            if (slice !== this.hoveredSlice) {
+            // Hit testing builds a new object each time, so compare ids
+            if ((slice ? slice.id : null) !== (this.hoveredSlice ? this.hoveredSlice.id : null)) {
                 this.hoveredSlice = slice;
                 this.scheduleRender();
                 if (this.onSliceHover) this.onSliceHover(slice, e.clientX, e.clientY);
             }
+
+            const stateHit = slice ? null : this.getThreadStateAtPosition(pos.x, pos.y);
+            const prevState = this.hoveredThreadState ? this.hoveredThreadState.state : null;
+            if ((stateHit ? stateHit.state : null) !== prevState) {
+                this.hoveredThreadState = stateHit;
+                this.scheduleRender();
+                if (this.onThreadStateHover) {
+                    this.onThreadStateHover(stateHit ? stateHit.track : null, stateHit ? stateHit.state : null, e.clientX, e.clientY);
+                }
+            }
+
+            const counterHit = slice ? null : this.getCounterAtPosition(pos.x, pos.y);
+            const prevSample = this.hoveredCounter ? this.hoveredCounter.sample : null;
+            if ((counterHit ? counterHit.sample : null) !== prevSample) {
+                this.hoveredCounter = counterHit;
+                this.scheduleRender();
+                if (this.onCounterHover) {
+                    this.onCounterHover(counterHit ? counterHit.track : null, counterHit ? counterHit.sample : null, e.clientX, e.clientY);
+                }
+            }
         }
     }
 
@@ -877,10 +1665,10 @@ class TraceViewer {
         if (this.isSelecting) {
             const selected = this.getSlicesInSelection();
             if (e.ctrlKey || e.metaKey) {
-                selected.forEach(slice => this.selectedSlices.add(slice.id));
+                selected.forEach(id => this.selectedSlices.add(id));
             } else {
                 this.selectedSlices.clear();
-                selected.forEach(slice => this.selectedSlices.add(slice.id));
+                selected.forEach(id => this.selectedSlices.add(id));
             }
             this.isSelecting = false;
             if (this.onSelectionChange) this.onSelectionChange(this.getSelectedSlices());
@@ -892,6 +1680,8 @@ class TraceViewer {
 
     handleMouseLeave(e) {
         this.hoveredSlice = null;
+        this.hoveredCounter = null;
+        this.hoveredThreadState = null;
         this.isPanning = false;
         this.isSelecting = false;
         this.updateCursor();
@@ -938,7 +1728,13 @@ class TraceViewer {
     handleDoubleClick(e) {
         const pos = this.getMousePos(e);
         const slice = this.getSliceAtPosition(pos.x, pos.y);
-        if (slice) {
+        if (slice && slice.instant) {
+            // Centre on the instant without changing zoom
+            const viewDuration = this.viewEnd - this.viewStart;
+            this.viewEnd = Math.min(this.timeRange.end, Math.max(this.timeRange.start, slice.startTime - viewDuration / 2) + viewDuration);
+            this.viewStart = this.viewEnd - viewDuration;
+            this.scheduleRender();
+        } else if (slice) {
             const padding = slice.duration * 0.2;
             this.viewStart = Math.max(this.timeRange.start, slice.startTime - padding);
             this.viewEnd = Math.min(this.timeRange.end, slice.endTime + padding);
@@ -955,7 +1751,7 @@ class TraceViewer {
         } else if (e.key === ' ' && !isTyping) {
             e.preventDefault();
             this.setMode('pan');
-        } else if (e.key === 'a' && (e.ctrlKey || e.metaKey)) {
+        } else if (e.key === 'a' && (e.ctrlKey || e.metaKey) && !isTyping) {
             e.preventDefault();
             this.selectAll();
         } else if ((e.key === 'p' || e.key === 'P') && !isTyping) {
@@ -979,10 +1775,24 @@ class TraceViewer {
         this.canvasContainer.classList.add(`${this.interactionMode}-mode`);
     }
 
-    getSelectedSlices() { return this.slices.filter(slice => this.selectedSlices.has(slice.id)); }
-    
+    /**
+     * Selected slices in id order, built from the selection rather than by scanning every slice
+     */
+    getSelectedSlices() {
+        return Array.from(Int32Array.from(this.selectedSlices).sort(), id => this.slices.get(id));
+    }
+
+    /**
+     * Ids of the selected slices on tracks that are shown (global instants always count)
+     */
+    getSelectedIdsForExport() {
+        return Int32Array.from(this.selectedSlices).sort().filter(id =>
+            this.slices.getScope(id) === 'global' || this.isTrackShown(this.slices.trackIds[id])
+        );
+    }
+
     getSelectedSlicesForExport() {
-        return this.slices.filter(slice => this.selectedSlices.has(slice.id) && !this.hiddenTracks.has(slice.trackId));
+        return Array.from(this.getSelectedIdsForExport(), id => this.slices.get(id));
     }
 
     clearSelection() {
@@ -993,10 +1803,27 @@ class TraceViewer {
     }
 
     selectAll() {
-        const visibleSlices = this.slices.filter(slice => 
-            slice.endTime >= this.viewStart && slice.startTime <= this.viewEnd && !this.hiddenTracks.has(slice.trackId)
-        );
-        visibleSlices.forEach(slice => this.selectedSlices.add(slice.id));
+        const { startTimes, trackIds } = this.slices;
+        for (let id = 0; id < this.slices.length; id++) {
+            if (this.slices.getEndTime(id) >= this.viewStart && startTimes[id] <= this.viewEnd && this.isTrackShown(trackIds[id])) {
+                this.selectedSlices.add(id);
+            }
+        }
+        if (this.onSelectionChange) this.onSelectionChange(this.getSelectedSlices());
+        this.scheduleRender();
+    }
+
+    /**
+     * Replace the selection with the given slices and bring them into view
+     * @param {Array<number>} ids - Slice ids
+     */
+    selectSlicesById(ids) {
+        this.selectedSlices = new Set(ids.filter(id => Number.isInteger(id) && id >= 0 && id < this.slices.length));
+        this.clickedSlice = null;
+        if (this.selectedSlices.size > 0) {
+            const { start, end } = this.getSliceSpan(this.selectedSlices);
+            this.focusTime(start, end - start);
+        }
         if (this.onSelectionChange) this.onSelectionChange(this.getSelectedSlices());
         this.scheduleRender();
     }
@@ -1026,6 +1853,36 @@ class TraceViewer {
         this.scheduleRender();
     }
 
+    /**
+     * Show the given time window, clamped to the trace
+     */
+    setViewRange(start, end) {
+        this.viewStart = Math.max(this.timeRange.start, start);
+        this.viewEnd = Math.min(this.timeRange.end, end);
+        if (this.viewEnd <= this.viewStart) {
+            this.viewStart = this.timeRange.start;
+            this.viewEnd = this.timeRange.end;
+        }
+        this.zoom = (this.timeRange.end - this.timeRange.start) / (this.viewEnd - this.viewStart);
+        this.scheduleRender();
+    }
+
+    /**
+     * Bring a time, or a span starting there, into view. A span is framed with some padding; a
+     * single time is centred, zooming in first if the whole trace is showing.
+     */
+    focusTime(time, duration = 0) {
+        const traceDuration = this.timeRange.end - this.timeRange.start;
+        let viewDuration = this.viewEnd - this.viewStart;
+        if (duration > 0) {
+            viewDuration = duration * 1.4;
+        } else if (viewDuration >= traceDuration) {
+            viewDuration = traceDuration / 100;
+        }
+        const centre = time + duration / 2;
+        this.setViewRange(centre - viewDuration / 2, centre + viewDuration / 2);
+    }
+
     getZoomLevel() { return Math.round(this.zoom * 100); }
 
     // Color helpers - only used during initialization now
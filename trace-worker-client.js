@@ -0,0 +1,91 @@
+/**
+ * Trace Worker Client
+ * Runs trace-worker.js for one file at a time, relaying progress and supporting cancellation
+ */
+
+class TraceWorkerClient {
+    constructor(workerUrl = 'trace-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.rejectCurrent = null;
+    }
+
+    /**
+     * Workers can't be started from file:// pages in most browsers
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    }
+
+    /**
+     * Parse a file in the worker, cancelling any parse already running
+     * @param {File} file - The trace file to parse
+     * @param {Function} onProgress - Called with { phase, bytes, totalBytes, events }
+     * @returns {Promise<Object>} Packed trace data, see TraceParser.packTraceData
+     */
+    parse(file, onProgress) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                reject(this.createError(error.message, { workerUnavailable: true }));
+                return;
+            }
+
+            let started = false;
+            this.worker = worker;
+            this.rejectCurrent = reject;
+
+            worker.onmessage = (e) => {
+                started = true;
+                const message = e.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message);
+                } else if (message.type === 'result') {
+                    this.stop();
+                    resolve(message.data);
+                } else if (message.type === 'error') {
+                    this.stop();
+                    reject(new Error(message.message));
+                }
+            };
+
+            // An error before any message means the worker script itself failed to load
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.stop();
+                reject(this.createError(e.message || 'Trace worker failed', { workerUnavailable: !started }));
+            };
+
+            worker.postMessage({ type: 'parse', file });
+        });
+    }
+
+    /**
+     * Abort the running parse; its promise rejects with error.cancelled set
+     * @returns {boolean} Whether a parse was running
+     */
+    cancel() {
+        if (!this.worker) return false;
+        const reject = this.rejectCurrent;
+        this.stop();
+        reject(this.createError('Loading cancelled', { cancelled: true }));
+        return true;
+    }
+
+    stop() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.rejectCurrent = null;
+    }
+
+    createError(message, flags) {
+        return Object.assign(new Error(message), flags);
+    }
+}
+
+// Export for use in other files
+window.TraceWorkerClient = TraceWorkerClient;
@@ -0,0 +1,97 @@
+/**
+ * Trace Parser Worker
+ * Parses a trace file off the main thread, streaming Chrome JSON events as the file is read
+ */
+
+// The parser scripts export onto window
+self.window = self;
+importScripts('proto-reader.js', 'zip-reader.js', 'slice-store.js', 'trace-parser.js', 'json-event-tokenizer.js');
+
+const PROGRESS_INTERVAL_MS = 100;
+
+self.onmessage = async (e) => {
+    if (e.data.type !== 'parse') return;
+
+    try {
+        const data = await parseTraceFile(e.data.file);
+        const { packed, transfer } = TraceParser.packTraceData(data);
+        self.postMessage({ type: 'result', data: packed }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * Read the file as a stream (gunzipping on the fly), feeding JSON events to the parser as they arrive.
+ * Other formats need the whole buffer and are handed to parseBuffer once read.
+ */
+async function parseTraceFile(file) {
+    const parser = new TraceParser();
+    const progress = { phase: 'reading', bytes: 0, totalBytes: file.size, events: 0 };
+    let lastReport = 0;
+    const report = (force) => {
+        const now = Date.now();
+        if (!force && now - lastReport < PROGRESS_INTERVAL_MS) return;
+        lastReport = now;
+        self.postMessage({ type: 'progress', ...progress });
+    };
+
+    const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const gzip = TraceParser.isGzip(head);
+    if (gzip && typeof DecompressionStream === 'undefined') {
+        return parser.parseBuffer(await file.arrayBuffer());
+    }
+
+    // Count compressed bytes so progress tracks the file size
+    let stream = file.stream().pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            progress.bytes += chunk.byteLength;
+            controller.enqueue(chunk);
+        }
+    }));
+    if (gzip) {
+        stream = stream.pipeThrough(new DecompressionStream('gzip'));
+    }
+    const reader = stream.getReader();
+
+    let { value: chunk, done } = await reader.read();
+    const first = chunk ? parser.findFirstNonWhitespace(chunk) : 0;
+
+    if (first !== 0x7B && first !== 0x5B) {
+        const chunks = [];
+        while (!done) {
+            chunks.push(chunk);
+            report();
+            ({ value: chunk, done } = await reader.read());
+        }
+        progress.phase = 'building';
+        report(true);
+        return parser.parseBuffer(concatChunks(chunks));
+    }
+
+    const state = parser.beginJSONTrace();
+    const tokenizer = new JSONEventTokenizer(event => parser.addJSONEvent(event, state));
+    const decoder = new TextDecoder();
+    while (!done) {
+        tokenizer.push(decoder.decode(chunk, { stream: true }));
+        progress.events = tokenizer.eventCount;
+        report();
+        ({ value: chunk, done } = await reader.read());
+    }
+    tokenizer.push(decoder.decode());
+
+    progress.phase = 'building';
+    report(true);
+    return parser.finishTokenizedJSON(tokenizer, state);
+}
+
+function concatChunks(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    });
+    return bytes.buffer;
+}
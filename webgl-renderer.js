@@ -0,0 +1,439 @@
+/**
+ * WebGL Slice Renderer
+ * Draws the timeline's slice rectangles as instanced quads and their labels from a glyph atlas, into an
+ * offscreen WebGL2 canvas that TraceViewer composites onto its 2D canvas. Everything else on the
+ * timeline (grid, counters, instants, flows, overlays) stays on Canvas2D.
+ */
+
+// Must match the font TraceViewer uses for slice labels
+const WEBGL_LABEL_FONT = '11px system-ui, -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Arial, sans-serif';
+const WEBGL_LABEL_LINE_HEIGHT = 16;
+const WEBGL_ATLAS_SIZE = 1024;
+
+// Floats per instance: rect (x, y, w, h), fill rgba, stroke rgba, line width
+const WEBGL_RECT_STRIDE = 13;
+// Floats per instance: rect (x, y, w, h), atlas uv (u0, v0, u1, v1), color rgba, clip (x1, x2)
+const WEBGL_GLYPH_STRIDE = 14;
+
+const WEBGL_RECT_SHADERS = {
+    vertex: `#version 300 es
+        layout(location = 0) in vec2 a_corner;
+        layout(location = 1) in vec4 a_rect;
+        layout(location = 2) in vec4 a_fill;
+        layout(location = 3) in vec4 a_stroke;
+        layout(location = 4) in float a_lineWidth;
+        uniform vec2 u_viewport;
+        out vec2 v_local;
+        flat out vec2 v_size;
+        flat out vec4 v_fill;
+        flat out vec4 v_stroke;
+        flat out float v_lineWidth;
+        void main() {
+            v_local = a_corner * a_rect.zw;
+            v_size = a_rect.zw;
+            v_fill = a_fill;
+            v_stroke = a_stroke;
+            v_lineWidth = a_lineWidth;
+            vec2 position = (a_rect.xy + v_local) / u_viewport;
+            gl_Position = vec4(position.x * 2.0 - 1.0, 1.0 - position.y * 2.0, 0.0, 1.0);
+        }`,
+    fragment: `#version 300 es
+        precision highp float;
+        in vec2 v_local;
+        flat in vec2 v_size;
+        flat in vec4 v_fill;
+        flat in vec4 v_stroke;
+        flat in float v_lineWidth;
+        out vec4 outColor;
+        void main() {
+            vec2 edge = min(v_local, v_size - v_local);
+            vec4 color = min(edge.x, edge.y) < v_lineWidth ? v_stroke : v_fill;
+            outColor = vec4(color.rgb * color.a, color.a);
+        }`
+};
+
+const WEBGL_GLYPH_SHADERS = {
+    vertex: `#version 300 es
+        layout(location = 0) in vec2 a_corner;
+        layout(location = 1) in vec4 a_rect;
+        layout(location = 2) in vec4 a_uv;
+        layout(location = 3) in vec4 a_color;
+        layout(location = 4) in vec2 a_clip;
+        uniform vec2 u_viewport;
+        out vec2 v_uv;
+        out float v_x;
+        flat out vec4 v_color;
+        flat out vec2 v_clip;
+        void main() {
+            vec2 point = a_rect.xy + a_corner * a_rect.zw;
+            v_uv = mix(a_uv.xy, a_uv.zw, a_corner);
+            v_x = point.x;
+            v_color = a_color;
+            v_clip = a_clip;
+            vec2 position = point / u_viewport;
+            gl_Position = vec4(position.x * 2.0 - 1.0, 1.0 - position.y * 2.0, 0.0, 1.0);
+        }`,
+    fragment: `#version 300 es
+        precision highp float;
+        uniform sampler2D u_atlas;
+        in vec2 v_uv;
+        in float v_x;
+        flat in vec4 v_color;
+        flat in vec2 v_clip;
+        out vec4 outColor;
+        void main() {
+            if (v_x < v_clip.x || v_x > v_clip.y) discard;
+            float alpha = texture(u_atlas, v_uv).a * v_color.a;
+            outColor = vec4(v_color.rgb * alpha, alpha);
+        }`
+};
+
+class WebGLSliceRenderer {
+    /**
+     * Whether this browser can run the renderer
+     */
+    static isSupported() {
+        try {
+            return !!document.createElement('canvas').getContext('webgl2');
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Create a renderer, or return null when WebGL2 is unavailable or fails to set up
+     * @param {Function} [onContextLost] - Called if the GPU context is lost later on
+     * @returns {WebGLSliceRenderer|null}
+     */
+    static create(onContextLost) {
+        try {
+            return new WebGLSliceRenderer(onContextLost);
+        } catch (e) {
+            console.warn('WebGL renderer unavailable, using Canvas2D:', e.message);
+            return null;
+        }
+    }
+
+    constructor(onContextLost = null) {
+        this.canvas = document.createElement('canvas');
+        const gl = this.canvas.getContext('webgl2', { alpha: true, antialias: false, premultipliedAlpha: true });
+        if (!gl) throw new Error('WebGL2 is not supported');
+        this.gl = gl;
+        this.lost = false;
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            if (this.lost) return; // Released by destroy
+            this.lost = true;
+            if (onContextLost) onContextLost();
+        });
+
+        this.rectProgram = this.createProgram(WEBGL_RECT_SHADERS);
+        this.glyphProgram = this.createProgram(WEBGL_GLYPH_SHADERS);
+
+        // One unit quad, two triangles, shared by both instance kinds
+        this.cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1]), gl.STATIC_DRAW);
+
+        this.rects = { data: new Float32Array(WEBGL_RECT_STRIDE * 1024), count: 0, stride: WEBGL_RECT_STRIDE };
+        this.glyphs = { data: new Float32Array(WEBGL_GLYPH_STRIDE * 4096), count: 0, stride: WEBGL_GLYPH_STRIDE };
+        this.rects.buffer = gl.createBuffer();
+        this.glyphs.buffer = gl.createBuffer();
+        this.rects.vao = this.createVertexArray(this.rects.buffer, [4, 4, 4, 1]);
+        this.glyphs.vao = this.createVertexArray(this.glyphs.buffer, [4, 4, 4, 2]);
+
+        this.colorCache = new Map(); // CSS color -> [r, g, b, a], 0-1
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+        this.measureCtx.font = WEBGL_LABEL_FONT;
+        this.atlas = null; // Created at the first frame, once the pixel ratio is known
+        this.atlasTexture = gl.createTexture();
+
+        this.width = 0;
+        this.height = 0;
+        this.dpr = 1;
+    }
+
+    createProgram({ vertex, fragment }) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        [[gl.VERTEX_SHADER, vertex], [gl.FRAGMENT_SHADER, fragment]].forEach(([type, source]) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            gl.attachShader(program, shader);
+        });
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    /**
+     * Vertex array with the unit quad at location 0 and per-instance float attributes after it
+     * @param {Array<number>} sizes - Floats in each instance attribute, in location order
+     */
+    createVertexArray(instanceBuffer, sizes) {
+        const gl = this.gl;
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+        const stride = sizes.reduce((sum, size) => sum + size, 0) * 4;
+        let offset = 0;
+        sizes.forEach((size, i) => {
+            gl.enableVertexAttribArray(i + 1);
+            gl.vertexAttribPointer(i + 1, size, gl.FLOAT, false, stride, offset);
+            gl.vertexAttribDivisor(i + 1, 1);
+            offset += size * 4;
+        });
+
+        gl.bindVertexArray(null);
+        return vao;
+    }
+
+    /**
+     * Start a frame of the given size in CSS pixels
+     */
+    begin(width, height, dpr) {
+        const pixelWidth = Math.max(1, Math.round(width * dpr));
+        const pixelHeight = Math.max(1, Math.round(height * dpr));
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        }
+        // Glyphs are rasterized at device pixels, so a new pixel ratio or a full atlas starts a new one
+        if (!this.atlas || this.dpr !== dpr || this.atlas.full) this.resetAtlas(dpr);
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+        this.rects.count = 0;
+        this.glyphs.count = 0;
+    }
+
+    /**
+     * Queue a rectangle; with a stroke, it is drawn like Canvas2D strokeRect (centered on the edge)
+     */
+    addRect(x, y, width, height, fill, stroke = null, lineWidth = 0) {
+        const fillColor = this.parseColor(fill);
+        let x0 = x, y0 = y, w = width, h = height;
+        let strokeColor = fillColor;
+        if (stroke && lineWidth > 0) {
+            strokeColor = this.parseColor(stroke);
+            x0 -= lineWidth / 2;
+            y0 -= lineWidth / 2;
+            w += lineWidth;
+            h += lineWidth;
+        } else {
+            lineWidth = 0;
+        }
+
+        const data = this.reserve(this.rects);
+        const i = this.rects.count++ * WEBGL_RECT_STRIDE;
+        data[i] = x0;
+        data[i + 1] = y0;
+        data[i + 2] = w;
+        data[i + 3] = h;
+        data.set(fillColor, i + 4);
+        data.set(strokeColor, i + 8);
+        data[i + 12] = lineWidth;
+    }
+
+    /**
+     * Queue a single-line label starting at x, vertically centered on centerY and clipped to [clipX1, clipX2]
+     */
+    addText(text, x, centerY, clipX1, clipX2, color) {
+        const rgba = this.parseColor(color);
+        let penX = x;
+        for (const char of text) {
+            if (penX >= clipX2) break;
+            const glyph = this.getGlyph(char);
+            if (!glyph) break;
+            if (glyph.width > 0) {
+                const data = this.reserve(this.glyphs);
+                const i = this.glyphs.count++ * WEBGL_GLYPH_STRIDE;
+                data[i] = penX - 1 / this.dpr;
+                data[i + 1] = centerY - glyph.height / 2;
+                data[i + 2] = glyph.width;
+                data[i + 3] = glyph.height;
+                data.set(glyph.uv, i + 4);
+                data.set(rgba, i + 8);
+                data[i + 12] = clipX1;
+                data[i + 13] = clipX2;
+            }
+            penX += glyph.advance;
+        }
+    }
+
+    /**
+     * Draw the queued rectangles, then labels on top, and composite them onto a 2D context whose
+     * transform maps CSS pixels
+     */
+    flush(ctx) {
+        const gl = this.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        if (this.rects.count === 0 && this.glyphs.count === 0) return;
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        this.drawInstances(this.rectProgram, this.rects);
+        if (this.glyphs.count > 0) {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
+            if (this.atlas.dirty) {
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.atlas.canvas);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+                this.atlas.dirty = false;
+            }
+            gl.useProgram(this.glyphProgram);
+            gl.uniform1i(gl.getUniformLocation(this.glyphProgram, 'u_atlas'), 0);
+            this.drawInstances(this.glyphProgram, this.glyphs);
+        }
+
+        ctx.drawImage(this.canvas, 0, 0, this.width, this.height);
+    }
+
+    drawInstances(program, instances) {
+        if (instances.count === 0) return;
+        const gl = this.gl;
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_viewport'), this.width, this.height);
+        gl.bindBuffer(gl.ARRAY_BUFFER, instances.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, instances.data.subarray(0, instances.count * instances.stride), gl.DYNAMIC_DRAW);
+        gl.bindVertexArray(instances.vao);
+        gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, instances.count);
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * Room for one more instance, growing the queue when needed
+     * @returns {Float32Array} The queue's data
+     */
+    reserve(instances) {
+        if ((instances.count + 1) * instances.stride > instances.data.length) {
+            const data = new Float32Array(instances.data.length * 2);
+            data.set(instances.data);
+            instances.data = data;
+        }
+        return instances.data;
+    }
+
+    /**
+     * [r, g, b, a] in 0-1 for a #rgb, #rrggbb, rgb() or rgba() color
+     */
+    parseColor(css) {
+        let rgba = this.colorCache.get(css);
+        if (rgba) return rgba;
+
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(css);
+        const fn = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(css);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            rgba = [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16) / 255).concat(1);
+        } else if (fn) {
+            rgba = [fn[1] / 255, fn[2] / 255, fn[3] / 255, fn[4] !== undefined ? Number(fn[4]) : 1];
+        } else {
+            rgba = [0, 0, 0, 1];
+        }
+        rgba = new Float32Array(rgba);
+        this.colorCache.set(css, rgba);
+        return rgba;
+    }
+
+    resetAtlas(dpr) {
+        if (!this.atlas) {
+            const canvas = document.createElement('canvas');
+            canvas.width = WEBGL_ATLAS_SIZE;
+            canvas.height = WEBGL_ATLAS_SIZE;
+            this.atlas = { canvas, ctx: canvas.getContext('2d') };
+        }
+        const ctx = this.atlas.ctx;
+        ctx.clearRect(0, 0, WEBGL_ATLAS_SIZE, WEBGL_ATLAS_SIZE);
+        ctx.font = WEBGL_LABEL_FONT.replace(/^\d+px/, `${11 * dpr}px`);
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        Object.assign(this.atlas, {
+            glyphs: new Map(),
+            cellHeight: Math.ceil(WEBGL_LABEL_LINE_HEIGHT * dpr),
+            x: 0,
+            y: 0,
+            full: false,
+            dirty: true
+        });
+        this.dpr = dpr;
+    }
+
+    /**
+     * Atlas entry for a character, rasterizing it on first use
+     * @returns {{advance: number, width: number, height: number, uv: Float32Array}|null} Sizes in CSS
+     *   pixels; null once the atlas is full (it is rebuilt at the next frame)
+     */
+    getGlyph(char) {
+        const atlas = this.atlas;
+        let glyph = atlas.glyphs.get(char);
+        if (glyph) return glyph;
+
+        const advance = this.measureCtx.measureText(char).width;
+        // A pixel of padding on each side keeps neighbouring glyphs from bleeding in
+        const cellWidth = advance > 0 ? Math.ceil(advance * this.dpr) + 2 : 0;
+        if (atlas.x + cellWidth > WEBGL_ATLAS_SIZE) {
+            atlas.x = 0;
+            atlas.y += atlas.cellHeight;
+        }
+        if (atlas.y + atlas.cellHeight > WEBGL_ATLAS_SIZE) {
+            atlas.full = true;
+            return null;
+        }
+
+        if (cellWidth > 0) {
+            atlas.ctx.fillText(char, atlas.x + 1, atlas.y + atlas.cellHeight / 2);
+            atlas.dirty = true;
+        }
+        glyph = {
+            advance,
+            width: cellWidth / this.dpr,
+            height: atlas.cellHeight / this.dpr,
+            uv: new Float32Array([
+                atlas.x / WEBGL_ATLAS_SIZE,
+                atlas.y / WEBGL_ATLAS_SIZE,
+                (atlas.x + cellWidth) / WEBGL_ATLAS_SIZE,
+                (atlas.y + atlas.cellHeight) / WEBGL_ATLAS_SIZE
+            ])
+        };
+        atlas.x += cellWidth;
+        atlas.glyphs.set(char, glyph);
+        return glyph;
+    }
+
+    /**
+     * Release GPU resources
+     */
+    destroy() {
+        const gl = this.gl;
+        if (!this.lost) {
+            [this.rects.buffer, this.glyphs.buffer, this.cornerBuffer].forEach(buffer => gl.deleteBuffer(buffer));
+            [this.rects.vao, this.glyphs.vao].forEach(vao => gl.deleteVertexArray(vao));
+            [this.rectProgram, this.glyphProgram].forEach(program => gl.deleteProgram(program));
+            gl.deleteTexture(this.atlasTexture);
+        }
+        const lose = this.lost ? null : gl.getExtension('WEBGL_lose_context');
+        this.lost = true;
+        if (lose) lose.loseContext();
+    }
+}
+
+// Export for use in other files
+window.WebGLSliceRenderer = WebGLSliceRenderer;
@@ -0,0 +1,153 @@
+/**
+ * ZIP Archive Reader
+ * Lists and extracts the entries of a .zip file (stored and deflate), reading only the parts it needs
+ */
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034B50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+const ZIP_END_SIGNATURE = 0x06054B50;
+const ZIP64_END_SIGNATURE = 0x06064B50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064B50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+const ZIP_SATURATED = 0xFFFFFFFF; // 32-bit field whose real value is in the ZIP64 extra field
+
+class ZipReader {
+    /**
+     * @param {Blob} blob - The whole archive
+     * @param {Array<Object>} entries - Central directory entries, see open
+     */
+    constructor(blob, entries) {
+        this.blob = blob;
+        this.entries = entries;
+    }
+
+    static get METHOD_STORED() { return 0; }
+    static get METHOD_DEFLATE() { return 8; }
+
+    /**
+     * Local file header or (for an empty archive) end of central directory signature
+     */
+    static isZip(bytes) {
+        return bytes[0] === 0x50 && bytes[1] === 0x4B &&
+            ((bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06));
+    }
+
+    /**
+     * Read an archive's central directory
+     * @param {Blob} blob - The archive (a File or a Blob wrapping its bytes)
+     * @returns {Promise<ZipReader>} Reader whose entries are { name, method, compressedSize, size, localOffset, encrypted }
+     */
+    static async open(blob) {
+        // The end of central directory record is the last 22 bytes, followed by a comment of up to 64 KB
+        const tailStart = Math.max(0, blob.size - 22 - 65535);
+        const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+        let end = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === ZIP_END_SIGNATURE) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Not a ZIP archive (no end of central directory record)');
+
+        let count = tail.getUint16(end + 10, true);
+        let directorySize = tail.getUint32(end + 12, true);
+        let directoryOffset = tail.getUint32(end + 16, true);
+
+        // ZIP64 archives keep 64-bit counts and offsets in a record found through a locator just before
+        if (end >= 20 && tail.getUint32(end - 20, true) === ZIP64_LOCATOR_SIGNATURE) {
+            const recordOffset = ZipReader.getUint64(tail, end - 20 + 8);
+            const record = new DataView(await blob.slice(recordOffset, recordOffset + 56).arrayBuffer());
+            if (record.byteLength === 56 && record.getUint32(0, true) === ZIP64_END_SIGNATURE) {
+                count = ZipReader.getUint64(record, 32);
+                directorySize = ZipReader.getUint64(record, 40);
+                directoryOffset = ZipReader.getUint64(record, 48);
+            }
+        }
+
+        const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+        const entries = [];
+        let pos = 0;
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > directory.byteLength || directory.getUint32(pos, true) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+                throw new Error(`Corrupt ZIP central directory at entry ${i} of ${count}`);
+            }
+            const flags = directory.getUint16(pos + 8, true);
+            const nameLength = directory.getUint16(pos + 28, true);
+            const extraLength = directory.getUint16(pos + 30, true);
+            const commentLength = directory.getUint16(pos + 32, true);
+            const entry = {
+                // Names are UTF-8 (flag bit 11) or CP437, which agree on the ASCII names traces use
+                name: ZipReader.decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength)),
+                method: directory.getUint16(pos + 10, true),
+                compressedSize: directory.getUint32(pos + 20, true),
+                size: directory.getUint32(pos + 24, true),
+                localOffset: directory.getUint32(pos + 42, true),
+                encrypted: (flags & 0x1) !== 0
+            };
+            ZipReader.applyZip64Extra(entry, directory, pos + 46 + nameLength, extraLength);
+            entries.push(entry);
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return new ZipReader(blob, entries);
+    }
+
+    /**
+     * Replace saturated sizes and offset with the 64-bit values of a ZIP64 extra field, which
+     * lists only the saturated ones, in this order
+     */
+    static applyZip64Extra(entry, view, start, length) {
+        let pos = start;
+        while (pos + 4 <= start + length) {
+            const id = view.getUint16(pos, true);
+            const size = view.getUint16(pos + 2, true);
+            if (id === ZIP64_EXTRA_FIELD) {
+                let field = pos + 4;
+                ['size', 'compressedSize', 'localOffset'].forEach(key => {
+                    if (entry[key] !== ZIP_SATURATED) return;
+                    entry[key] = ZipReader.getUint64(view, field);
+                    field += 8;
+                });
+                return;
+            }
+            pos += 4 + size;
+        }
+    }
+
+    static getUint64(view, pos) {
+        return view.getUint32(pos + 4, true) * 4294967296 + view.getUint32(pos, true);
+    }
+
+    /**
+     * Decompressed contents of an entry
+     * @returns {Promise<Blob>}
+     */
+    async extract(entry) {
+        if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+
+        const header = new DataView(await this.blob.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer());
+        if (header.byteLength < 30 || header.getUint32(0, true) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupt ZIP local header for ${entry.name}`);
+        }
+        // The local header's name and extra field can differ in length from the central directory's
+        const dataStart = entry.localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === ZipReader.METHOD_STORED) {
+            return data;
+        }
+        if (entry.method === ZipReader.METHOD_DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('Deflate decompression not supported in this browser. Please extract the archive manually or use a modern browser like Chrome/Edge.');
+            }
+            return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        }
+        throw new Error(`${entry.name} uses unsupported ZIP compression method ${entry.method}`);
+    }
+}
+
+ZipReader.decoder = new TextDecoder();
+
+// Export for use in other files
+window.ZipReader = ZipReader;